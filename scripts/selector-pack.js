@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Admin Script: Sign Selector Packs
+ *
+ * Usage:
+ *   node scripts/selector-pack.js keygen <output_dir>
+ *   node scripts/selector-pack.js sign <pack.json> <private_key.pem> [output.json]
+ *
+ * keygen writes selector-pack-private.pem to <output_dir> and the public key to
+ * src/platforms/selector-pack-public.pem. Keep the private key out of the repo;
+ * commit the public key (or set SELECTOR_PACK_PUBLIC_KEY) to enable selector packs.
+ *
+ * sign adds the "signature" field. Publish the result by inserting it into
+ * the selector_packs table (version, pack) or by copying it to
+ * selector-pack.json in the app's userData folder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PUBLIC_KEY_PATH, canonicalize } = require('../src/platforms/selector-pack-signing');
+
+function keygen(outputDir) {
+  // Replacing the key invalidates every pack signed so far - do it on purpose
+  if (fs.existsSync(PUBLIC_KEY_PATH)) {
+    console.error(`Error: ${PUBLIC_KEY_PATH} already exists; delete it first to rotate the key`);
+    process.exit(1);
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const privatePath = path.join(outputDir, 'selector-pack-private.pem');
+  fs.writeFileSync(privatePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(PUBLIC_KEY_PATH, publicKey.export({ type: 'spki', format: 'pem' }));
+
+  console.log(`Private key: ${privatePath}`);
+  console.log(`Public key:  ${PUBLIC_KEY_PATH} (commit this file)\n`);
+  console.log(publicKey.export({ type: 'spki', format: 'pem' }));
+}
+
+function sign(packPath, keyPath, outputPath) {
+  const { signature, ...pack } = JSON.parse(fs.readFileSync(packPath, 'utf8'));
+
+  if (!Number.isInteger(pack.version)) {
+    console.error('Error: "version" must be an integer');
+    process.exit(1);
+  }
+  if (!pack.platforms || typeof pack.platforms !== 'object') {
+    console.error('Error: "platforms" is required, e.g. { "twitter": { "submitButton": ["..."] } }');
+    process.exit(1);
+  }
+
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath, 'utf8'));
+  const signed = {
+    ...pack,
+    signature: crypto.sign(null, Buffer.from(canonicalize(pack)), privateKey).toString('base64')
+  };
+
+  const output = outputPath || packPath.replace(/\.json$/, '') + '.signed.json';
+  fs.writeFileSync(output, JSON.stringify(signed, null, 2));
+  console.log(`✅ Signed selector pack v${pack.version}: ${output}`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === 'keygen' && args.length >= 1) {
+  keygen(args[0]);
+} else if (command === 'sign' && args.length >= 2) {
+  sign(args[0], args[1], args[2]);
+} else {
+  console.log(`
+Usage:
+  node scripts/selector-pack.js keygen <output_dir>
+  node scripts/selector-pack.js sign <pack.json> <private_key.pem> [output.json]
+`);
+  process.exit(command ? 1 : 0);
+}
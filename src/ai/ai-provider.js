@@ -170,7 +170,10 @@ class AIProvider {
     const platformLimits = {
       twitter: 280,
       linkedin: 3000,
-      threads: 500
+      threads: 500,
+      instagram: 2200,
+      bluesky: 300,
+      mastodon: 500
     };
     const limit = platformLimits[platform] || 280;
 
@@ -188,7 +191,7 @@ Topics of expertise: ${persona.topics?.join(', ') || 'technology'}`;
 Requirements:
 - Maximum ${limit} characters
 - Engaging and authentic voice
-- Include 1-2 relevant hashtags if appropriate
+- ${platform === 'instagram' ? 'Write it as an image caption and end with a block of 5-15 relevant hashtags' : 'Include 1-2 relevant hashtags if appropriate'}
 - No emojis unless the persona style calls for them
 - Write in the language of the topic (if Chinese topic, write in Chinese)
 
@@ -197,10 +200,13 @@ Output only the post content, nothing else.`;
     return prompt;
   }
 
+  // persona: { name, style, tone }, or a persona system prompt (personaBuilder.getPromptForPlatform)
   buildReplyPrompt(originalPost, persona, platform) {
     let prompt = `You are responding to a social media post.`;
 
-    if (persona) {
+    if (typeof persona === 'string') {
+      prompt = `${persona}\n\n${prompt}`;
+    } else if (persona) {
       prompt += `\n\nPersona: ${persona.name}
 Writing style: ${persona.style || 'professional'}
 Tone: ${persona.tone || 'friendly'}`;
@@ -0,0 +1,325 @@
+/**
+ * Post Analytics for Pulsar Desktop
+ * Revisits our published posts 1 hour, 24 hours and 7 days after publishing
+ * and records impressions, likes, reposts and replies as a time series per post.
+ *
+ * Local store: userData/post-analytics.json
+ * main.js registers every post publishPost confirms (immediate and scheduled) and
+ * supplies the reader: browser platforms are read in the BrowserView, queued behind
+ * posting and signed in as the profile that posted; API platforms use their API.
+ */
+
+const { ipcMain, app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CHECKPOINTS = [
+  { label: '1h', afterMs: HOUR_MS },
+  { label: '24h', afterMs: DAY_MS },
+  { label: '7d', afterMs: 7 * DAY_MS }
+];
+const CHECK_INTERVAL_MS = 10 * 60 * 1000;
+const MAX_READS_PER_RUN = 5;    // Keeps one pass from holding the BrowserView for long
+const MAX_FAILURES = 3;         // Per checkpoint, then it is skipped
+const RETENTION_MS = 365 * DAY_MS;
+const METRICS = ['impressions', 'likes', 'reposts', 'replies'];
+
+class PostAnalytics {
+  constructor() {
+    this.dataPath = path.join(app.getPath('userData'), 'post-analytics.json');
+    this.mainWindow = null;
+    this.readMetrics = null;
+    this.onMetrics = null;
+    this.checkInterval = null;
+    this.collecting = false;
+    this.data = this.load();
+  }
+
+  // options.mainWindow - receives 'analytics-update'
+  // options.readMetrics(post) -> { success, metrics: { impressions, likes, reposts, replies } }
+  // options.onMetrics(post) - called after a new sample is stored
+  init(options = {}) {
+    this.mainWindow = options.mainWindow || null;
+    this.readMetrics = options.readMetrics;
+    this.onMetrics = options.onMetrics || null;
+    this.prune();
+    this.checkInterval = setInterval(() => this.collectDue(), CHECK_INTERVAL_MS);
+    setTimeout(() => this.collectDue(), 60 * 1000); // Catch up on checkpoints missed while closed
+    console.log('[Analytics] Initialized with', this.data.posts.length, 'posts');
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  load() {
+    try {
+      if (fs.existsSync(this.dataPath)) {
+        return JSON.parse(fs.readFileSync(this.dataPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('[Analytics] Failed to load analytics:', error);
+    }
+    return { posts: [] };
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.dataPath, JSON.stringify(this.data, null, 2));
+    } catch (error) {
+      console.error('[Analytics] Failed to save analytics:', error);
+    }
+  }
+
+  prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    const before = this.data.posts.length;
+    this.data.posts = this.data.posts.filter(post => post.publishedAt >= cutoff);
+    if (this.data.posts.length !== before) this.save();
+  }
+
+  // ============================================
+  // Tracking
+  // ============================================
+
+  // Register a published post: { platform, platformUrl, platformPostId, profileId, jobId, content, publishedAt }
+  // Posts without a URL can't be revisited and are ignored
+  track(post) {
+    if (!post.platformUrl) return null;
+    const existing = this.data.posts.find(p =>
+      p.platform === post.platform && (p.platformUrl === post.platformUrl ||
+        (post.platformPostId && p.platformPostId === post.platformPostId))
+    );
+    if (existing) {
+      if (post.jobId && !existing.jobId) {
+        existing.jobId = post.jobId;
+        this.save();
+      }
+      return existing;
+    }
+
+    const tracked = {
+      id: crypto.randomUUID(),
+      platform: post.platform,
+      profileId: post.profileId || null,
+      jobId: post.jobId || null,
+      platformUrl: post.platformUrl,
+      platformPostId: post.platformPostId || null,
+      text: (post.content || '').substring(0, 280),
+      publishedAt: post.publishedAt || Date.now(),
+      samples: [],        // [{ checkpoint, at, impressions, likes, reposts, replies }]
+      pending: CHECKPOINTS.map(checkpoint => checkpoint.label),
+      failures: 0,
+      lastError: null
+    };
+    this.data.posts.push(tracked);
+    this.save();
+    console.log('[Analytics] Tracking', post.platform, 'post:', post.platformUrl);
+    return tracked;
+  }
+
+  // The checkpoint to read now, or null. When the app was closed through several
+  // checkpoints only the latest one is read; the earlier ones are dropped
+  dueCheckpoint(post, now = Date.now()) {
+    const due = CHECKPOINTS.filter(checkpoint =>
+      post.pending.includes(checkpoint.label) && now >= post.publishedAt + checkpoint.afterMs
+    );
+    if (due.length === 0) return null;
+    const latest = due[due.length - 1];
+    post.pending = post.pending.filter(label => !due.some(checkpoint => checkpoint.label === label) || label === latest.label);
+    return latest.label;
+  }
+
+  // Read every post with a checkpoint due (oldest first, a few per pass)
+  async collectDue() {
+    if (this.collecting || !this.readMetrics) return;
+    this.collecting = true;
+    try {
+      const now = Date.now();
+      const due = this.data.posts
+        .map(post => ({ post, checkpoint: this.dueCheckpoint(post, now) }))
+        .filter(item => item.checkpoint)
+        .sort((a, b) => a.post.publishedAt - b.post.publishedAt)
+        .slice(0, MAX_READS_PER_RUN);
+
+      for (const { post, checkpoint } of due) {
+        await this.collect(post, checkpoint);
+      }
+      if (due.length > 0) this.notify();
+    } catch (error) {
+      console.error('[Analytics] Collection failed:', error);
+    } finally {
+      this.collecting = false;
+    }
+  }
+
+  // Read one post now and store the sample under the checkpoint ('manual' for on-demand reads)
+  async collect(post, checkpoint = 'manual') {
+    let result;
+    try {
+      result = await this.readMetrics(post);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result || !result.success) {
+      post.lastError = (result && result.error) || 'Unknown error';
+      if (checkpoint !== 'manual') {
+        post.failures++;
+        if (post.failures >= MAX_FAILURES) {
+          console.warn('[Analytics] Giving up on', checkpoint, 'for', post.platformUrl, '-', post.lastError);
+          post.pending = post.pending.filter(label => label !== checkpoint);
+          post.failures = 0;
+        }
+      }
+      this.save();
+      return { success: false, error: post.lastError };
+    }
+
+    const sample = { checkpoint, at: Date.now() };
+    for (const metric of METRICS) {
+      const value = result.metrics[metric];
+      sample[metric] = value === null || value === undefined ? null : Number(value);
+    }
+    post.samples.push(sample);
+    post.pending = post.pending.filter(label => label !== checkpoint);
+    post.failures = 0;
+    post.lastError = null;
+    this.save();
+    console.log('[Analytics]', checkpoint, post.platform, post.platformUrl, sample);
+
+    if (this.onMetrics) this.onMetrics(post);
+    return { success: true, sample };
+  }
+
+  // Read a post right away (Analytics tab refresh)
+  async refresh(postId) {
+    const post = this.get(postId);
+    if (!post) {
+      return { success: false, error: 'Post not found: ' + postId };
+    }
+    const result = await this.collect(post);
+    this.notify();
+    return result.success ? { success: true, post: this.summarize(post) } : result;
+  }
+
+  notify() {
+    if (this.mainWindow) {
+      this.mainWindow.webContents.send('analytics-update');
+    }
+  }
+
+  // ============================================
+  // Queries
+  // ============================================
+
+  get(postId) {
+    return this.data.posts.find(post => post.id === postId) || null;
+  }
+
+  // Most recent sample of a post, or null before the first read
+  latest(post) {
+    return post.samples.length > 0 ? post.samples[post.samples.length - 1] : null;
+  }
+
+  // Latest metrics of a scheduler job's post (posting-time recommendations)
+  getMetricsForJob(job) {
+    const post = this.data.posts.find(p =>
+      (job.id && p.jobId === job.id) || (job.platformUrl && p.platformUrl === job.platformUrl)
+    );
+    return post ? this.latest(post) : null;
+  }
+
+  // Post with its latest metrics and the total engagement they add up to
+  summarize(post) {
+    const latest = this.latest(post);
+    const engagement = latest ? (latest.likes || 0) + (latest.reposts || 0) + (latest.replies || 0) : null;
+    return { ...post, latest, engagement };
+  }
+
+  // filters: { platform, profileId, since, until, limit }; newest first
+  getPosts(filters = {}) {
+    const results = this.data.posts.filter(post => {
+      if (filters.platform && post.platform !== filters.platform) return false;
+      if (filters.profileId && post.profileId !== filters.profileId) return false;
+      if (filters.since && post.publishedAt < filters.since) return false;
+      if (filters.until && post.publishedAt > filters.until) return false;
+      return true;
+    });
+    results.sort((a, b) => b.publishedAt - a.publishedAt);
+    const limited = filters.limit ? results.slice(0, filters.limit) : results;
+    return limited.map(post => this.summarize(post));
+  }
+
+  // Totals of the latest metrics over the filtered posts, per platform and per profile
+  getSummary(filters = {}) {
+    const posts = this.getPosts({ ...filters, limit: null });
+    const empty = () => ({ posts: 0, measured: 0, impressions: 0, likes: 0, reposts: 0, replies: 0 });
+    const add = (totals, post) => {
+      totals.posts++;
+      if (!post.latest) return;
+      totals.measured++;
+      for (const metric of METRICS) {
+        totals[metric] += post.latest[metric] || 0;
+      }
+    };
+
+    const totals = empty();
+    const byPlatform = {};
+    const byProfile = {};
+    for (const post of posts) {
+      add(totals, post);
+      add(byPlatform[post.platform] = byPlatform[post.platform] || empty(), post);
+      const profileKey = post.profileId || `${post.platform}:primary`;
+      add(byProfile[profileKey] = byProfile[profileKey] || empty(), post);
+    }
+    totals.avgEngagement = totals.measured > 0
+      ? Math.round(((totals.likes + totals.reposts + totals.replies) / totals.measured) * 10) / 10
+      : 0;
+
+    const top = posts
+      .filter(post => post.latest)
+      .sort((a, b) => b.engagement - a.engagement)
+      .slice(0, 5);
+
+    return { totals, byPlatform, byProfile, top };
+  }
+
+  // ============================================
+  // IPC Handlers
+  // ============================================
+
+  initIPCHandlers() {
+    ipcMain.handle('analytics:getPosts', async (event, filters) => {
+      return this.getPosts(filters || {});
+    });
+
+    ipcMain.handle('analytics:getSummary', async (event, filters) => {
+      return this.getSummary(filters || {});
+    });
+
+    // One post with its full time series
+    ipcMain.handle('analytics:getPost', async (event, postId) => {
+      const post = this.get(postId);
+      return post ? this.summarize(post) : null;
+    });
+
+    ipcMain.handle('analytics:refresh', async (event, postId) => {
+      return this.refresh(postId);
+    });
+
+    console.log('[Analytics] IPC handlers initialized');
+  }
+}
+
+module.exports = new PostAnalytics();
@@ -489,18 +489,38 @@ class SupabaseClient {
   }
 
   // Confirm post token usage (after posting)
-  async confirmPostToken(token, success, platformPostId = null, errorMessage = null) {
+  // platformPostId / platformUrl link the audit record to the published post
+  async confirmPostToken(token, success, platformPostId = null, errorMessage = null, platformUrl = null) {
     const result = await this.rpc('confirm_post_token', {
       p_token: token,
       p_success: success,
       p_platform_post_id: platformPostId,
-      p_error_message: errorMessage
+      p_error_message: errorMessage,
+      p_platform_url: platformUrl
     });
 
     const confirmResult = Array.isArray(result) ? result[0] : result;
     return confirmResult;
   }
 
+  // Count one reply (engagement action) against today's quota
+  async useReplyQuota() {
+    if (!this.user) throw new Error('Not authenticated');
+
+    if (!this.dbUserId) {
+      await this.ensureUserExists();
+      if (!this.dbUserId) {
+        throw new Error('Could not get database user ID');
+      }
+    }
+
+    const result = await this.rpc('use_reply_quota', {
+      p_user_id: this.dbUserId
+    });
+    const quotaResult = Array.isArray(result) ? result[0] : result;
+    return { success: quotaResult.success, remaining: quotaResult.remaining, error: quotaResult.error };
+  }
+
   // Check feature access
   async checkFeatureAccess(feature) {
     if (!this.user) return false;
@@ -534,6 +554,83 @@ class SupabaseClient {
     }
   }
 
+  // ============================================
+  // Selector Packs
+  // ============================================
+
+  // Newest published selector pack (the signed document), or null
+  async getLatestSelectorPack() {
+    const result = await this.query('selector_packs', {
+      select: 'pack',
+      filter: { enabled: 'eq.true' },
+      order: 'version.desc',
+      limit: 1
+    });
+    return result && result.length > 0 ? result[0].pack : null;
+  }
+
+  // ============================================
+  // Social Profiles
+  // ============================================
+
+  // Insert or update a profile row (same id as the local cache)
+  async upsertSocialProfile(profile) {
+    if (!this.user) return null;
+    if (!this.dbUserId) {
+      await this.ensureUserExists();
+      if (!this.dbUserId) return null;
+    }
+
+    const result = await this.request('/rest/v1/social_profiles?on_conflict=id', {
+      method: 'POST',
+      body: JSON.stringify({
+        id: profile.id,
+        user_id: this.dbUserId,
+        platform: profile.platform,
+        profile_type: profile.profileType,
+        account_identifier: profile.accountIdentifier,
+        display_name: profile.displayName,
+        session_path: profile.partition,
+        is_verified: profile.isVerified,
+        verified_at: profile.verifiedAt ? new Date(profile.verifiedAt).toISOString() : null,
+        is_active: profile.isActive,
+        is_primary: profile.isPrimary,
+        updated_at: new Date().toISOString()
+      }),
+      headers: {
+        'Prefer': 'resolution=merge-duplicates,return=representation'
+      }
+    });
+    return result && result[0];
+  }
+
+  async deleteSocialProfile(profileId) {
+    if (!this.user || !this.dbUserId) return;
+    await this.request(`/rest/v1/social_profiles?id=eq.${encodeURIComponent(profileId)}&user_id=eq.${this.dbUserId}`, {
+      method: 'DELETE',
+      headers: {
+        'Prefer': 'return=representation' // Otherwise the empty 204 body fails to parse
+      }
+    });
+  }
+
+  // Tier limit and downgrade grace period as the server sees them
+  async getSocialAccountStatus() {
+    if (!this.user) return null;
+    if (!this.dbUserId) {
+      await this.ensureUserExists();
+      if (!this.dbUserId) return null;
+    }
+
+    try {
+      const result = await this.rpc('get_social_account_status', { p_user_id: this.dbUserId });
+      return result?.[0] || null;
+    } catch (error) {
+      console.error('[Supabase] Failed to fetch social account status:', error.message);
+      return null;
+    }
+  }
+
   // ============================================
   // Tracked Accounts
   // ============================================
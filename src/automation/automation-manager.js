@@ -7,23 +7,27 @@
  * 2. engagement - Auto-reply to tracked accounts or topic search
  *    - engagement_tracked: Reply to tracked accounts' posts
  *    - engagement_topic: Search topics and reply to relevant posts
+ *    config.actionMix weighs replies against quote posts, likes and reposts
  * 3. queue - AI-generated content queue with auto-posting
  */
 
 const { app } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const replyLog = require('./reply-log');
+
+// Notification wording per engagement action (see engagement-actions.js)
+const ACTION_VERBS = { reply: '回覆', quote: '引用', like: '按讚', repost: '轉發' };
 
 class AutomationManager {
   constructor() {
     this.automations = [];
     this.dataPath = path.join(app.getPath('userData'), 'automations.json');
-    this.replyHistoryPath = path.join(app.getPath('userData'), 'reply-history.json');
-    this.replyHistory = new Set(); // Set of replied post URLs/IDs
     this.checkInterval = null;
     this.aiProvider = null;
     this.trackedAccountsManager = null;
     this.scheduler = null;
+    this.postingTimeAdvisor = null;
     this.onExecutePost = null;
     this.onExecuteEngagement = null; // Callback for browser automation
     this.onNotify = null;
@@ -36,64 +40,34 @@ class AutomationManager {
     this.aiProvider = options.aiProvider;
     this.trackedAccountsManager = options.trackedAccountsManager;
     this.scheduler = options.scheduler;
+    this.postingTimeAdvisor = options.postingTimeAdvisor || null;
     this.onExecutePost = options.onExecutePost;
     this.onExecuteEngagement = options.onExecuteEngagement; // For browser automation
     this.onNotify = options.onNotify;
 
     this.loadAutomations();
-    this.loadReplyHistory();
     this.startChecking();
     console.log('[Automation] Initialized with', this.automations.length, 'rules');
   }
 
   /**
-   * Load reply history from disk
-   */
-  loadReplyHistory() {
-    try {
-      if (fs.existsSync(this.replyHistoryPath)) {
-        const data = fs.readFileSync(this.replyHistoryPath, 'utf8');
-        const parsed = JSON.parse(data);
-        // Keep only last 7 days of history
-        const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
-        const recentHistory = parsed.filter(item => item.timestamp > cutoff);
-        this.replyHistory = new Set(recentHistory.map(item => item.postId));
-        console.log('[Automation] Loaded', this.replyHistory.size, 'reply history entries');
-      }
-    } catch (error) {
-      console.error('[Automation] Failed to load reply history:', error);
-      this.replyHistory = new Set();
-    }
-  }
-
-  /**
-   * Save reply history to disk
-   */
-  saveReplyHistory() {
-    try {
-      const historyArray = Array.from(this.replyHistory).map(postId => ({
-        postId,
-        timestamp: Date.now()
-      }));
-      fs.writeFileSync(this.replyHistoryPath, JSON.stringify(historyArray, null, 2));
-    } catch (error) {
-      console.error('[Automation] Failed to save reply history:', error);
-    }
-  }
-
-  /**
-   * Check if we've already replied to a post
+   * Check if we've already replied to a post (see reply-log.js)
    */
-  hasReplied(postId) {
-    return this.replyHistory.has(postId);
+  hasReplied(postId, platform = null) {
+    return replyLog.hasReplied(postId, platform);
   }
 
   /**
-   * Mark a post as replied
+   * Reply log callback for an engagement run: tags each entry with the automation
    */
-  markAsReplied(postId) {
-    this.replyHistory.add(postId);
-    this.saveReplyHistory();
+  replyRecorder(automation, topic = null) {
+    return (entry) => replyLog.record({
+      topic,
+      ...entry,
+      automationId: automation.id,
+      automationName: automation.name,
+      profileId: automation.profileId || null
+    });
   }
 
   /**
@@ -127,7 +101,8 @@ class AutomationManager {
    * @param {Object} automation
    * @param {string} automation.type - 'recurring' | 'engagement' | 'queue'
    * @param {string} automation.name - User-friendly name
-   * @param {string} automation.platform - 'twitter' | 'linkedin' | 'threads'
+   * @param {string} automation.platform - 'twitter' | 'linkedin' | 'threads' | 'bluesky' | 'mastodon'
+   * @param {string} [automation.profileId] - Social profile to act as (defaults to the platform's primary)
    * @param {boolean} automation.enabled - Whether the automation is active
    * @param {Object} automation.config - Type-specific configuration
    */
@@ -137,6 +112,7 @@ class AutomationManager {
       type: automation.type,
       name: automation.name || this.getDefaultName(automation.type),
       platform: automation.platform || 'twitter',
+      profileId: automation.profileId || null,
       enabled: automation.enabled !== false,
       config: automation.config || {},
       stats: {
@@ -253,8 +229,8 @@ class AutomationManager {
       }
 
       case 'queue': {
-        // config: { postTimes: ['09:00', '12:00', '18:00'] }
-        const postTimes = config.postTimes || ['09:00', '12:00', '18:00'];
+        // config: { postTimes: ['09:00', '12:00', '18:00'], bestTime: boolean }
+        const postTimes = this.getQueuePostTimes(automation);
 
         for (const time of postTimes.sort()) {
           const [hours, minutes] = time.split(':').map(Number);
@@ -279,6 +255,21 @@ class AutomationManager {
     }
   }
 
+  /**
+   * Posting times of a queue automation
+   * With config.bestTime the advisor's recommended slots replace config.postTimes
+   */
+  getQueuePostTimes(automation) {
+    const config = automation.config || {};
+    if (config.bestTime && this.postingTimeAdvisor) {
+      const recommended = this.postingTimeAdvisor.recommendPostTimes(automation.platform || 'twitter', {
+        profileId: automation.profileId || null
+      });
+      if (recommended.length > 0) return recommended;
+    }
+    return [...(config.postTimes || ['09:00', '12:00', '18:00'])];
+  }
+
   /**
    * Start the automation checker
    */
@@ -384,16 +375,19 @@ Output only the post content, nothing else.`;
       }
 
       if (content) {
-        // Schedule for immediate posting
+        // Schedule for immediate posting (or hold for review)
+        const approval = this.getApprovalRequest(automation);
         if (this.scheduler) {
           this.scheduler.addJob({
             platform: automation.platform,
             content: content,
             scheduledAt: Date.now(),
-            automationId: automation.id
+            automationId: automation.id,
+            profileId: automation.profileId,
+            approval
           });
         } else if (this.onExecutePost) {
-          await this.onExecutePost(automation.platform, content);
+          await this.onExecutePost(automation.platform, content, { profileId: automation.profileId });
         }
 
         automation.stats.successfulPosts++;
@@ -401,8 +395,8 @@ Output only the post content, nothing else.`;
 
         if (this.onNotify) {
           this.onNotify({
-            type: 'automation',
-            title: '自動發文已排程',
+            type: approval ? 'approval' : 'automation',
+            title: approval ? '自動發文待審核' : '自動發文已排程',
             message: `${automation.name}: ${content.substring(0, 50)}...`
           });
         }
@@ -459,11 +453,13 @@ Output only the post content, nothing else.`;
     const maxReplies = config.maxRepliesPerRun || 3;
     const priorityTiers = config.priorityTiers || [1, 2, 3]; // Prefer higher tiers
     const usePersona = config.usePersona !== false;
+    // LinkedIn automations use the LinkedIn list; every other platform the X list
+    const listPlatform = this.trackedAccountsManager.platforms.includes(automation.platform) ? automation.platform : 'twitter';
 
     // Get accounts by tier priority
     let accounts = [];
     for (const tier of priorityTiers) {
-      const tierAccounts = await this.trackedAccountsManager.getAccountsByTier(tier);
+      const tierAccounts = await this.trackedAccountsManager.getAccountsByTier(tier, listPlatform);
       accounts = accounts.concat(tierAccounts.filter(a => a.enabled));
       if (accounts.length >= maxReplies * 2) break; // Get enough candidates
     }
@@ -471,7 +467,7 @@ Output only the post content, nothing else.`;
     // Shuffle and limit
     accounts = accounts.sort(() => Math.random() - 0.5).slice(0, maxReplies * 2);
 
-    console.log('[Automation] Checking', accounts.length, 'tracked accounts for engagement');
+    console.log('[Automation] Checking', accounts.length, listPlatform, 'tracked accounts for engagement');
 
     let successCount = 0;
 
@@ -487,22 +483,28 @@ Output only the post content, nothing else.`;
           usePersona,
           persona: config.persona,
           platform: automation.platform,
-          checkReplied: (postId) => this.hasReplied(postId),
-          markReplied: (postId) => this.markAsReplied(postId)
+          profileId: automation.profileId,
+          checkReplied: (postId) => this.hasReplied(postId, automation.platform),
+          recordReply: this.replyRecorder(automation, account.category || null),
+          actionMix: config.actionMix
         });
 
         if (result && result.success) {
           successCount++;
           automation.stats.successfulPosts = (automation.stats.successfulPosts || 0) + 1;
-          console.log('[Automation] Replied to', account.username);
+          console.log('[Automation]', result.action || 'reply', '@' + account.username);
 
           if (this.onNotify) {
+            const verb = ACTION_VERBS[result.action] || ACTION_VERBS.reply;
             this.onNotify({
               type: 'engagement',
-              title: '自動回覆成功',
-              message: `已回覆 @${account.username} 的貼文`
+              title: '自動互動成功',
+              message: `已${verb} @${account.username} 的貼文`
             });
           }
+        } else if (result && result.quotaExceeded) {
+          console.log('[Automation] Engagement quota reached, stopping:', result.error);
+          break;
         }
       } catch (error) {
         console.error('[Automation] Failed to engage with', account.username, error.message);
@@ -543,23 +545,29 @@ Output only the post content, nothing else.`;
           usePersona,
           persona: config.persona,
           platform: automation.platform,
-          checkReplied: (postId) => this.hasReplied(postId),
-          markReplied: (postId) => this.markAsReplied(postId)
+          profileId: automation.profileId,
+          checkReplied: (postId) => this.hasReplied(postId, automation.platform),
+          recordReply: this.replyRecorder(automation, topic),
+          actionMix: config.actionMix
         });
 
-        if (result && result.repliesCount > 0) {
-          successCount += result.repliesCount;
-          automation.stats.successfulPosts = (automation.stats.successfulPosts || 0) + result.repliesCount;
-          console.log('[Automation] Replied to', result.repliesCount, 'posts about:', topic);
+        if (result && result.repliedCount > 0) {
+          successCount += result.repliedCount;
+          automation.stats.successfulPosts = (automation.stats.successfulPosts || 0) + result.repliedCount;
+          console.log('[Automation] Replied to', result.repliedCount, 'posts about:', topic);
 
           if (this.onNotify) {
             this.onNotify({
               type: 'engagement',
-              title: '主題回覆成功',
-              message: `已回覆 ${result.repliesCount} 則關於「${topic}」的貼文`
+              title: '主題互動成功',
+              message: `已互動 ${result.repliedCount} 則關於「${topic}」的貼文`
             });
           }
         }
+        if (result && result.quotaExceeded) {
+          console.log('[Automation] Engagement quota reached, stopping');
+          break;
+        }
       } catch (error) {
         console.error('[Automation] Failed to search topic:', topic, error.message);
       }
@@ -613,16 +621,19 @@ Output only the post content, nothing else.`;
     this.saveAutomations();
 
     if (item && item.content) {
-      // Schedule for immediate posting
+      // Schedule for immediate posting (or hold for review)
+      const approval = this.getApprovalRequest(automation);
       if (this.scheduler) {
         this.scheduler.addJob({
           platform: automation.platform,
           content: item.content,
           scheduledAt: Date.now(),
-          automationId: automation.id
+          automationId: automation.id,
+          profileId: automation.profileId,
+          approval
         });
       } else if (this.onExecutePost) {
-        await this.onExecutePost(automation.platform, item.content);
+        await this.onExecutePost(automation.platform, item.content, { profileId: automation.profileId });
       }
 
       automation.stats.successfulPosts++;
@@ -630,14 +641,28 @@ Output only the post content, nothing else.`;
 
       if (this.onNotify) {
         this.onNotify({
-          type: 'automation',
-          title: '佇列發文已排程',
+          type: approval ? 'approval' : 'automation',
+          title: approval ? '佇列發文待審核' : '佇列發文已排程',
           message: `${automation.name}: ${item.content.substring(0, 50)}...`
         });
       }
     }
   }
 
+  /**
+   * Build the scheduler approval request for an automation, if review is required
+   * config.approval: { required, deadlineMinutes, fallback: 'skip' | 'publish' }
+   */
+  getApprovalRequest(automation) {
+    const approval = (automation.config || {}).approval;
+    if (!approval || !approval.required) return null;
+
+    return {
+      deadlineAt: Date.now() + (approval.deadlineMinutes || 60) * 60 * 1000,
+      fallback: approval.fallback || 'skip'
+    };
+  }
+
   /**
    * Add content to a queue automation
    */
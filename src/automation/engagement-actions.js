@@ -0,0 +1,52 @@
+/**
+ * Pulsar Engagement Actions
+ * What an engagement automation does with each post it picks: reply, quote post,
+ * like or repost, drawn at random from the automation's mix (config.actionMix,
+ * relative weights such as { reply: 60, quote: 10, like: 20, repost: 10 })
+ */
+
+const ACTIONS = ['reply', 'quote', 'like', 'repost'];
+const DEFAULT_MIX = { reply: 100 }; // Automations saved before the mix existed only reply
+
+class EngagementActions {
+  constructor() {
+    this.ACTIONS = ACTIONS;
+    this.DEFAULT_MIX = DEFAULT_MIX;
+  }
+
+  // Actions an adapter can do (each is an adapter method of the same name)
+  supported(adapter) {
+    return ACTIONS.filter(action => typeof adapter[action] === 'function');
+  }
+
+  // Positive weights of the supported actions; falls back to replies only
+  normalizeMix(mix, supported = ACTIONS) {
+    const weights = {};
+    for (const action of ACTIONS) {
+      const weight = Number((mix || DEFAULT_MIX)[action]) || 0;
+      if (weight > 0 && supported.includes(action)) {
+        weights[action] = weight;
+      }
+    }
+    return Object.keys(weights).length > 0 ? weights : { reply: 1 };
+  }
+
+  // Weighted random pick from the mix
+  pick(mix, supported = ACTIONS, random = Math.random) {
+    const weights = this.normalizeMix(mix, supported);
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    let roll = random() * total;
+    for (const [action, weight] of Object.entries(weights)) {
+      roll -= weight;
+      if (roll < 0) return action;
+    }
+    return Object.keys(weights)[0];
+  }
+
+  // Whether the action writes text (and so needs the AI)
+  needsText(action) {
+    return action === 'reply' || action === 'quote';
+  }
+}
+
+module.exports = new EngagementActions();
@@ -0,0 +1,223 @@
+/**
+ * Pulsar Reply Log
+ * Every reply we send or fail to send: the target post and author, our reply,
+ * the automation (or manual send) behind it, the persona used and the outcome.
+ * Engagement automations also log their quote posts, likes and reposts here.
+ * Engagement stats and "already replied" checks are both derived from it.
+ *
+ * File (userData): reply-log.jsonl, one entry per line, append-only.
+ * Entries older than RETENTION_MS are dropped when the app starts.
+ */
+
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_MS = 180 * DAY_MS;
+const REPLIED_WINDOW_MS = 7 * DAY_MS; // A post we replied to is skipped for a week
+const OUTCOMES = ['sent', 'failed'];
+const ACTIONS = ['reply', 'quote', 'like', 'repost'];
+
+class ReplyLog {
+  constructor() {
+    const dir = app.getPath('userData');
+    this.logPath = path.join(dir, 'reply-log.jsonl');
+    this.legacyPath = path.join(dir, 'reply-history.json');
+    this.entries = [];
+    this.load();
+  }
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  load() {
+    const cutoff = Date.now() - RETENTION_MS;
+    let dropped = 0;
+    if (fs.existsSync(this.logPath)) {
+      for (const line of fs.readFileSync(this.logPath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (entry.at >= cutoff) {
+            this.entries.push(entry);
+          } else {
+            dropped++;
+          }
+        } catch (error) {
+          dropped++; // Torn line from a crash mid-append
+        }
+      }
+    }
+
+    const migrated = this.migrateLegacy();
+    if (dropped > 0 || migrated > 0) {
+      this.rewrite();
+    }
+    console.log('[ReplyLog] Loaded', this.entries.length, 'entries');
+  }
+
+  // reply-history.json ([{ postId, timestamp }]) only knew which posts we replied to.
+  // Its timestamps were rewritten on every save, so they are not real reply times
+  migrateLegacy() {
+    if (!fs.existsSync(this.legacyPath)) return 0;
+    try {
+      const legacy = JSON.parse(fs.readFileSync(this.legacyPath, 'utf8'));
+      const known = new Set(this.entries.map(entry => entry.postId));
+      const imported = (Array.isArray(legacy) ? legacy : [])
+        .filter(item => item.postId && !known.has(item.postId))
+        .map(item => this.createEntry({ postId: item.postId, outcome: 'sent', legacy: true }, item.timestamp));
+      this.entries.push(...imported);
+      fs.renameSync(this.legacyPath, this.legacyPath + '.bak');
+      console.log('[ReplyLog] Imported', imported.length, 'entries from reply-history.json');
+      return imported.length;
+    } catch (error) {
+      console.error('[ReplyLog] Failed to import reply-history.json:', error);
+      return 0;
+    }
+  }
+
+  // Rewrite the whole file (after pruning or importing)
+  rewrite() {
+    try {
+      const tmpPath = this.logPath + '.tmp';
+      fs.writeFileSync(tmpPath, this.entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+      fs.renameSync(tmpPath, this.logPath);
+    } catch (error) {
+      console.error('[ReplyLog] Failed to rewrite log:', error);
+    }
+  }
+
+  append(entry) {
+    try {
+      fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error('[ReplyLog] Failed to write entry:', error);
+    }
+  }
+
+  createEntry(fields, at = Date.now()) {
+    return {
+      id: crypto.randomUUID(),
+      at,
+      platform: fields.platform || 'twitter',
+      profileId: fields.profileId || null,
+      postId: fields.postId || null,
+      postUrl: fields.postUrl || null,
+      author: fields.author || null,
+      postText: fields.postText ? fields.postText.substring(0, 280) : null,
+      reply: fields.reply || null,
+      replyUrl: fields.replyUrl || null,
+      automationId: fields.automationId || null,
+      automationName: fields.automationName || null,
+      action: ACTIONS.includes(fields.action) ? fields.action : 'reply',
+      mode: fields.mode || 'manual', // 'tracked_account' | 'topic_search' | 'inbox' | 'manual'
+      topic: fields.topic || null,
+      persona: fields.persona || null, // { mbtiType, mask } when the persona shaped the reply
+      outcome: OUTCOMES.includes(fields.outcome) ? fields.outcome : 'failed',
+      error: fields.error || null,
+      ...(fields.legacy ? { legacy: true } : {})
+    };
+  }
+
+  // ============================================
+  // Recording
+  // ============================================
+
+  // fields: { platform, profileId, postId, postUrl, author, postText, reply, replyUrl, action,
+  //           automationId, automationName, mode, topic, persona, outcome: 'sent' | 'failed', error }
+  // reply / replyUrl are the quote post's text and link for quotes, empty for likes and reposts
+  record(fields) {
+    const entry = this.createEntry(fields);
+    this.entries.push(entry);
+    this.append(entry);
+    return entry;
+  }
+
+  // Whether we engaged with this post (any action) within the last week
+  hasReplied(postId, platform = null) {
+    if (!postId) return false;
+    const cutoff = Date.now() - REPLIED_WINDOW_MS;
+    return this.entries.some(entry =>
+      entry.outcome === 'sent' && entry.postId === postId && entry.at >= cutoff &&
+      (!platform || entry.legacy || entry.platform === platform)
+    );
+  }
+
+  // ============================================
+  // Queries
+  // ============================================
+
+  // filters: { platform, automationId, action, outcome, since, until, limit }; newest first
+  query(filters = {}) {
+    const results = this.entries.filter(entry => {
+      if (filters.platform && entry.platform !== filters.platform) return false;
+      if (filters.automationId && entry.automationId !== filters.automationId) return false;
+      if (filters.action && (entry.action || 'reply') !== filters.action) return false;
+      if (filters.outcome && entry.outcome !== filters.outcome) return false;
+      if (filters.since && entry.at < filters.since) return false;
+      if (filters.until && entry.at > filters.until) return false;
+      return true;
+    });
+    results.sort((a, b) => b.at - a.at);
+    return filters.limit ? results.slice(0, filters.limit) : results;
+  }
+
+  // Sent / failed counts overall, today, per local day, per automation, per topic and per action
+  // (replied / today count every action, not only replies)
+  // filters: { platform, since (default 30 days ago) }
+  getStats(filters = {}) {
+    const since = filters.since || Date.now() - 30 * DAY_MS;
+    const entries = this.query({ platform: filters.platform, since }).filter(entry => !entry.legacy);
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    const bump = (map, key, extra, entry) => {
+      const bucket = map.get(key) || { ...extra, sent: 0, failed: 0 };
+      bucket[entry.outcome]++;
+      map.set(key, bucket);
+    };
+
+    const byDay = new Map();
+    const byAutomation = new Map();
+    const byTopic = new Map();
+    const byAction = new Map();
+    let sent = 0;
+    let failed = 0;
+    let today = 0;
+    for (const entry of entries) {
+      if (entry.outcome === 'sent') sent++; else failed++;
+      if (entry.outcome === 'sent' && entry.at >= startOfToday.getTime()) today++;
+
+      const day = new Date(entry.at);
+      const dayKey = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+      bump(byDay, dayKey, { day: dayKey }, entry);
+      bump(byAutomation, entry.automationId || 'manual', {
+        automationId: entry.automationId,
+        name: entry.automationName || (entry.automationId ? entry.automationId : 'Manual 手動')
+      }, entry);
+      const action = entry.action || 'reply';
+      bump(byAction, action, { action }, entry);
+      if (entry.topic) {
+        bump(byTopic, entry.topic.toLowerCase(), { topic: entry.topic }, entry);
+      }
+    }
+
+    const bySent = (a, b) => b.sent - a.sent;
+    return {
+      since,
+      replied: sent,
+      failed,
+      today,
+      successRate: sent + failed > 0 ? Math.round((sent / (sent + failed)) * 100) : null,
+      byDay: Array.from(byDay.values()).sort((a, b) => a.day.localeCompare(b.day)),
+      byAutomation: Array.from(byAutomation.values()).sort(bySent),
+      byTopic: Array.from(byTopic.values()).sort(bySent),
+      byAction: Array.from(byAction.values()).sort(bySent)
+    };
+  }
+}
+
+module.exports = new ReplyLog();
@@ -0,0 +1,210 @@
+/**
+ * Pulsar Browser Task Queue
+ * Serializes everything that drives the shared BrowserView so manual actions,
+ * scheduled posts and engagement never type into each other's compose boxes
+ *
+ * Priorities: manual > scheduled > engagement (FIFO within a priority)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = {
+  manual: 0,
+  scheduled: 1,
+  engagement: 2
+};
+
+const DEFAULT_TIMEOUTS = {
+  manual: 2 * 60 * 1000,
+  scheduled: 3 * 60 * 1000,
+  engagement: 10 * 60 * 1000 // Engagement visits several posts per task
+};
+
+// How long a timed-out/cancelled task may keep the browser before we move on anyway
+const ABORT_GRACE_MS = 15 * 1000;
+
+class BrowserTaskQueue {
+  constructor() {
+    this.queue = [];
+    this.current = null;
+    this.nextId = 1;
+    this.context = new AsyncLocalStorage(); // Which task the running code belongs to
+    this.onAbort = null;  // Called when the running task is cancelled (e.g. stop page load)
+    this.onChange = null; // Called with getStatus() whenever the queue changes
+  }
+
+  // options.onAbort(task), options.onChange(status)
+  init(options = {}) {
+    this.onAbort = options.onAbort || null;
+    this.onChange = options.onChange || null;
+  }
+
+  // Queue a task; resolves with the handler's result, or
+  // { success: false, cancelled: true, error } if it was cancelled or timed out
+  // (plus unverified: true, retryable: false once it had started - it may have posted)
+  run(handler, options = {}) {
+    const priority = options.priority || 'manual';
+    if (PRIORITIES[priority] === undefined) {
+      return Promise.reject(new Error('Unknown browser task priority: ' + priority));
+    }
+
+    // Already inside a browser task (e.g. a post helper called from a job) - run inline
+    if (this.context.getStore()) {
+      return handler();
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: `task-${this.nextId++}`,
+        label: options.label || 'browser task',
+        priority,
+        timeoutMs: options.timeoutMs || DEFAULT_TIMEOUTS[priority],
+        queuedAt: Date.now(),
+        startedAt: null,
+        cancelled: false,
+        cancelReason: null,
+        handler,
+        resolve,
+        reject
+      };
+
+      // Insert after every task of the same or higher priority
+      const index = this.queue.findIndex(t => PRIORITIES[t.priority] > PRIORITIES[priority]);
+      if (index === -1) {
+        this.queue.push(task);
+      } else {
+        this.queue.splice(index, 0, task);
+      }
+
+      console.log('[BrowserQueue] Queued:', task.id, task.label, `(${priority})`);
+      this.notify();
+      this.processNext();
+    });
+  }
+
+  // Wrap an ipcMain handler so each call goes through the queue
+  wrap(priority, label, handler, options = {}) {
+    return (...args) => this.run(() => handler(...args), { ...options, priority, label });
+  }
+
+  async processNext() {
+    if (this.current || this.queue.length === 0) return;
+
+    const task = this.queue.shift();
+    this.current = task;
+    task.startedAt = Date.now();
+    this.notify();
+    console.log('[BrowserQueue] Running:', task.id, task.label);
+
+    let settled = false;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      fn(value);
+    };
+    task.finish = finish;
+
+    const timeout = setTimeout(() => {
+      this.abort(task, `Browser task timed out after ${Math.round(task.timeoutMs / 1000)}s`);
+    }, task.timeoutMs);
+
+    const execution = this.context.run(task, () => Promise.resolve().then(task.handler))
+      .then(result => {
+        if (task.cancelled) {
+          console.log('[BrowserQueue] Ignoring result of aborted task:', task.id);
+        }
+        finish(task.resolve, result);
+      })
+      .catch(error => finish(task.reject, error)); // No-op if already aborted
+
+    // Hold the browser until the handler settles, but not forever once aborted
+    await Promise.race([
+      execution,
+      new Promise(resolve => {
+        task.releaseAfterAbort = resolve;
+      })
+    ]);
+    clearTimeout(timeout);
+
+    const duration = Date.now() - task.startedAt;
+    console.log('[BrowserQueue] Finished:', task.id, task.label, `${duration}ms`);
+    this.current = null;
+    this.notify();
+    this.processNext();
+  }
+
+  // Mark the running task as aborted, answer its caller and ask the browser to stop
+  abort(task, reason) {
+    if (task.cancelled) return;
+    task.cancelled = true;
+    task.cancelReason = reason;
+    console.warn('[BrowserQueue] Aborting:', task.id, task.label, '-', reason);
+    task.finish(task.resolve, { success: false, cancelled: true, error: reason, unverified: true, retryable: false });
+
+    if (this.onAbort) {
+      try {
+        this.onAbort(task);
+      } catch (error) {
+        console.error('[BrowserQueue] onAbort failed:', error.message);
+      }
+    }
+
+    setTimeout(() => task.releaseAfterAbort && task.releaseAfterAbort(), ABORT_GRACE_MS);
+  }
+
+  // Cancel a queued or running task
+  cancel(taskId) {
+    const index = this.queue.findIndex(t => t.id === taskId);
+    if (index !== -1) {
+      const [task] = this.queue.splice(index, 1);
+      task.resolve({ success: false, cancelled: true, error: 'Cancelled before it started' });
+      console.log('[BrowserQueue] Cancelled queued task:', taskId);
+      this.notify();
+      return { success: true };
+    }
+
+    if (this.current && this.current.id === taskId) {
+      this.abort(this.current, 'Cancelled by user');
+      return { success: true };
+    }
+
+    return { success: false, error: 'Task not found: ' + taskId };
+  }
+
+  // Sleep inside a task; throws once the task has been cancelled or timed out
+  async sleep(ms) {
+    this.throwIfAborted();
+    await new Promise(resolve => setTimeout(resolve, ms));
+    this.throwIfAborted();
+  }
+
+  throwIfAborted() {
+    const task = this.context.getStore();
+    if (task && task.cancelled) {
+      throw new Error(task.cancelReason);
+    }
+  }
+
+  getStatus() {
+    const describe = (t) => ({
+      id: t.id,
+      label: t.label,
+      priority: t.priority,
+      queuedAt: t.queuedAt,
+      startedAt: t.startedAt,
+      cancelled: t.cancelled
+    });
+    return {
+      running: this.current ? describe(this.current) : null,
+      queued: this.queue.map(describe)
+    };
+  }
+
+  notify() {
+    if (this.onChange) {
+      this.onChange(this.getStatus());
+    }
+  }
+}
+
+module.exports = new BrowserTaskQueue();
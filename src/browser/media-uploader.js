@@ -0,0 +1,139 @@
+/**
+ * Pulsar Media Uploader
+ * Validates local media attachments and hands them to a page's file input
+ * through CDP (DOM.setFileInputFiles), the same path a real file picker uses
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const IMAGE_TYPES = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+const VIDEO_TYPES = ['.mp4', '.mov', '.m4v'];
+
+// Per-platform attachment rules
+const MEDIA_LIMITS = {
+  twitter: { maxImages: 4, maxVideos: 1, mixed: false, maxImageBytes: 5 * 1024 * 1024, maxVideoBytes: 512 * 1024 * 1024, maxAltText: 1000 },
+  linkedin: { maxImages: 20, maxVideos: 1, mixed: false, maxImageBytes: 10 * 1024 * 1024, maxVideoBytes: 200 * 1024 * 1024, maxAltText: 300 },
+  instagram: { maxImages: 10, maxVideos: 10, mixed: true, maxImageBytes: 8 * 1024 * 1024, maxVideoBytes: 650 * 1024 * 1024, maxAltText: 1000 },
+  threads: { maxImages: 10, maxVideos: 10, mixed: true, maxImageBytes: 8 * 1024 * 1024, maxVideoBytes: 1024 * 1024 * 1024, maxAltText: 1000 }
+};
+
+class MediaUploader {
+  constructor() {
+    this.limits = MEDIA_LIMITS;
+  }
+
+  getKind(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (IMAGE_TYPES.includes(ext)) return 'image';
+    if (VIDEO_TYPES.includes(ext)) return 'video';
+    return null;
+  }
+
+  // Normalize [{ path, altText }] (or plain paths) and check them against platform limits
+  // Throws with a readable message on the first problem
+  normalize(media, platform) {
+    if (!media || media.length === 0) return [];
+
+    const limits = MEDIA_LIMITS[platform];
+    if (!limits) {
+      throw new Error('Media attachments are not supported on ' + platform);
+    }
+
+    const items = media.map(item => {
+      const filePath = typeof item === 'string' ? item : item.path;
+      const altText = typeof item === 'string' ? '' : (item.altText || '').trim();
+      const kind = this.getKind(filePath || '');
+
+      if (!filePath || !path.isAbsolute(filePath)) {
+        throw new Error('Media path must be absolute: ' + filePath);
+      }
+      if (!kind) {
+        throw new Error('Unsupported media type: ' + path.basename(filePath));
+      }
+      if (!fs.existsSync(filePath)) {
+        throw new Error('Media file not found: ' + filePath);
+      }
+
+      const size = fs.statSync(filePath).size;
+      const maxBytes = kind === 'image' ? limits.maxImageBytes : limits.maxVideoBytes;
+      if (size > maxBytes) {
+        throw new Error(`${path.basename(filePath)} is too large (${Math.round(size / 1024 / 1024)}MB, max ${Math.round(maxBytes / 1024 / 1024)}MB)`);
+      }
+      if (altText.length > limits.maxAltText) {
+        throw new Error(`Alt text for ${path.basename(filePath)} is too long (max ${limits.maxAltText})`);
+      }
+
+      return { path: filePath, altText, kind };
+    });
+
+    const images = items.filter(i => i.kind === 'image').length;
+    const videos = items.filter(i => i.kind === 'video').length;
+    if (images > limits.maxImages) {
+      throw new Error(`${platform} allows at most ${limits.maxImages} images per post`);
+    }
+    if (videos > limits.maxVideos) {
+      throw new Error(`${platform} allows at most ${limits.maxVideos} video per post`);
+    }
+    if (!limits.mixed && images > 0 && videos > 0) {
+      throw new Error(`${platform} does not allow mixing images and video in one post`);
+    }
+
+    return items;
+  }
+
+  // Set files on the first element matching one of the selectors
+  async setFiles(webContents, selectors, filePaths) {
+    const { root } = await webContents.debugger.sendCommand('DOM.getDocument', { depth: 0 });
+
+    for (const selector of selectors) {
+      const { nodeId } = await webContents.debugger.sendCommand('DOM.querySelector', {
+        nodeId: root.nodeId,
+        selector
+      });
+      if (nodeId) {
+        await webContents.debugger.sendCommand('DOM.setFileInputFiles', { nodeId, files: filePaths });
+        return { success: true, selector };
+      }
+    }
+
+    return { success: false, error: 'File input not found' };
+  }
+
+  // For sites that only create the file input when a button is clicked:
+  // intercept the native file chooser, run click(), then fill the chooser
+  async chooseFiles(webContents, click, filePaths, timeoutMs = 10000) {
+    const cdp = webContents.debugger;
+    await cdp.sendCommand('Page.enable');
+    await cdp.sendCommand('Page.setInterceptFileChooserDialog', { enabled: true });
+
+    let onMessage;
+    const opened = new Promise(resolve => {
+      onMessage = (event, method, params) => {
+        if (method === 'Page.fileChooserOpened') resolve(params);
+      };
+      cdp.on('message', onMessage);
+    });
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), timeoutMs));
+
+    try {
+      const clicked = await click();
+      if (clicked && clicked.success === false) {
+        return clicked;
+      }
+
+      const chooser = await Promise.race([opened, timeout]);
+      if (!chooser) {
+        return { success: false, error: 'File chooser did not open' };
+      }
+
+      await cdp.sendCommand('DOM.setFileInputFiles', { backendNodeId: chooser.backendNodeId, files: filePaths });
+      return { success: true };
+    } finally {
+      cdp.removeListener('message', onMessage);
+      await cdp.sendCommand('Page.setInterceptFileChooserDialog', { enabled: false }).catch(() => {});
+    }
+  }
+}
+
+module.exports = new MediaUploader();
@@ -0,0 +1,189 @@
+/**
+ * Pulsar Post Verifier
+ * Watches the page's network traffic through CDP while a post is submitted
+ * and reports whether the platform's create-post request actually succeeded
+ */
+
+// Create-post requests per platform, and how to read the new post from the response
+const CREATE_ENDPOINTS = {
+  twitter: {
+    urlPattern: /\/graphql\/[^/]+\/(CreateTweet|CreateNoteTweet)\b/,
+    parse(body) {
+      const data = JSON.parse(body);
+      if (data.errors && data.errors.length > 0) {
+        return { error: data.errors[0].message || 'X returned an error' };
+      }
+      const created = data.data && (data.data.create_tweet || data.data.notetweet_create);
+      const tweet = created && created.tweet_results && created.tweet_results.result;
+      const id = tweet ? tweet.rest_id : null;
+      return {
+        platformPostId: id,
+        platformUrl: id ? `https://x.com/i/status/${id}` : null
+      };
+    }
+  },
+  linkedin: {
+    urlPattern: /\/voyager\/api\/(contentcreation\/normShares|voyagerContentcreationDashShares|graphql\?.*[Cc]reate[A-Za-z]*Share)/,
+    parse(body) {
+      // Prefer the activity URN: that's what /feed/update/ links use
+      const urns = body.match(/urn:li:(?:activity|share|ugcPost):\d+/g) || [];
+      const urn = urns.find(u => u.startsWith('urn:li:activity:')) || urns[0] || null;
+      return {
+        platformPostId: urn,
+        platformUrl: urn ? `https://www.linkedin.com/feed/update/${urn}/` : null
+      };
+    }
+  },
+  instagram: {
+    urlPattern: /\/api\/v1\/media\/configure(_sidecar|_to_clips)?\/?(\?|$)/,
+    parse(body) {
+      const data = JSON.parse(body);
+      if (data.status === 'fail') {
+        return { error: data.message || 'Instagram returned an error' };
+      }
+      const media = data.media || {};
+      return {
+        platformPostId: media.pk ? String(media.pk) : null,
+        platformUrl: media.code ? `https://www.instagram.com/p/${media.code}/` : null
+      };
+    }
+  },
+  threads: {
+    urlPattern: /\/api\/v1\/media\/configure[a-z_]*\/?(\?|$)/,
+    parse(body) {
+      const data = JSON.parse(body);
+      if (data.status === 'fail') {
+        return { error: data.message || 'Threads returned an error' };
+      }
+      const media = data.media || {};
+      return {
+        platformPostId: media.pk ? String(media.pk) : null,
+        platformUrl: media.code ? `https://www.threads.net/t/${media.code}` : null
+      };
+    }
+  }
+};
+
+const WATCH_LIMIT_MS = 3 * 60 * 1000;
+
+class PostVerifier {
+  // Start watching before the Post button is clicked
+  // Returns { wait(timeoutMs), waitAll(count, timeoutMs), stop(), startedAt }; wait resolves with
+  // the first create request's outcome:
+  // { confirmed, rejected, error, platformPostId, platformUrl } or { confirmed: false, timedOut: true }
+  // waitAll resolves with the outcome of every create request seen, in the order they were
+  // sent, once `count` have settled or the time is up (X's "Post all" sends one per tweet);
+  // requests still unanswered then come back as { confirmed: false, timedOut: true }
+  async watch(webContents, platform) {
+    const endpoint = CREATE_ENDPOINTS[platform];
+    const startedAt = Date.now(); // Just before the submit: the timeline fallback ignores older posts
+    if (!endpoint) {
+      return {
+        wait: async () => ({ confirmed: false, timedOut: true }),
+        waitAll: async () => [],
+        stop: () => {},
+        startedAt
+      };
+    }
+
+    const cdp = webContents.debugger;
+    await cdp.sendCommand('Network.enable');
+
+    const requests = new Map(); // requestId -> { status, outcome } in send order
+    let settle;
+    let settled = false;
+    const outcome = new Promise(resolve => {
+      settle = resolve;
+    });
+    let onSettled = () => {}; // Wakes a pending waitAll
+    const finish = (requestId, result) => {
+      const request = requests.get(requestId);
+      if (request.outcome) return;
+      request.outcome = result;
+      if (!settled) {
+        settled = true;
+        settle(result);
+      }
+      onSettled();
+    };
+    const settledCount = () => Array.from(requests.values()).filter(r => r.outcome).length;
+
+    const onMessage = async (event, method, params) => {
+      if (method === 'Network.requestWillBeSent') {
+        if (params.request.method === 'POST' && endpoint.urlPattern.test(params.request.url)) {
+          requests.set(params.requestId, { status: null, outcome: null });
+        }
+        return;
+      }
+      if (!requests.has(params.requestId)) return;
+
+      if (method === 'Network.responseReceived') {
+        requests.get(params.requestId).status = params.response.status;
+      } else if (method === 'Network.loadingFailed') {
+        finish(params.requestId, { confirmed: false, rejected: true, error: `Post request failed: ${params.errorText}` });
+      } else if (method === 'Network.loadingFinished') {
+        const status = requests.get(params.requestId).status;
+        if (status >= 400) {
+          finish(params.requestId, { confirmed: false, rejected: true, error: `${platform} rejected the post (HTTP ${status})` });
+          return;
+        }
+
+        try {
+          const { body, base64Encoded } = await cdp.sendCommand('Network.getResponseBody', { requestId: params.requestId });
+          const parsed = endpoint.parse(base64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body);
+          if (parsed.error) {
+            finish(params.requestId, { confirmed: false, rejected: true, error: `${platform} rejected the post: ${parsed.error}` });
+          } else {
+            finish(params.requestId, { confirmed: true, ...parsed });
+          }
+        } catch (error) {
+          // Body unavailable or not JSON - a 2xx create response still means it went out
+          finish(params.requestId, { confirmed: true, platformPostId: null, platformUrl: null });
+        }
+      }
+    };
+    cdp.on('message', onMessage);
+
+    // Never outlive the browser task, even if the caller errors out before wait()
+    const expiry = setTimeout(() => cdp.removeListener('message', onMessage), WATCH_LIMIT_MS);
+    const stop = () => {
+      clearTimeout(expiry);
+      cdp.removeListener('message', onMessage);
+    };
+
+    return {
+      wait: async (timeoutMs = 8000) => {
+        let timer;
+        const timeout = new Promise(resolve => {
+          timer = setTimeout(() => resolve({ confirmed: false, timedOut: true }), timeoutMs);
+        });
+        try {
+          return await Promise.race([outcome, timeout]);
+        } finally {
+          clearTimeout(timer);
+          stop();
+        }
+      },
+      waitAll: async (count, timeoutMs = 8000) => {
+        let timer;
+        try {
+          await new Promise(resolve => {
+            timer = setTimeout(resolve, timeoutMs);
+            onSettled = () => {
+              if (settledCount() >= count) resolve();
+            };
+            onSettled();
+          });
+          return Array.from(requests.values()).map(r => r.outcome || { confirmed: false, timedOut: true });
+        } finally {
+          clearTimeout(timer);
+          stop();
+        }
+      },
+      stop,
+      startedAt
+    };
+  }
+}
+
+module.exports = new PostVerifier();
@@ -0,0 +1,130 @@
+/**
+ * Pulsar Content Calendar
+ * Combines scheduler jobs with projected runs of recurring jobs and of
+ * 'recurring' / 'queue' automations into one list of calendar entries
+ */
+
+const recurrence = require('./recurrence');
+
+const MAX_PROJECTED = 200; // Per job / automation, enough for a month of queue slots
+const MOVABLE_STATUSES = ['pending', 'awaiting_approval'];
+
+class ContentCalendar {
+  // Entries in [from, to), sorted by time
+  // entry: { id, kind: 'job' | 'occurrence' | 'automation', at, platform, text, status, movable,
+  //          jobId | automationId, profileId }
+  // getQueuePostTimes(automation) resolves a queue's times (AutomationManager.getQueuePostTimes)
+  getEntries({ jobs = [], automations = [], from, to, getQueuePostTimes = null }) {
+    const entries = [];
+
+    for (const job of jobs) {
+      if (job.scheduledAt >= from && job.scheduledAt < to) {
+        entries.push({
+          id: job.id,
+          kind: 'job',
+          jobId: job.id,
+          at: job.scheduledAt,
+          platform: job.platform || 'twitter',
+          text: job.content || '',
+          status: job.status,
+          recurring: !!job.recurrence,
+          movable: MOVABLE_STATUSES.includes(job.status),
+          profileId: job.profileId || null
+        });
+      }
+      if (job.recurrence && MOVABLE_STATUSES.includes(job.status)) {
+        entries.push(...this.projectJobOccurrences(job, from, to));
+      }
+    }
+
+    for (const automation of automations) {
+      entries.push(...this.projectAutomationRuns(automation, from, to, getQueuePostTimes));
+    }
+
+    return entries.sort((a, b) => a.at - b.at);
+  }
+
+  // Later occurrences of a recurring job (only the next one exists as a job)
+  projectJobOccurrences(job, from, to) {
+    const entries = [];
+    let occurrence = job.occurrence || 1;
+    let at = job.scheduledAt;
+    try {
+      while (entries.length < MAX_PROJECTED) {
+        at = recurrence.getNextOccurrence(job.recurrence, at, occurrence);
+        occurrence++;
+        if (!at || at >= to) break;
+        if (at >= from) {
+          entries.push({
+            id: `${job.id}@${at}`,
+            kind: 'occurrence',
+            jobId: job.id,
+            at,
+            platform: job.platform || 'twitter',
+            text: job.content || '',
+            status: 'projected',
+            recurring: true,
+            movable: false,
+            profileId: job.profileId || null
+          });
+        }
+      }
+    } catch (error) {
+      console.error('[Calendar] Failed to expand recurrence for job:', job.id, error.message);
+    }
+    return entries;
+  }
+
+  // Runs of an enabled 'recurring' or 'queue' automation from its nextRunAt on,
+  // following the same rules as AutomationManager.calculateNextRun
+  projectAutomationRuns(automation, from, to, getQueuePostTimes = null) {
+    const nextRunAt = automation.stats && automation.stats.nextRunAt;
+    if (!automation.enabled || !nextRunAt || !['recurring', 'queue'].includes(automation.type)) {
+      return [];
+    }
+
+    const config = automation.config || {};
+    let times;
+    if (automation.type === 'queue') {
+      times = getQueuePostTimes
+        ? getQueuePostTimes(automation).sort()
+        : [...(config.postTimes || ['09:00', '12:00', '18:00'])].sort();
+    } else {
+      times = [config.time || '09:00'];
+    }
+    const weekday = automation.type === 'recurring' && config.frequency === 'weekly'
+      ? (config.dayOfWeek || 1) // Default Monday
+      : null;
+
+    const entries = [];
+    const day = new Date(Math.max(nextRunAt, from));
+    day.setHours(0, 0, 0, 0);
+    while (day.getTime() < to && entries.length < MAX_PROJECTED) {
+      if (weekday === null || day.getDay() === weekday) {
+        for (const time of times) {
+          const [hours, minutes] = time.split(':').map(Number);
+          const at = new Date(day);
+          at.setHours(hours, minutes, 0, 0);
+          if (at.getTime() >= nextRunAt && at.getTime() >= from && at.getTime() < to) {
+            entries.push({
+              id: `${automation.id}@${at.getTime()}`,
+              kind: 'automation',
+              automationId: automation.id,
+              at: at.getTime(),
+              platform: automation.platform || 'twitter',
+              text: automation.name,
+              status: 'projected',
+              recurring: true,
+              movable: false,
+              profileId: automation.profileId || null
+            });
+          }
+        }
+      }
+      day.setDate(day.getDate() + 1); // setDate keeps local midnight across DST changes
+    }
+    return entries;
+  }
+}
+
+module.exports = new ContentCalendar();
@@ -0,0 +1,334 @@
+/**
+ * Pulsar Inbox
+ * Inbound engagement: mentions and replies from the X and LinkedIn notification
+ * pages, deduplicated into a local inbox. New items get AI reply drafts, and a
+ * reply goes out with one click through the platform's reply flow.
+ *
+ * Local store: userData/inbox.json
+ * main.js supplies the reader (in the BrowserView, queued like engagement),
+ * the drafter and the sender; this module only keeps state and schedules checks.
+ */
+
+const { ipcMain, app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PLATFORMS = ['twitter', 'linkedin'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_MS = 30 * DAY_MS;
+const MAX_ITEMS = 500;
+const DRAFT_COUNT = 2;
+const MAX_DRAFTS_PER_CHECK = 5; // AI calls per check stay bounded on a busy day
+const DEFAULT_SETTINGS = {
+  autoCheck: true,
+  intervalMinutes: 15,
+  platforms: ['twitter', 'linkedin'],
+  autoDraft: true
+};
+
+class InboxManager {
+  constructor() {
+    this.dataPath = path.join(app.getPath('userData'), 'inbox.json');
+    this.mainWindow = null;
+    this.readNotifications = null;
+    this.draftReplies = null;
+    this.sendReply = null;
+    this.checkTimer = null;
+    this.checking = false;
+    this.data = this.load();
+  }
+
+  // options.mainWindow - receives 'inbox-update'
+  // options.readNotifications(platform) -> { success, items: [{ profileId, itemId, kind, author, handle, text, postUrl, time }] }
+  // options.draftReplies(item, count) -> { success, drafts: [text] }
+  // options.sendReply(item, text) -> { success, platformUrl, error }
+  init(options = {}) {
+    this.mainWindow = options.mainWindow || null;
+    this.readNotifications = options.readNotifications;
+    this.draftReplies = options.draftReplies;
+    this.sendReply = options.sendReply;
+    this.prune();
+    this.schedule();
+    setTimeout(() => { if (this.checkTimer) this.check(); }, 2 * 60 * 1000); // First check once startup settles
+    console.log('[Inbox] Initialized with', this.data.items.length, 'items');
+  }
+
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  // (Re)start the periodic check from the current settings
+  schedule() {
+    this.stop();
+    const { autoCheck, intervalMinutes } = this.data.settings;
+    if (!autoCheck) return;
+    this.checkTimer = setInterval(() => this.check(), Math.max(5, intervalMinutes) * 60 * 1000);
+  }
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  load() {
+    try {
+      if (fs.existsSync(this.dataPath)) {
+        const data = JSON.parse(fs.readFileSync(this.dataPath, 'utf8'));
+        return { items: [], checks: {}, ...data, settings: { ...DEFAULT_SETTINGS, ...data.settings } };
+      }
+    } catch (error) {
+      console.error('[Inbox] Failed to load inbox:', error);
+    }
+    return { items: [], checks: {}, settings: { ...DEFAULT_SETTINGS } };
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.dataPath, JSON.stringify(this.data, null, 2));
+    } catch (error) {
+      console.error('[Inbox] Failed to save inbox:', error);
+    }
+  }
+
+  // Drop old items, then the oldest handled ones beyond MAX_ITEMS
+  prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    const before = this.data.items.length;
+    this.data.items = this.data.items.filter(item => item.receivedAt >= cutoff);
+    if (this.data.items.length > MAX_ITEMS) {
+      this.data.items.sort((a, b) => b.receivedAt - a.receivedAt);
+      this.data.items = this.data.items.filter((item, index) => index < MAX_ITEMS || item.status === 'new');
+    }
+    if (this.data.items.length !== before) this.save();
+  }
+
+  // ============================================
+  // Checking
+  // ============================================
+
+  // Read notifications on each enabled platform (or just `platform`) and add what's new
+  // Returns { success, added, errors: { platform: message } }
+  async check(platform = null) {
+    if (this.checking) {
+      return { success: false, error: 'Inbox check already running' };
+    }
+    this.checking = true;
+    const added = [];
+    const errors = {};
+    try {
+      const targets = platform ? [platform] : this.data.settings.platforms.filter(p => PLATFORMS.includes(p));
+      for (const target of targets) {
+        let result;
+        try {
+          result = await this.readNotifications(target);
+        } catch (error) {
+          result = { success: false, error: error.message };
+        }
+
+        this.data.checks[target] = { at: Date.now(), error: result.success ? null : result.error };
+        if (!result.success) {
+          console.warn('[Inbox]', target, 'check failed:', result.error);
+          errors[target] = result.error;
+          continue;
+        }
+        for (const item of result.items) {
+          const stored = this.add(target, item);
+          if (stored) added.push(stored);
+        }
+      }
+      this.save();
+      if (added.length > 0) {
+        console.log('[Inbox] Added', added.length, 'items');
+      }
+
+      if (this.data.settings.autoDraft) {
+        for (const item of added.slice(0, MAX_DRAFTS_PER_CHECK)) {
+          await this.draft(item.id);
+        }
+      }
+      this.notify();
+      const failed = Object.keys(errors).length;
+      return { success: targets.length === 0 || failed < targets.length, added: added.length, errors };
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // Store a notification unless we already have it; returns the new item or null
+  // (the same notification seen by two of our accounts is two items)
+  add(platform, item) {
+    const profileId = item.profileId || null;
+    const exists = this.data.items.some(existing =>
+      existing.platform === platform && existing.itemId === item.itemId && existing.profileId === profileId
+    );
+    if (exists || !item.itemId || !item.postUrl) return null;
+
+    const stored = {
+      id: crypto.randomUUID(),
+      platform,
+      profileId,
+      itemId: item.itemId,
+      kind: item.kind,
+      author: item.author || '',
+      handle: item.handle || '',
+      text: item.text || '',
+      postUrl: item.postUrl,
+      time: item.time || null,
+      receivedAt: Date.now(),
+      status: 'new', // 'new' | 'replied' | 'dismissed'
+      drafts: [],
+      draftError: null,
+      reply: null // { text, at, url }
+    };
+    this.data.items.push(stored);
+    return stored;
+  }
+
+  // ============================================
+  // Drafts and replies
+  // ============================================
+
+  // (Re)generate AI reply drafts for an item
+  async draft(itemId) {
+    const item = this.get(itemId);
+    if (!item) {
+      return { success: false, error: 'Inbox item not found: ' + itemId };
+    }
+
+    let result;
+    try {
+      result = await this.draftReplies(item, DRAFT_COUNT);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    if (result.success) {
+      item.drafts = result.drafts;
+      item.draftError = null;
+    } else {
+      item.draftError = result.error;
+    }
+    this.save();
+    this.notify();
+    return result.success ? { success: true, item } : { success: false, error: result.error };
+  }
+
+  async reply(itemId, text) {
+    const item = this.get(itemId);
+    if (!item) {
+      return { success: false, error: 'Inbox item not found: ' + itemId };
+    }
+    if (!text || !text.trim()) {
+      return { success: false, error: 'Reply is empty' };
+    }
+
+    let result;
+    try {
+      result = await this.sendReply(item, text.trim());
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    if (result.success) {
+      item.status = 'replied';
+      item.reply = { text: text.trim(), at: Date.now(), url: result.platformUrl || null };
+      this.save();
+      this.notify();
+    }
+    return result;
+  }
+
+  setStatus(itemId, status) {
+    const item = this.get(itemId);
+    if (!item) {
+      return { success: false, error: 'Inbox item not found: ' + itemId };
+    }
+    item.status = status;
+    this.save();
+    this.notify();
+    return { success: true };
+  }
+
+  notify() {
+    if (this.mainWindow) {
+      this.mainWindow.webContents.send('inbox-update', { newCount: this.countNew() });
+    }
+  }
+
+  // ============================================
+  // Queries
+  // ============================================
+
+  get(itemId) {
+    return this.data.items.find(item => item.id === itemId) || null;
+  }
+
+  countNew() {
+    return this.data.items.filter(item => item.status === 'new').length;
+  }
+
+  // filters: { platform, status, limit }; newest first
+  getItems(filters = {}) {
+    const results = this.data.items.filter(item => {
+      if (filters.platform && item.platform !== filters.platform) return false;
+      if (filters.status && item.status !== filters.status) return false;
+      return true;
+    });
+    results.sort((a, b) => b.receivedAt - a.receivedAt);
+    return filters.limit ? results.slice(0, filters.limit) : results;
+  }
+
+  getSettings() {
+    return { ...this.data.settings, checks: this.data.checks, newCount: this.countNew() };
+  }
+
+  saveSettings(settings) {
+    this.data.settings = { ...this.data.settings, ...settings };
+    this.save();
+    this.schedule();
+    return { success: true, settings: this.data.settings };
+  }
+
+  // ============================================
+  // IPC Handlers
+  // ============================================
+
+  initIPCHandlers() {
+    ipcMain.handle('inbox:getItems', async (event, filters) => {
+      return this.getItems(filters || {});
+    });
+
+    ipcMain.handle('inbox:check', async (event, platform) => {
+      return this.check(platform || null);
+    });
+
+    ipcMain.handle('inbox:draft', async (event, itemId) => {
+      return this.draft(itemId);
+    });
+
+    ipcMain.handle('inbox:reply', async (event, { itemId, text }) => {
+      return this.reply(itemId, text);
+    });
+
+    ipcMain.handle('inbox:dismiss', async (event, itemId) => {
+      return this.setStatus(itemId, 'dismissed');
+    });
+
+    ipcMain.handle('inbox:restore', async (event, itemId) => {
+      return this.setStatus(itemId, 'new');
+    });
+
+    ipcMain.handle('inbox:getSettings', async () => {
+      return this.getSettings();
+    });
+
+    ipcMain.handle('inbox:saveSettings', async (event, settings) => {
+      return this.saveSettings(settings || {});
+    });
+
+    console.log('[Inbox] IPC handlers initialized');
+  }
+}
+
+module.exports = new InboxManager();
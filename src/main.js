@@ -1,7 +1,13 @@
-const { app, BrowserWindow, BrowserView, ipcMain, session } = require('electron');
+const { app, BrowserWindow, BrowserView, ipcMain, session, dialog } = require('electron');
 const path = require('path');
 const puppeteer = require('puppeteer-core');
 const scheduler = require('./scheduler');
+const contentCalendar = require('./content-calendar');
+const postingTimeAdvisor = require('./posting-time-advisor');
+const twitterThread = require('./twitter-thread');
+const mediaUploader = require('./browser/media-uploader');
+const browserTaskQueue = require('./browser/browser-task-queue');
+const platforms = require('./platforms');
 const aiGenerator = require('./ai-generator');
 const personaBuilder = require('./persona-builder');
 const knowledgeBase = require('./knowledge-base');
@@ -18,6 +24,19 @@ const aiProvider = require('./ai/ai-provider');
 // Automation System
 const automationManager = require('./automation/automation-manager');
 
+// Social Profiles (one browser session per account)
+const socialProfiles = require('./profiles/social-profiles-manager');
+
+// Post Analytics (metrics of our published posts over time)
+const postAnalytics = require('./analytics/post-analytics');
+
+// Reply Log (every reply sent, for stats and duplicate checks)
+const replyLog = require('./automation/reply-log');
+const engagementActions = require('./automation/engagement-actions');
+
+// Inbox (mentions and replies from the notification pages)
+const inboxManager = require('./inbox/inbox-manager');
+
 // Company Settings (stored locally)
 const fs = require('fs');
 const companySettingsPath = path.join(app.getPath('userData'), 'company-settings.json');
@@ -45,6 +64,7 @@ function saveCompanySettings(settings) {
 
 let mainWindow;
 let browserView;
+let browserPartition = null; // Session partition the BrowserView was created with
 let browser; // Puppeteer browser instance
 
 // Get the path to Electron's Chromium
@@ -72,28 +92,8 @@ async function createWindow() {
     app.dock.setIcon(path.join(__dirname, '..', 'assets', 'icon.png'));
   }
 
-  // Create BrowserView for social media browsing
-  browserView = new BrowserView({
-    webPreferences: {
-      // Allow the social media sites to work normally
-      contextIsolation: true,
-      nodeIntegration: false,
-      // Persist session data
-      partition: 'persist:pulsar'
-    }
-  });
-
-  mainWindow.setBrowserView(browserView);
-
-  // Position the BrowserView (leave space for control panel on left)
-  const bounds = mainWindow.getBounds();
-  browserView.setBounds({
-    x: 300,  // Control panel width
-    y: 0,
-    width: bounds.width - 300,
-    height: bounds.height
-  });
-  browserView.setAutoResize({ width: true, height: true });
+  // Create BrowserView for social media browsing, signed in as the primary X profile
+  browserView = createBrowserView(socialProfiles.resolvePartition('twitter'));
 
   // Load the control panel UI
   mainWindow.loadFile(path.join(__dirname, 'renderer', 'index.html'));
@@ -101,15 +101,6 @@ async function createWindow() {
   // Load Twitter by default in BrowserView
   browserView.webContents.loadURL('https://x.com');
 
-  // Handle BrowserView load errors
-  browserView.webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL) => {
-    console.error('[Pulsar] BrowserView load failed:', errorCode, errorDescription, validatedURL);
-  });
-
-  browserView.webContents.on('did-finish-load', () => {
-    console.log('[Pulsar] BrowserView loaded:', browserView.webContents.getURL());
-  });
-
   // Handle window resize
   mainWindow.on('resize', () => {
     const newBounds = mainWindow.getBounds();
@@ -133,6 +124,95 @@ async function createWindow() {
   });
 }
 
+// BrowserView on a session partition (each social profile has its own persist: partition)
+function createBrowserView(partition) {
+  const view = new BrowserView({
+    webPreferences: {
+      // Allow the social media sites to work normally
+      contextIsolation: true,
+      nodeIntegration: false,
+      // Persist session data
+      partition
+    }
+  });
+
+  mainWindow.setBrowserView(view);
+
+  // Position the BrowserView (leave space for control panel on left)
+  const bounds = mainWindow.getBounds();
+  view.setBounds({
+    x: 300,  // Control panel width
+    y: 0,
+    width: bounds.width - 300,
+    height: bounds.height
+  });
+  view.setAutoResize({ width: true, height: true });
+
+  // Handle BrowserView load errors
+  view.webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL) => {
+    console.error('[Pulsar] BrowserView load failed:', errorCode, errorDescription, validatedURL);
+  });
+
+  view.webContents.on('did-finish-load', () => {
+    console.log('[Pulsar] BrowserView loaded:', view.webContents.getURL());
+  });
+
+  browserPartition = partition;
+  return view;
+}
+
+// ============================================
+// Browser Sessions (social profiles)
+// ============================================
+
+// A webContents can't change session, so switching profiles replaces the BrowserView
+async function useBrowserSession(partition, url = null) {
+  if (partition === browserPartition) return;
+  console.log('[Pulsar] Switching BrowserView session:', browserPartition, '->', partition);
+
+  const previous = browserView;
+  browserView = createBrowserView(partition);
+  if (previous) {
+    if (previous.webContents.debugger.isAttached()) {
+      previous.webContents.debugger.detach();
+    }
+    previous.webContents.close();
+  }
+  await connectPuppeteer();
+
+  if (url) {
+    await browserView.webContents.loadURL(url).catch(error => {
+      console.error('[Pulsar] BrowserView load failed after session switch:', error.message);
+    });
+  }
+}
+
+// Run a browser task signed in as a profile (or the platform's primary), then put the previous session back
+async function withProfileSession(platform, profileId, handler) {
+  const partition = socialProfiles.resolvePartition(platform, profileId);
+  if (partition === browserPartition) {
+    return handler();
+  }
+
+  const restore = { partition: browserPartition, url: browserView.webContents.getURL() };
+  await useBrowserSession(partition);
+  try {
+    return await handler();
+  } finally {
+    await useBrowserSession(restore.partition, restore.url);
+  }
+}
+
+// Read-only profiles (over the tier's account limit) can't post or reply; API platforms aren't profiles
+function sessionWriteError(platform, companySlug = null) {
+  const adapter = platforms.get(platform);
+  if (adapter && !adapter.usesBrowser) return null;
+  if (companySlug && !socialProfiles.companyPagesAllowed()) {
+    return 'Company Pages require Pro or Agency';
+  }
+  return socialProfiles.writeError(socialProfiles.forSession(platform, browserPartition, companySlug));
+}
+
 // Connect puppeteer to the BrowserView's debugger
 async function connectPuppeteer() {
   try {
@@ -162,11 +242,11 @@ async function executeCDP(method, params = {}) {
 }
 
 // Navigate to a URL
-ipcMain.handle('navigate', async (event, url) => {
+ipcMain.handle('navigate', browserTaskQueue.wrap('manual', 'navigate', async (event, url) => {
   console.log('[Pulsar] Navigating to:', url);
   await browserView.webContents.loadURL(url);
   return { success: true };
-});
+}));
 
 // Get current URL
 ipcMain.handle('getCurrentUrl', async () => {
@@ -174,979 +254,309 @@ ipcMain.handle('getCurrentUrl', async () => {
 });
 
 // Refresh BrowserView
-ipcMain.handle('refreshBrowserView', async () => {
+ipcMain.handle('refreshBrowserView', browserTaskQueue.wrap('manual', 'refreshBrowserView', async () => {
   console.log('[Pulsar] Refreshing BrowserView');
   browserView.webContents.reload();
   return { success: true };
-});
+}));
 
 // Check if logged in to a platform
+// Read-only on the current page, so it doesn't wait in the browser task queue
 ipcMain.handle('checkLoginStatus', async (event, platform) => {
   const url = browserView.webContents.getURL();
 
-  // Execute JavaScript in the BrowserView to check login status
-  const isLoggedIn = await browserView.webContents.executeJavaScript(`
-    (function() {
-      if (window.location.hostname.includes('x.com') || window.location.hostname.includes('twitter.com')) {
-        return !!(
-          document.querySelector('[data-testid="AppTabBar_Profile_Link"]') ||
-          document.querySelector('[data-testid="SideNav_AccountSwitcher_Button"]')
-        );
-      }
-      if (window.location.hostname.includes('linkedin.com')) {
-        // LinkedIn UI updated - use multiple selectors
-        return !!(
-          document.querySelector('.feed-identity-module') ||
-          document.querySelector('.profile-card-profile-picture') ||
-          document.querySelector('[data-control-name="identity_profile_photo"]') ||
-          document.querySelector('.share-box-feed-entry__avatar') ||
-          document.querySelector('.feed-identity-module__actor-meta') ||
-          document.querySelector('img.feed-identity-module__member-photo') ||
-          document.querySelector('.global-nav__me-photo') ||
-          document.querySelector('[data-view-name="profile-card"]')
-        );
-      }
-      return false;
-    })()
-  `);
+  // API platforms keep their own session, independent of the open page
+  const apiAdapter = platforms.get(platform);
+  if (apiAdapter && !apiAdapter.usesBrowser) {
+    return { platform, loggedIn: await apiAdapter.checkLogin(), url };
+  }
+
+  // The site currently open decides
+  const adapter = platforms.forUrl(url);
+  const isLoggedIn = adapter ? await adapter.checkLogin() : false;
 
   return { platform, loggedIn: isLoggedIn, url };
 });
 
-// Post to Twitter using CDP for reliable text input
-// Now with quota token verification for anti-hack protection
-ipcMain.handle('postToTwitter', async (event, content, postToken = null) => {
-  console.log('[Pulsar] Posting to Twitter:', content.substring(0, 50) + '...');
+// Uploading media (Instagram, video) can outlast the default browser task timeout
+const MEDIA_POST_TIMEOUT_MS = 5 * 60 * 1000;
 
-  // Step 0: Verify post token (anti-hack)
-  let tokenToConfirm = postToken;
+// Threads post tweet by tweet, so their browser task timeout grows with the thread
+const THREAD_TWEET_TIMEOUT_MS = 60 * 1000;
+const THREAD_BASE_TIMEOUT_MS = 2 * 60 * 1000;
 
-  if (!tokenToConfirm) {
-    // Request token if not provided (backwards compatibility)
-    const tokenResult = await quotaManager.requestPostToken('twitter', content);
-    if (!tokenResult.success) {
-      return {
-        success: false,
-        error: tokenResult.error,
-        quotaExceeded: true
-      };
-    }
-    tokenToConfirm = tokenResult.token;
+// Browser task timeout for a scheduled job (undefined = the queue's default)
+function scheduledTaskTimeout(job) {
+  if (job.contentType === 'thread') {
+    return THREAD_BASE_TIMEOUT_MS + (job.segments || []).length * THREAD_TWEET_TIMEOUT_MS;
   }
+  return job.media && job.media.length > 0 ? MEDIA_POST_TIMEOUT_MS : undefined;
+}
 
-  try {
-    // Navigate to compose page
-    await browserView.webContents.loadURL('https://x.com/compose/post');
-
-    // Wait for page to load
-    await new Promise(resolve => setTimeout(resolve, 2500));
-
-    // Step 1: Focus and click on the textarea
-    const focusResult = await browserView.webContents.executeJavaScript(`
-      (async function() {
-        const waitForElement = (selectors, timeout = 15000) => {
-          return new Promise((resolve, reject) => {
-            const startTime = Date.now();
-            const selectorList = Array.isArray(selectors) ? selectors : [selectors];
-            const check = () => {
-              for (const selector of selectorList) {
-                const el = document.querySelector(selector);
-                if (el) {
-                  console.log('[Pulsar] Found element with selector:', selector);
-                  return resolve(el);
-                }
-              }
-              if (Date.now() - startTime > timeout) {
-                return reject(new Error('Timeout waiting for: ' + selectorList.join(' OR ')));
-              }
-              setTimeout(check, 200);
-            };
-            check();
-          });
-        };
-
-        try {
-          // Try multiple selectors for the text area
-          const selectors = [
-            '[data-testid="tweetTextArea_0"]',
-            '[data-testid="tweetTextArea_0_label"]',
-            'div[role="textbox"][data-testid]',
-            'div[contenteditable="true"][role="textbox"]',
-            'div[contenteditable="true"][data-contents="true"]',
-            '.public-DraftEditor-content',
-            '[aria-label="Post text"]'
-          ];
-
-          console.log('[Pulsar] Looking for textarea with selectors:', selectors);
-
-          const textarea = await waitForElement(selectors);
-          console.log('[Pulsar] Found textarea:', textarea.tagName, textarea.className);
-
-          textarea.click();
-          textarea.focus();
-
-          // Get the editable div inside if exists
-          const editableDiv = textarea.querySelector('[contenteditable="true"]') || textarea;
-          editableDiv.click();
-          editableDiv.focus();
-
-          // Ensure cursor is in the editor
-          const selection = window.getSelection();
-          const range = document.createRange();
-          range.selectNodeContents(editableDiv);
-          range.collapse(false);
-          selection.removeAllRanges();
-          selection.addRange(range);
-
-          return { success: true, focused: true, element: textarea.tagName };
-        } catch (error) {
-          console.error('[Pulsar] Focus error:', error);
-          return { success: false, error: error.message };
-        }
-      })()
-    `);
-
-    if (!focusResult.success) {
-      return focusResult;
-    }
-
-    await new Promise(resolve => setTimeout(resolve, 300));
-
-    // Step 2: Use CDP Input.insertText for reliable text input
-    console.log('[Pulsar] Using CDP to insert text...');
-    await browserView.webContents.debugger.sendCommand('Input.insertText', {
-      text: content
-    });
-
-    // Wait longer for React/Draft.js to update DOM
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    // Step 3: Verify text was inserted and click post button
-    const postResult = await browserView.webContents.executeJavaScript(`
-      (async function() {
-        // Wait for DOM to settle
-        await new Promise(r => setTimeout(r, 500));
-
-        // Try multiple selectors to find the text area content
-        const selectors = [
-          '[data-testid="tweetTextArea_0"]',
-          'div[contenteditable="true"][role="textbox"]',
-          '.public-DraftEditor-content',
-          '[aria-label="Post text"]'
-        ];
-
-        let textarea = null;
-        for (const selector of selectors) {
-          textarea = document.querySelector(selector);
-          if (textarea && textarea.textContent.trim().length > 0) {
-            console.log('[Pulsar] Found text in:', selector);
-            break;
-          }
-        }
-
-        const textContent = textarea?.textContent?.trim() || '';
-        console.log('[Pulsar] Text content found:', textContent.substring(0, 50));
-
-        // Find post button - try multiple selectors
-        const postBtnSelectors = [
-          '[data-testid="tweetButton"]',
-          '[data-testid="tweetButtonInline"]',
-          'button[data-testid*="tweet"]'
-        ];
-
-        let postBtn = null;
-        for (const selector of postBtnSelectors) {
-          postBtn = document.querySelector(selector);
-          if (postBtn) {
-            console.log('[Pulsar] Found post button:', selector);
-            break;
-          }
-        }
-
-        if (!postBtn) {
-          return { success: false, error: 'Post button not found' };
-        }
-
-        // Check if button is enabled
-        const isDisabled = postBtn.getAttribute('aria-disabled') === 'true';
-        console.log('[Pulsar] Post button aria-disabled:', isDisabled);
-
-        // Even if aria-disabled, try clicking if text is present
-        if (textContent.length === 0 && isDisabled) {
-          return { success: false, error: 'No text detected and button is disabled' };
-        }
-
-        // Click the post button
-        console.log('[Pulsar] Clicking post button...');
-        postBtn.click();
-
-        // Wait for post to complete
-        await new Promise(r => setTimeout(r, 2500));
-
-        // Check if compose modal closed (indicating success)
-        const modalStillOpen = document.querySelector('[data-testid="tweetTextArea_0"]');
-        if (!modalStillOpen) {
-          console.log('[Pulsar] Compose modal closed - post likely succeeded');
-          return { success: true };
-        }
-
-        // Modal still open - check if text was cleared (another success indicator)
-        const remainingText = modalStillOpen.textContent?.trim() || '';
-        if (remainingText.length === 0) {
-          console.log('[Pulsar] Text cleared - post likely succeeded');
-          return { success: true };
-        }
+// API platforms (Bluesky) don't touch the BrowserView, so they skip the browser task queue;
+// browser tasks run signed in as options.profileId (or the platform's primary profile)
+function runPlatformTask(platform, handler, options = {}) {
+  const adapter = platforms.get(platform);
+  if (adapter && !adapter.usesBrowser) {
+    return handler();
+  }
+  return browserTaskQueue.run(() => withProfileSession(platform, options.profileId, handler), options);
+}
 
-        return { success: true, note: 'Post button clicked, verify manually' };
-      })()
-    `);
+// Post through the platform adapter and settle the quota token with the verified outcome
+// options: { postToken, media, companySlug, quotaPlatform, postOptions, idempotencyKey, jobId, quoteOf }
+// postOptions: platform extras such as Mastodon's { spoilerText, visibility }
+// jobId: the scheduler job being posted, linked to the post's analytics
+// quoteOf: URL of a post to quote; the content becomes the quote's commentary
+async function publishPost(platform, content, options = {}) {
+  const adapter = platforms.get(platform);
+  if (!adapter) {
+    return { success: false, error: 'Platform not supported: ' + platform };
+  }
+  if (options.quoteOf && !adapter.quote) {
+    return { success: false, error: `Quote posts are not supported on ${adapter.label}`, retryable: false };
+  }
 
-    // Confirm token usage based on result
-    await quotaManager.confirmPostToken(
-      tokenToConfirm,
-      postResult.success,
-      null, // platformPostId - we don't get this from Twitter easily
-      postResult.success ? null : postResult.error
-    );
+  // Checked before a token is taken so an oversized post never costs quota
+  const contentError = adapter.checkContent(content, options.media, options.postOptions);
+  if (contentError) {
+    return { success: false, error: contentError, retryable: false };
+  }
+  const writeError = sessionWriteError(platform, options.companySlug);
+  if (writeError) {
+    return { success: false, error: writeError, retryable: false, upgradeRequired: true };
+  }
 
-    return postResult;
+  let attachments;
+  try {
+    attachments = mediaUploader.normalize(options.media, platform);
   } catch (error) {
-    console.error('[Pulsar] Post failed:', error);
-
-    // Refund token on error
-    await quotaManager.confirmPostToken(tokenToConfirm, false, null, error.message);
-
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, retryable: false };
   }
-});
-
-// Post to LinkedIn using CDP for reliable text input
-// Similar pattern to Twitter but with LinkedIn-specific selectors
-ipcMain.handle('postToLinkedIn', async (event, content, postToken = null) => {
-  console.log('[Pulsar] Posting to LinkedIn:', content.substring(0, 50) + '...');
 
-  // Step 0: Verify post token (anti-hack)
-  let tokenToConfirm = postToken;
-
-  if (!tokenToConfirm) {
-    // Request token if not provided
-    const tokenResult = await quotaManager.requestPostToken('linkedin', content);
+  // Verify post token (anti-hack) - request one if the caller didn't
+  let postToken = options.postToken;
+  if (!postToken) {
+    const tokenResult = await quotaManager.requestPostToken(options.quotaPlatform || platform, content);
     if (!tokenResult.success) {
+      console.log('[Pulsar] Post blocked by quota:', tokenResult.error);
       return {
         success: false,
         error: tokenResult.error,
         quotaExceeded: true
       };
     }
-    tokenToConfirm = tokenResult.token;
+    postToken = tokenResult.token;
   }
 
+  let result;
   try {
-    // Navigate to LinkedIn feed with share modal active
-    await browserView.webContents.loadURL('https://www.linkedin.com/feed/');
-
-    // Wait for page to load
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Step 1: Click "Start a post" button to open compose modal
-    console.log('[Pulsar] Step 1: Looking for Start a post button...');
-    const openResult = await browserView.webContents.executeJavaScript(`
-      (function() {
-        try {
-          // Strategy: Find the share-box and click the most interactive element inside
-          const shareBox = document.querySelector('.share-box-feed-entry, [class*="share-box-feed"]');
-
-          if (shareBox) {
-            // Look for the trigger button or placeholder text area inside the share box
-            const innerTrigger = shareBox.querySelector(
-              'button, ' +
-              '[role="button"], ' +
-              '.share-box-feed-entry__trigger, ' +
-              '.share-box-feed-entry__placeholder, ' +
-              '[class*="trigger"], ' +
-              '[class*="placeholder"], ' +
-              'span[dir="ltr"]'
-            );
-
-            if (innerTrigger) {
-              innerTrigger.click();
-              return { success: true, selector: 'shareBox-inner', element: innerTrigger.tagName + '.' + (innerTrigger.className || '').split(' ')[0] };
-            }
-
-            // If no inner trigger, click the share box itself
-            shareBox.click();
-            return { success: true, selector: 'shareBox-direct' };
-          }
-
-          // Fallback: try direct selectors
-          const directSelectors = [
-            '.share-box-feed-entry__trigger',
-            'button.share-box-feed-entry__trigger',
-            '[data-control-name="share.open_share_box"]',
-            'button[aria-label="Start a post"]',
-            '.share-creation-state__trigger'
-          ];
-
-          for (const sel of directSelectors) {
-            const el = document.querySelector(sel);
-            if (el) {
-              el.click();
-              return { success: true, selector: sel };
-            }
-          }
-
-          // Last resort: find by "Start a post" text
-          const allClickables = document.querySelectorAll('button, [role="button"], [tabindex="0"], span, div');
-          for (const el of allClickables) {
-            if (el.textContent?.includes('Start a post')) {
-              el.click();
-              return { success: true, selector: 'text-match', element: el.tagName };
-            }
-          }
-
-          return { success: false, error: 'Could not find Start a post element' };
-        } catch (e) {
-          return { success: false, error: e.message };
-        }
-      })()
-    `);
-    console.log('[Pulsar] Step 1 result:', JSON.stringify(openResult));
-
-    // If click succeeded, wait longer for modal animation
-    if (openResult.success) {
-      await new Promise(resolve => setTimeout(resolve, 1500));
-
-      // Verify modal opened, if not try clicking again or a different element
-      const modalCheck = await browserView.webContents.executeJavaScript(`
-        (function() {
-          const modal = document.querySelector('.artdeco-modal, [role="dialog"], .share-creation-state');
-          const contentEditable = document.querySelector('[contenteditable="true"]');
-          return { hasModal: !!modal, hasEditor: !!contentEditable };
-        })()
-      `);
-      console.log('[Pulsar] Modal check after click:', JSON.stringify(modalCheck));
-
-      if (!modalCheck.hasModal && !modalCheck.hasEditor) {
-        console.log('[Pulsar] Modal did not open, trying alternative click...');
-        // Try clicking "Start a post" text directly with a simulated mouse event
-        await browserView.webContents.executeJavaScript(`
-          (function() {
-            const shareBox = document.querySelector('.share-box-feed-entry, [class*="share-box-feed"]');
-            if (shareBox) {
-              // Dispatch a proper mouse event
-              const evt = new MouseEvent('click', { bubbles: true, cancelable: true, view: window });
-              shareBox.dispatchEvent(evt);
-            }
-          })()
-        `);
-        await new Promise(resolve => setTimeout(resolve, 1500));
-      }
-    }
-
-    if (!openResult.success) {
-      await quotaManager.confirmPostToken(tokenToConfirm, false, null, openResult.error);
-      return openResult;
-    }
-
-    // Wait for compose modal to open
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Step 2: Focus on the text editor
-    console.log('[Pulsar] Step 2: Looking for editor...');
-    const focusResult = await browserView.webContents.executeJavaScript(`
-      (function() {
-        try {
-          // LinkedIn uses various editor implementations
-          const editorSelectors = [
-            '.ql-editor',
-            '[data-placeholder="What do you want to talk about?"]',
-            '.share-creation-state__text-editor .ql-editor',
-            '.editor-content[contenteditable="true"]',
-            '[role="textbox"][contenteditable="true"]',
-            '.share-box-v2__modal-content .ql-editor',
-            '.share-creation-state__editor .ql-editor',
-            '[data-test-richtexteditor]',
-            '.share-box__editor .ql-editor',
-            'div[contenteditable="true"][aria-label*="post"]',
-            '.artdeco-modal [contenteditable="true"]',
-            '[aria-label="Text editor for creating content"]',
-            // More aggressive patterns
-            '[contenteditable="true"]',
-            '.ql-container .ql-editor'
-          ];
-
-          let editor = null;
-          let foundSelector = '';
-
-          for (const selector of editorSelectors) {
-            editor = document.querySelector(selector);
-            if (editor) {
-              foundSelector = selector;
-              break;
-            }
-          }
-
-          // Fallback: find any contenteditable in modal
-          if (!editor) {
-            const modal = document.querySelector('.artdeco-modal, [role="dialog"], [class*="modal"]');
-            if (modal) {
-              editor = modal.querySelector('[contenteditable="true"]');
-              if (editor) foundSelector = 'modal-contenteditable';
-            }
-          }
-
-          if (!editor) {
-            // Debug: check what modals/dialogs exist
-            const modals = document.querySelectorAll('[role="dialog"], [class*="modal"], .artdeco-modal');
-            const contentEditables = document.querySelectorAll('[contenteditable="true"]');
-            return {
-              success: false,
-              error: 'Editor not found',
-              debug: {
-                modals: modals.length,
-                contentEditables: contentEditables.length,
-                modalClasses: Array.from(modals).slice(0,3).map(m => m.className?.split(' ')[0])
-              }
-            };
-          }
-
-          editor.click();
-          editor.focus();
-
-          // Ensure cursor is in the editor
-          try {
-            const selection = window.getSelection();
-            const range = document.createRange();
-            range.selectNodeContents(editor);
-            range.collapse(false);
-            selection.removeAllRanges();
-            selection.addRange(range);
-          } catch(e) {}
-
-          return { success: true, selector: foundSelector };
-        } catch (e) {
-          return { success: false, error: e.message };
-        }
-      })()
-    `);
-    console.log('[Pulsar] Step 2 result:', JSON.stringify(focusResult));
-
-    if (!focusResult.success) {
-      await quotaManager.confirmPostToken(tokenToConfirm, false, null, focusResult.error);
-      return focusResult;
-    }
+    const publishOptions = {
+      ...options.postOptions,
+      media: attachments,
+      companySlug: options.companySlug,
+      idempotencyKey: options.idempotencyKey
+    };
+    result = options.quoteOf
+      ? await adapter.quote(options.quoteOf, content, publishOptions)
+      : await adapter.publish(content, publishOptions);
+  } catch (error) {
+    console.error(`[Pulsar] ${platform} post failed:`, error);
 
-    await new Promise(resolve => setTimeout(resolve, 300));
+    // Refund token on error
+    await settlePostToken(postToken, { success: false, error: error.message });
 
-    // Step 3: Use CDP Input.insertText for reliable text input
-    console.log('[Pulsar] Using CDP to insert text into LinkedIn...');
-    await browserView.webContents.debugger.sendCommand('Input.insertText', {
-      text: content
-    });
+    return { success: false, error: error.message };
+  }
 
-    // Wait for editor to update
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    // Step 4: Click the Post button
-    const postResult = await browserView.webContents.executeJavaScript(`
-      (async function() {
-        await new Promise(r => setTimeout(r, 500));
-
-        // Verify text was inserted
-        const editorSelectors = [
-          '.ql-editor',
-          '[data-placeholder="What do you want to talk about?"]',
-          '.editor-content[contenteditable="true"]',
-          '[contenteditable="true"][role="textbox"]',
-          '.artdeco-modal [contenteditable="true"]'
-        ];
-
-        let editor = null;
-        for (const selector of editorSelectors) {
-          editor = document.querySelector(selector);
-          if (editor && editor.textContent.trim().length > 0) {
-            console.log('[Pulsar] Found text in:', selector);
-            break;
-          }
-        }
+  // Past this point the outcome is known: bookkeeping failures must not refund or fail the post
+  platforms.selectorPacks.recordResult(platform, result);
+  await settlePostToken(postToken, result); // Refunded unless the platform confirmed the post
 
-        // Fallback: find in modal
-        if (!editor || editor.textContent.trim().length === 0) {
-          const modal = document.querySelector('.artdeco-modal, [role="dialog"]');
-          if (modal) {
-            const modalEditor = modal.querySelector('[contenteditable="true"]');
-            if (modalEditor && modalEditor.textContent.trim().length > 0) {
-              editor = modalEditor;
-              console.log('[Pulsar] Found text in modal editor');
-            }
-          }
-        }
+  if (result.success) {
+    trackPublishedPost(platform, content, result, options);
+  }
+  return result;
+}
 
-        const textContent = editor?.textContent?.trim() || '';
-        console.log('[Pulsar] LinkedIn text content found:', textContent.substring(0, 50));
+// Backoff for re-confirming the token of a post that went out
+const TOKEN_CONFIRM_RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000];
 
-        if (textContent.length === 0) {
-          return { success: false, error: 'No text detected in editor' };
-        }
+// Settle a post token with the post's outcome; never throws. A failed confirm of a
+// published post is retried in the background rather than refunded
+async function settlePostToken(postToken, result, attempt = 0) {
+  let confirmed;
+  try {
+    confirmed = await quotaManager.confirmPostToken(
+      postToken,
+      result.success,
+      result.platformPostId || null,
+      result.success ? null : result.error,
+      result.platformUrl || null
+    );
+  } catch (error) {
+    confirmed = { success: false, error: error.message };
+  }
+  if (!confirmed || confirmed.success !== false) return;
 
-        // Find the Post button - LinkedIn UI changes frequently
-        const postBtnSelectors = [
-          '.share-actions__primary-action',
-          'button.share-actions__primary-action',
-          '[data-control-name="share.post"]',
-          'button[aria-label="Post"]',
-          '.share-box-v2__submit-button',
-          'button.artdeco-button--primary[type="submit"]',
-          // Additional selectors
-          '.share-creation-state__footer button.artdeco-button--primary',
-          '.artdeco-modal button.artdeco-button--primary',
-          '[data-test-modal-footer] button.artdeco-button--primary'
-        ];
-
-        let postBtn = null;
-        for (const selector of postBtnSelectors) {
-          const btn = document.querySelector(selector);
-          if (btn) {
-            console.log('[Pulsar] Found post button:', selector, btn.textContent);
-            postBtn = btn;
-            break;
-          }
-        }
+  const delay = result.success ? TOKEN_CONFIRM_RETRY_DELAYS_MS[attempt] : undefined;
+  console.error('[Pulsar] Post token confirm failed:', confirmed.error,
+    delay ? `(retrying in ${delay / 1000}s)` : '(giving up)');
+  if (delay) {
+    setTimeout(() => settlePostToken(postToken, result, attempt + 1), delay);
+  }
+}
 
-        if (!postBtn) {
-          // Try finding by button text in modal
-          const modal = document.querySelector('.artdeco-modal, [role="dialog"]');
-          const buttonsToCheck = modal ? modal.querySelectorAll('button') : document.querySelectorAll('button');
-          for (const btn of buttonsToCheck) {
-            const text = btn.textContent.trim().toLowerCase();
-            if (text === 'post' || text === 'share') {
-              postBtn = btn;
-              console.log('[Pulsar] Found post button by text:', text);
-              break;
-            }
-          }
-        }
+// Hand a confirmed post to analytics, attributed to the profile whose session posted it
+function trackPublishedPost(platform, content, result, options = {}) {
+  const adapter = platforms.get(platform);
+  const profile = adapter && adapter.usesBrowser
+    ? socialProfiles.forSession(platform, browserPartition, options.companySlug)
+    : null;
+  postAnalytics.track({
+    platform,
+    platformUrl: result.platformUrl,
+    platformPostId: result.platformPostId,
+    profileId: profile ? profile.id : null,
+    jobId: options.jobId || null,
+    content,
+    publishedAt: Date.now()
+  });
+}
 
-        if (!postBtn) {
-          return { success: false, error: 'Post button not found' };
-        }
+// Post to Twitter
+// Now with quota token verification for anti-hack protection
+ipcMain.handle('postToTwitter', browserTaskQueue.wrap('manual', 'postToTwitter', async (event, content, postToken = null, media = []) => {
+  console.log('[Pulsar] Posting to Twitter:', content.substring(0, 50) + '...');
+  return publishPost('twitter', content, { postToken, media });
+}));
+
+// Pick image/video files to attach to a post
+ipcMain.handle('media:pick', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Attach media',
+    properties: ['openFile', 'multiSelections'],
+    filters: [
+      { name: 'Images & Video', extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'mp4', 'mov', 'm4v'] }
+    ]
+  });
+  if (result.canceled) return [];
+  return result.filePaths.map(filePath => ({ path: filePath, altText: '', kind: mediaUploader.getKind(filePath) }));
+});
 
-        // Check if button is disabled
-        const isDisabled = postBtn.disabled || postBtn.getAttribute('aria-disabled') === 'true';
-        console.log('[Pulsar] Post button disabled:', isDisabled);
+// Post a thread to Twitter (segments: array of tweet texts)
+ipcMain.handle('postThreadToTwitter', browserTaskQueue.wrap('manual', 'postThreadToTwitter', async (event, { segments, strategy }) => {
+  console.log('[Pulsar] Posting thread to Twitter:', (segments || []).length, 'tweets');
+  return postTwitterThread(segments, { strategy });
+}));
 
-        if (isDisabled) {
-          return { success: false, error: 'Post button is disabled' };
-        }
+// Post to LinkedIn
+ipcMain.handle('postToLinkedIn', browserTaskQueue.wrap('manual', 'postToLinkedIn', async (event, content, postToken = null, media = []) => {
+  console.log('[Pulsar] Posting to LinkedIn:', content.substring(0, 50) + '...');
+  return publishPost('linkedin', content, { postToken, media });
+}));
+
+// Post to Threads
+ipcMain.handle('postToThreads', browserTaskQueue.wrap('manual', 'postToThreads', async (event, content, postToken = null, media = []) => {
+  console.log('[Pulsar] Posting to Threads:', content.substring(0, 50) + '...');
+  return publishPost('threads', content, { postToken, media });
+}));
+
+// Post to Instagram (media required: one image/video or a carousel)
+ipcMain.handle('postToInstagram', browserTaskQueue.wrap('manual', 'postToInstagram', async (event, content, postToken = null, media = []) => {
+  console.log('[Pulsar] Posting to Instagram:', content.substring(0, 50) + '...');
+  return publishPost('instagram', content, { postToken, media });
+}, { timeoutMs: MEDIA_POST_TIMEOUT_MS }));
+
+// Post to Bluesky (XRPC API, no BrowserView)
+ipcMain.handle('postToBluesky', async (event, content, postToken = null) => {
+  console.log('[Pulsar] Posting to Bluesky:', content.substring(0, 50) + '...');
+  return publishPost('bluesky', content, { postToken });
+});
 
-        // Click the post button
-        console.log('[Pulsar] Clicking LinkedIn post button...');
-        postBtn.click();
+// Post to Mastodon (REST API, no BrowserView)
+// postOptions: { spoilerText, visibility }
+ipcMain.handle('postToMastodon', async (event, content, postToken = null, postOptions = {}) => {
+  console.log('[Pulsar] Posting to Mastodon:', content.substring(0, 50) + '...');
+  return publishPost('mastodon', content, { postToken, postOptions });
+});
 
-        // Wait for post to complete
-        await new Promise(r => setTimeout(r, 3000));
+// ============================================
+// Bluesky Account
+// ============================================
 
-        // Check if modal closed (indicating success)
-        const modalStillOpen = document.querySelector('.share-box-v2__modal-content') ||
-                              document.querySelector('.share-creation-state');
-        if (!modalStillOpen) {
-          console.log('[Pulsar] LinkedIn compose modal closed - post likely succeeded');
-          return { success: true };
-        }
+ipcMain.handle('bluesky:login', async (event, { service, identifier, appPassword }) => {
+  return platforms.bluesky.login({ service, identifier, appPassword });
+});
 
-        // Check for success toast
-        const successToast = document.querySelector('.artdeco-toast-item--visible');
-        if (successToast && successToast.textContent.toLowerCase().includes('post')) {
-          console.log('[Pulsar] Found success toast');
-          return { success: true };
-        }
+ipcMain.handle('bluesky:logout', async () => {
+  return platforms.bluesky.logout();
+});
 
-        return { success: true, note: 'Post button clicked, verify manually' };
-      })()
-    `);
+ipcMain.handle('bluesky:getAccount', async () => {
+  return platforms.bluesky.getAccount();
+});
 
-    // Confirm token usage based on result
-    await quotaManager.confirmPostToken(
-      tokenToConfirm,
-      postResult.success,
-      null,
-      postResult.success ? null : postResult.error
-    );
+// ============================================
+// Mastodon Account
+// ============================================
 
-    return postResult;
-  } catch (error) {
-    console.error('[Pulsar] LinkedIn post failed:', error);
+ipcMain.handle('mastodon:login', async (event, { instance, accessToken }) => {
+  return platforms.mastodon.login({ instance, accessToken });
+});
 
-    // Refund token on error
-    await quotaManager.confirmPostToken(tokenToConfirm, false, null, error.message);
+ipcMain.handle('mastodon:logout', async () => {
+  return platforms.mastodon.logout();
+});
 
-    return { success: false, error: error.message };
-  }
+ipcMain.handle('mastodon:getAccount', async () => {
+  return platforms.mastodon.getAccount();
 });
 
 // ============================================
 // LinkedIn Company Page Posting
 // ============================================
-ipcMain.handle('postToLinkedInCompany', async (event, { content, companySlug }) => {
+ipcMain.handle('postToLinkedInCompany', browserTaskQueue.wrap('manual', 'postToLinkedInCompany', async (event, { content, companySlug, media = [] }) => {
   console.log(`[Pulsar] Posting to LinkedIn Company Page: ${companySlug}`);
   console.log('[Pulsar] Content:', content.substring(0, 50) + '...');
+  return publishPost('linkedin', content, { media, companySlug, quotaPlatform: 'linkedin_company' });
+}));
 
-  // Step 0: Verify post token (anti-hack)
-  const tokenResult = await quotaManager.requestPostToken('linkedin_company', content);
-  if (!tokenResult.success) {
-    return {
-      success: false,
-      error: tokenResult.error,
-      quotaExceeded: true
-    };
-  }
-  const tokenToConfirm = tokenResult.token;
-
-  try {
-    // Navigate to Company Page
-    const companyUrl = `https://www.linkedin.com/company/${companySlug}/`;
-    console.log('[Pulsar] Navigating to Company Page:', companyUrl);
-    await browserView.webContents.loadURL(companyUrl);
-
-    // Wait for page to load
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Step 1: Click "Create" button on Company Page to open dropdown
-    console.log('[Pulsar] Step 1: Looking for Create button...');
-    const createResult = await browserView.webContents.executeJavaScript(`
-      (function() {
-        try {
-          // Find the Create button (usually a green/primary button)
-          const createSelectors = [
-            'button[aria-label="Create"]',
-            '.org-page-navigation__create-btn',
-            'button.artdeco-button--primary',
-            '[data-control-name="org_admin_create"]'
-          ];
-
-          for (const selector of createSelectors) {
-            const el = document.querySelector(selector);
-            if (el && el.textContent?.toLowerCase().includes('create')) {
-              el.click();
-              return { success: true, selector: selector, text: el.textContent.trim() };
-            }
-          }
-
-          // Fallback: find by text "Create"
-          const buttons = document.querySelectorAll('button');
-          for (const btn of buttons) {
-            if (btn.textContent?.trim().toLowerCase() === 'create') {
-              btn.click();
-              return { success: true, selector: 'text-match', text: btn.textContent.trim() };
-            }
-          }
-
-          return { success: false, error: 'Create button not found' };
-        } catch (e) {
-          return { success: false, error: e.message };
-        }
-      })()
-    `);
-    console.log('[Pulsar] Step 1 (Create button) result:', JSON.stringify(createResult));
-
-    if (!createResult.success) {
-      await quotaManager.confirmPostToken(tokenToConfirm, false, null, createResult.error);
-      return createResult;
-    }
-
-    // Wait for dropdown menu to appear
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Step 1b: Click "Start a post" in the Create dialog/dropdown
-    console.log('[Pulsar] Step 1b: Looking for "Start a post" in Create dialog...');
-
-    // Get the position of "Start a post" element for precise clicking
-    const startPostInfo = await browserView.webContents.executeJavaScript(`
-      (function() {
-        try {
-          // Company Page uses a modal dialog instead of dropdown
-          // Look for modal/dialog first
-          const createDialog = document.querySelector('.artdeco-modal, [role="dialog"], .share-actions-modal');
-          const searchContainer = createDialog || document;
-
-          // Strategy 1: Find by text content - search ALL clickable elements
-          const allClickables = searchContainer.querySelectorAll('li, button, a, div[role="button"], span[role="button"], [tabindex="0"]');
-          for (const item of allClickables) {
-            const text = item.textContent?.toLowerCase() || '';
-            if (text.includes('start a post') && !text.includes('create an event')) {
-              const rect = item.getBoundingClientRect();
-              if (rect.width > 0 && rect.height > 0) {
-                return {
-                  found: true,
-                  x: rect.x + rect.width / 2,
-                  y: rect.y + rect.height / 2,
-                  text: item.textContent.trim().substring(0, 80),
-                  strategy: 'text-match'
-                };
-              }
-            }
-          }
-
-          // Strategy 2: Find dropdown items (traditional dropdown)
-          const dropdownItems = searchContainer.querySelectorAll('.artdeco-dropdown__item, [role="menuitem"], li[role="option"]');
-          for (const item of dropdownItems) {
-            if (item.textContent?.toLowerCase().includes('start a post')) {
-              const rect = item.getBoundingClientRect();
-              return {
-                found: true,
-                x: rect.x + rect.width / 2,
-                y: rect.y + rect.height / 2,
-                text: item.textContent.trim().substring(0, 50),
-                strategy: 'dropdown-item'
-              };
-            }
-          }
-
-          // Strategy 3: Find by first item in Create menu (usually Start a post)
-          const dropdown = searchContainer.querySelector('.artdeco-dropdown__content, [role="menu"], .share-actions-modal__content');
-          if (dropdown) {
-            const firstItem = dropdown.querySelector('li, [role="menuitem"], button');
-            if (firstItem) {
-              const rect = firstItem.getBoundingClientRect();
-              return {
-                found: true,
-                x: rect.x + rect.width / 2,
-                y: rect.y + rect.height / 2,
-                text: firstItem.textContent.trim().substring(0, 50),
-                strategy: 'first-item-fallback'
-              };
-            }
-          }
-
-          // Debug: list what elements exist in the modal
-          const debugInfo = {
-            hasDialog: !!createDialog,
-            clickableCount: allClickables.length,
-            firstFewTexts: Array.from(allClickables).slice(0, 5).map(el => el.textContent?.trim().substring(0, 30))
-          };
-
-          return { found: false, debug: debugInfo };
-        } catch (e) {
-          return { found: false, error: e.message };
-        }
-      })()
-    `);
-    console.log('[Pulsar] Start a post element info:', JSON.stringify(startPostInfo));
-
-    if (!startPostInfo.found) {
-      const error = '"Start a post" option not found in dropdown';
-      await quotaManager.confirmPostToken(tokenToConfirm, false, null, error);
-      return { success: false, error };
-    }
-
-    // Use CDP to perform a real mouse click at the element position
-    console.log('[Pulsar] Clicking "Start a post" at:', startPostInfo.x, startPostInfo.y);
-    await browserView.webContents.debugger.sendCommand('Input.dispatchMouseEvent', {
-      type: 'mousePressed',
-      x: startPostInfo.x,
-      y: startPostInfo.y,
-      button: 'left',
-      clickCount: 1
-    });
-    await browserView.webContents.debugger.sendCommand('Input.dispatchMouseEvent', {
-      type: 'mouseReleased',
-      x: startPostInfo.x,
-      y: startPostInfo.y,
-      button: 'left',
-      clickCount: 1
-    });
-
-    console.log('[Pulsar] Step 1b: CDP click dispatched');
-
-    // Wait for modal to open (Company Page modal loads slower)
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Wait for editor to appear with retry
-    console.log('[Pulsar] Step 2: Waiting for editor in modal...');
-    let focusResult = { success: false, error: 'Editor not found after retries' };
-
-    for (let retry = 0; retry < 5; retry++) {
-      const checkResult = await browserView.webContents.executeJavaScript(`
-        (function() {
-          try {
-            // Company Page modal editor selectors
-            const editorSelectors = [
-              '.ql-editor',
-              '.share-creation-state__text-editor .ql-editor',
-              '[contenteditable="true"][role="textbox"]',
-              '[contenteditable="true"][data-placeholder]',
-              '.artdeco-modal [contenteditable="true"]',
-              '[role="dialog"] [contenteditable="true"]',
-              '.share-box-v2__modal-content .ql-editor',
-              '[aria-label="Text editor for creating content"]',
-              // More generic
-              '[contenteditable="true"]'
-            ];
-
-            let editor = null;
-            let foundSelector = '';
-
-            for (const selector of editorSelectors) {
-              const els = document.querySelectorAll(selector);
-              for (const el of els) {
-                // Make sure it's visible and in a modal
-                if (el.offsetParent !== null) {
-                  editor = el;
-                  foundSelector = selector;
-                  break;
-                }
-              }
-              if (editor) break;
-            }
-
-            // Fallback: find any contenteditable in modal
-            if (!editor) {
-              const modal = document.querySelector('.artdeco-modal, [role="dialog"], .share-creation-state');
-              if (modal) {
-                const ce = modal.querySelector('[contenteditable="true"]');
-                if (ce && ce.offsetParent !== null) {
-                  editor = ce;
-                  foundSelector = 'modal-contenteditable';
-                }
-              }
-            }
-
-            if (!editor) {
-              // Debug info
-              const modals = document.querySelectorAll('.artdeco-modal, [role="dialog"]');
-              const allCE = document.querySelectorAll('[contenteditable="true"]');
-              return {
-                success: false,
-                retry: true,
-                debug: { modals: modals.length, contentEditables: allCE.length }
-              };
-            }
-
-            editor.click();
-            editor.focus();
-
-            // Place cursor
-            try {
-              const selection = window.getSelection();
-              const range = document.createRange();
-              range.selectNodeContents(editor);
-              range.collapse(false);
-              selection.removeAllRanges();
-              selection.addRange(range);
-            } catch(e) {}
-
-            return { success: true, selector: foundSelector };
-          } catch (e) {
-            return { success: false, error: e.message };
-          }
-        })()
-      `);
-
-      console.log('[Pulsar] Step 2 attempt ' + (retry + 1) + ':', JSON.stringify(checkResult));
-
-      if (checkResult.success) {
-        focusResult = checkResult;
-        break;
-      }
-
-      if (!checkResult.retry) {
-        focusResult = checkResult;
-        break;
-      }
-
-      // Wait and retry
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-
-    console.log('[Pulsar] Step 2 final result:', JSON.stringify(focusResult));
+// ============================================
+// Posting as a Social Profile
+// ============================================
 
-    if (!focusResult.success) {
-      await quotaManager.confirmPostToken(tokenToConfirm, false, null, focusResult.error);
-      return focusResult;
+// Post as a specific profile; the BrowserView switches to its session for the post and back after
+ipcMain.handle('post:withProfile', async (event, { profileId, content, media = [] }) => {
+  const profile = socialProfiles.get(profileId);
+  if (!profile) {
+    return { success: false, error: 'Social profile not found: ' + profileId };
+  }
+  const writeError = socialProfiles.writeError(profile);
+  if (writeError) {
+    return { success: false, error: writeError, upgradeRequired: true };
+  }
+  console.log(`[Pulsar] Posting as ${profile.platform} profile:`, profile.displayName || profile.accountIdentifier);
+  return browserTaskQueue.run(
+    () => withProfileSession(profile.platform, profile.id, () => publishPost(profile.platform, content, {
+      media,
+      ...socialProfiles.publishOptions(profile)
+    })),
+    {
+      priority: 'manual',
+      label: `post as ${profile.platform} profile`,
+      timeoutMs: media.length > 0 ? MEDIA_POST_TIMEOUT_MS : undefined
     }
+  );
+});
 
-    await new Promise(resolve => setTimeout(resolve, 300));
-
-    // Step 3: Use CDP Input.insertText for reliable text input
-    console.log('[Pulsar] Using CDP to insert text...');
-    await browserView.webContents.debugger.sendCommand('Input.insertText', {
-      text: content
-    });
-
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    // Step 4: Click the Post button
-    const postResult = await browserView.webContents.executeJavaScript(`
-      (async function() {
-        await new Promise(r => setTimeout(r, 500));
-
-        // Find the Post button
-        const postBtnSelectors = [
-          '.share-actions__primary-action',
-          'button.share-actions__primary-action',
-          'button[aria-label="Post"]',
-          '.artdeco-modal button.artdeco-button--primary',
-          '[data-control-name="share.post"]'
-        ];
-
-        let postBtn = null;
-        for (const selector of postBtnSelectors) {
-          const btn = document.querySelector(selector);
-          if (btn) {
-            postBtn = btn;
-            break;
-          }
-        }
-
-        // Fallback: find by text
-        if (!postBtn) {
-          const modal = document.querySelector('.artdeco-modal, [role="dialog"]');
-          const buttons = modal ? modal.querySelectorAll('button') : document.querySelectorAll('button');
-          for (const btn of buttons) {
-            const text = btn.textContent.trim().toLowerCase();
-            if (text === 'post' || text === 'share') {
-              postBtn = btn;
-              break;
-            }
-          }
-        }
-
-        if (!postBtn) {
-          return { success: false, error: 'Post button not found' };
-        }
-
-        const isDisabled = postBtn.disabled || postBtn.getAttribute('aria-disabled') === 'true';
-        if (isDisabled) {
-          return { success: false, error: 'Post button is disabled' };
-        }
-
-        postBtn.click();
-        await new Promise(r => setTimeout(r, 3000));
-
-        // Check if modal closed
-        const modalStillOpen = document.querySelector('.share-creation-state');
-        if (!modalStillOpen) {
-          return { success: true };
-        }
-
-        return { success: true, note: 'Post button clicked, verify manually' };
-      })()
-    `);
-
-    // Confirm token usage
-    await quotaManager.confirmPostToken(
-      tokenToConfirm,
-      postResult.success,
-      null,
-      postResult.success ? null : postResult.error
-    );
+// Browser task queue status / cancellation
+ipcMain.handle('browserQueue:getStatus', async () => {
+  return browserTaskQueue.getStatus();
+});
 
-    return postResult;
-  } catch (error) {
-    console.error('[Pulsar] LinkedIn Company post failed:', error);
-    await quotaManager.confirmPostToken(tokenToConfirm, false, null, error.message);
-    return { success: false, error: error.message };
-  }
+ipcMain.handle('browserQueue:cancel', async (event, taskId) => {
+  return browserTaskQueue.cancel(taskId);
 });
 
 // Get page content (for debugging)
@@ -1162,14 +572,70 @@ ipcMain.handle('getPageContent', async () => {
 // ============================================
 
 // Schedule a post
-ipcMain.handle('schedulePost', async (event, { platform, content, scheduledAt }) => {
+// Validate and add a scheduled job
+// profileId: social profile to post as (defaults to the platform's primary when the job runs)
+function schedulePost({ platform, content, scheduledAt, recurrence, retryPolicy, contentType, segments, threadStrategy, media, postOptions, profileId, bestTime }) {
+  if (bestTime) {
+    scheduledAt = nextBestTime(platform || 'twitter', profileId);
+    if (!scheduledAt) {
+      return { success: false, error: 'No recommended posting time in the next two weeks' };
+    }
+  }
   console.log('[Pulsar] Scheduling post for:', new Date(scheduledAt).toLocaleString());
-  const job = scheduler.addJob({ platform, content, scheduledAt });
+  const adapter = platforms.get(platform || 'twitter');
+  const contentError = adapter && contentType !== 'thread' ? adapter.checkContent(content, media, postOptions) : null;
+  if (contentError) {
+    return { success: false, error: contentError };
+  }
+  const profileError = socialProfiles.validateTarget(platform || 'twitter', profileId, { write: true });
+  if (profileError) {
+    return { success: false, error: profileError };
+  }
+
+  let job;
+  try {
+    job = scheduler.addJob({ platform, content, scheduledAt, recurrence, retryPolicy, contentType, segments, threadStrategy, media, postOptions, profileId });
+  } catch (error) {
+    console.error('[Pulsar] Invalid schedule:', error.message);
+    return { success: false, error: error.message };
+  }
   // Notify renderer of update
   if (mainWindow) {
     mainWindow.webContents.send('scheduler-update', scheduler.getJobs());
   }
   return job;
+}
+
+// Next recommended slot that keeps clear of posts already queued for the same account
+function nextBestTime(platform, profileId = null) {
+  const taken = scheduler.getJobs()
+    .filter(job => ['pending', 'awaiting_approval'].includes(job.status))
+    .filter(job => (job.platform || 'twitter') === platform && (job.profileId || null) === (profileId || null))
+    .map(job => job.scheduledAt);
+  return postingTimeAdvisor.nextSlot(platform, { profileId, taken });
+}
+
+// Schedule a post
+ipcMain.handle('schedulePost', async (event, options) => {
+  return schedulePost(options);
+});
+
+// Schedule a post as a social profile (the platform comes from the profile)
+ipcMain.handle('schedule:withProfile', async (event, { profileId, ...options }) => {
+  const profile = socialProfiles.get(profileId);
+  if (!profile) {
+    return { success: false, error: 'Social profile not found: ' + profileId };
+  }
+  return schedulePost({ ...options, platform: profile.platform, profileId });
+});
+
+// Recommended posting hours / weekdays, plus the slot a "best time" post would get
+ipcMain.handle('schedule:recommendTimes', async (event, { platform, profileId } = {}) => {
+  const target = platform || 'twitter';
+  return {
+    ...postingTimeAdvisor.recommend(target, { profileId: profileId || null }),
+    nextSlot: nextBestTime(target, profileId || null)
+  };
 });
 
 // Get all scheduled jobs
@@ -1193,13 +659,59 @@ ipcMain.handle('deleteScheduledJob', async (event, jobId) => {
 
 // Update a scheduled job
 ipcMain.handle('updateScheduledJob', async (event, { jobId, updates }) => {
-  const job = scheduler.updateJob(jobId, updates);
+  let job;
+  try {
+    job = scheduler.updateJob(jobId, updates);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
   if (mainWindow) {
     mainWindow.webContents.send('scheduler-update', scheduler.getJobs());
   }
   return { success: true, job };
 });
 
+// Calendar entries in [from, to): jobs plus projected recurring / automation runs
+ipcMain.handle('calendar:getEntries', async (event, { from, to }) => {
+  return contentCalendar.getEntries({
+    jobs: scheduler.getJobs(),
+    automations: automationManager.getAutomations(),
+    from,
+    to,
+    getQueuePostTimes: (automation) => automationManager.getQueuePostTimes(automation)
+  });
+});
+
+// Get jobs awaiting review
+ipcMain.handle('approval:getPending', async () => {
+  return scheduler.getAwaitingApproval();
+});
+
+// Approve a job, optionally with edited content
+ipcMain.handle('approval:approve', async (event, { jobId, content }) => {
+  try {
+    const job = scheduler.approveJob(jobId, content);
+    return { success: true, job };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Reject a job
+ipcMain.handle('approval:reject', async (event, { jobId, note }) => {
+  try {
+    const job = scheduler.rejectJob(jobId, note);
+    return { success: true, job };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Query permanent post history
+ipcMain.handle('queryPostHistory', async (event, filters) => {
+  return scheduler.queryHistory(filters || {});
+});
+
 // Clear completed jobs
 ipcMain.handle('clearCompletedJobs', async () => {
   scheduler.clearCompleted();
@@ -1454,66 +966,20 @@ ipcMain.handle('settings:setCompany', async (event, settings) => {
 // ============================================
 
 // Search Twitter for posts based on interests
-ipcMain.handle('engage:searchTwitter', async (event, { interests, audience }) => {
+ipcMain.handle('engage:searchTwitter', browserTaskQueue.wrap('manual', 'engage:searchTwitter', async (event, { interests, audience }) => {
   console.log('[Engage] Searching Twitter for:', interests, 'audience:', audience);
 
   try {
     // Build search query from interests
     const searchQuery = interests.join(' OR ');
-
-    // Navigate to Twitter search
-    const searchUrl = `https://x.com/search?q=${encodeURIComponent(searchQuery)}&f=live`;
-    await browserView.webContents.loadURL(searchUrl);
-
-    // Wait for page to load
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Extract posts from the page
-    const posts = await browserView.webContents.executeJavaScript(`
-      (function() {
-        const posts = [];
-        const articles = document.querySelectorAll('article[data-testid="tweet"]');
-
-        articles.forEach((article, index) => {
-          if (index >= 10) return; // Limit to 10 posts
-
-          try {
-            // Get author
-            const authorEl = article.querySelector('a[href^="/"][role="link"] span');
-            const authorLinkEl = article.querySelector('a[href^="/"][role="link"][tabindex="-1"]');
-            const author = authorLinkEl ? authorLinkEl.getAttribute('href').replace('/', '') : (authorEl?.textContent || 'unknown');
-
-            // Get text content
-            const textEl = article.querySelector('[data-testid="tweetText"]');
-            const text = textEl ? textEl.textContent : '';
-
-            // Get engagement metrics
-            const likesEl = article.querySelector('[data-testid="like"] span');
-            const repliesEl = article.querySelector('[data-testid="reply"] span');
-            const engagement = (likesEl?.textContent || '0') + ' likes, ' + (repliesEl?.textContent || '0') + ' replies';
-
-            // Get post URL
-            const timeEl = article.querySelector('time');
-            const linkEl = timeEl ? timeEl.closest('a') : null;
-            const url = linkEl ? 'https://x.com' + linkEl.getAttribute('href') : '';
-
-            if (text && text.length > 10) {
-              posts.push({
-                author: author.replace('@', ''),
-                text: text,
-                engagement: engagement,
-                url: url
-              });
-            }
-          } catch (e) {
-            console.error('Error parsing tweet:', e);
-          }
-        });
-
-        return posts;
-      })()
-    `);
-
+    const found = await platforms.twitter.searchPosts(searchQuery, { limit: 10, minLength: 11 });
+
+    const posts = found.map(post => ({
+      author: post.handle || post.author,
+      text: post.text,
+      engagement: `${post.likes} likes, ${post.replies} replies`,
+      url: post.postUrl
+    }));
     console.log('[Engage] Found', posts.length, 'posts');
 
     return {
@@ -1528,109 +994,137 @@ ipcMain.handle('engage:searchTwitter', async (event, { interests, audience }) =>
       error: error.message
     };
   }
-});
+}));
 
-// Send reply to a Twitter post
-ipcMain.handle('engage:sendReply', async (event, { postUrl, replyText }) => {
-  console.log('[Engage] Sending reply to:', postUrl);
+// Search an API platform (Bluesky, Mastodon) for posts based on interests
+ipcMain.handle('engage:searchPlatform', async (event, { platform, interests, audience }) => {
+  const adapter = platforms.get(platform);
+  if (!adapter || adapter.usesBrowser) {
+    return { success: false, error: 'Platform not supported: ' + platform };
+  }
+  console.log(`[Engage] Searching ${adapter.label} for:`, interests, 'audience:', audience);
 
   try {
-    // Navigate to the post
-    await browserView.webContents.loadURL(postUrl);
-    await new Promise(resolve => setTimeout(resolve, 2500));
-
-    // Find and click the reply button
-    const clickReply = await browserView.webContents.executeJavaScript(`
-      (function() {
-        // Find the reply button on the main tweet
-        const replyBtn = document.querySelector('article[data-testid="tweet"] [data-testid="reply"]');
-        if (replyBtn) {
-          replyBtn.click();
-          return { success: true };
-        }
-        return { success: false, error: 'Reply button not found' };
-      })()
-    `);
-
-    if (!clickReply.success) {
-      return clickReply;
-    }
-
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    // Find the reply textarea and enter text
-    const focusResult = await browserView.webContents.executeJavaScript(`
-      (function() {
-        const selectors = [
-          '[data-testid="tweetTextArea_0"]',
-          'div[contenteditable="true"][role="textbox"]',
-          '[aria-label="Post your reply"]'
-        ];
-        for (const selector of selectors) {
-          const el = document.querySelector(selector);
-          if (el) {
-            el.click();
-            el.focus();
-            return { success: true };
-          }
-        }
-        return { success: false, error: 'Reply textarea not found' };
-      })()
-    `);
-
-    if (!focusResult.success) {
-      return focusResult;
+    // No OR operator on these search APIs - one query per interest, merged
+    const seen = new Set();
+    const posts = [];
+    for (const interest of interests) {
+      const found = await adapter.searchPosts(interest, { limit: 10, minLength: 11 });
+      for (const post of found) {
+        if (seen.has(post.postId)) continue;
+        seen.add(post.postId);
+        posts.push({
+          author: post.handle,
+          text: post.text,
+          engagement: `${post.likes} likes, ${post.replies} replies`,
+          url: post.postUrl
+        });
+      }
     }
+    console.log('[Engage] Found', posts.length, adapter.label, 'posts');
 
-    await new Promise(resolve => setTimeout(resolve, 300));
-
-    // Insert reply text via CDP
-    await browserView.webContents.debugger.sendCommand('Input.insertText', {
-      text: replyText
-    });
+    return {
+      success: true,
+      posts: posts.slice(0, 10)
+    };
 
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    // Click the reply/post button
-    const postResult = await browserView.webContents.executeJavaScript(`
-      (function() {
-        // Find the reply submit button
-        const submitBtn = document.querySelector('[data-testid="tweetButtonInline"]') ||
-                          document.querySelector('[data-testid="tweetButton"]');
-        if (submitBtn && !submitBtn.disabled) {
-          submitBtn.click();
-          return { success: true };
-        }
-        return { success: false, error: 'Submit button not found or disabled' };
-      })()
-    `);
+  } catch (error) {
+    console.error(`[Engage] ${adapter.label} search error:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
 
-    if (!postResult.success) {
-      return postResult;
-    }
+// Daily replies quota, checked before every reply, like or repost (automated, Engage tab
+// or Inbox); returns the failure result, or null to go ahead. Counted with useReplyQuota
+async function replyQuotaError() {
+  if (await quotaManager.canReply()) return null;
+  return { success: false, error: 'Daily reply limit reached', quotaExceeded: true };
+}
 
-    // Wait for reply to be sent
-    await new Promise(resolve => setTimeout(resolve, 2000));
+// Log a reply sent from the Engage tab
+// context: { author, postText, topic } of the post replied to
+function recordManualReply(platform, postUrl, replyText, result, context = {}) {
+  const adapter = platforms.get(platform);
+  const profile = adapter && adapter.usesBrowser ? socialProfiles.forSession(platform, browserPartition) : null;
+  replyLog.record({
+    platform,
+    profileId: profile ? profile.id : null,
+    postId: adapter ? adapter.parsePostLink(postUrl).platformPostId || postUrl : postUrl,
+    postUrl,
+    author: context.author,
+    postText: context.postText,
+    reply: replyText,
+    replyUrl: result.platformUrl,
+    mode: 'manual',
+    topic: context.topic,
+    outcome: result.success ? 'sent' : 'failed',
+    error: result.success ? null : result.error
+  });
+}
 
+// Send reply to a post on an API platform
+ipcMain.handle('engage:sendPlatformReply', async (event, { platform, postUrl, replyText, context }) => {
+  const adapter = platforms.get(platform);
+  if (!adapter || adapter.usesBrowser) {
+    return { success: false, error: 'Platform not supported: ' + platform };
+  }
+  const quotaError = await replyQuotaError();
+  if (quotaError) {
+    return quotaError;
+  }
+  console.log(`[Engage] Sending ${adapter.label} reply to:`, postUrl);
+  const result = await adapter.reply(postUrl, replyText);
+  if (result.success) {
     console.log('[Engage] Reply sent successfully');
-    return { success: true };
+    await quotaManager.useReplyQuota();
+  }
+  recordManualReply(platform, postUrl, replyText, result, context);
+  return result;
+});
+
+// Send reply to a Twitter post
+ipcMain.handle('engage:sendReply', browserTaskQueue.wrap('manual', 'engage:sendReply', async (event, { postUrl, replyText, context }) => {
+  console.log('[Engage] Sending reply to:', postUrl);
+  const writeError = sessionWriteError('twitter');
+  if (writeError) {
+    return { success: false, error: writeError, upgradeRequired: true };
+  }
+  const quotaError = await replyQuotaError();
+  if (quotaError) {
+    return quotaError;
+  }
 
+  let result;
+  try {
+    result = await platforms.twitter.reply(postUrl, replyText);
+    platforms.selectorPacks.recordResult('twitter', result);
+    if (result.success) {
+      console.log('[Engage] Reply sent successfully');
+      await quotaManager.useReplyQuota();
+    }
   } catch (error) {
     console.error('[Engage] Reply error:', error);
-    return {
+    result = {
       success: false,
       error: error.message
     };
   }
+  recordManualReply('twitter', postUrl, replyText, result, context);
+  return result;
+}));
+
+// Engagement stats from the reply log: totals, today, and per day / automation / topic / action
+// filters: { platform, since }
+ipcMain.handle('engage:getStats', async (event, filters) => {
+  return replyLog.getStats(filters || {});
 });
 
-// Get engagement stats (placeholder for now)
-ipcMain.handle('engage:getStats', async () => {
-  return {
-    found: 0,
-    replied: 0,
-    today: 0
-  };
+// Reply log entries, newest first: filters { platform, automationId, action, outcome, since, until, limit }
+ipcMain.handle('engage:getReplyLog', async (event, filters) => {
+  return replyLog.query({ limit: 50, ...(filters || {}) });
 });
 
 // Save engagement settings
@@ -1656,6 +1150,100 @@ ipcMain.handle('engage:loadSettings', async () => {
   return { interests: [], audience: 'all' };
 });
 
+// ============================================
+// Inbox (mentions / notifications)
+// ============================================
+
+// Mentions and replies, read as each personal profile of the platform
+// (or the shared session when no profile is set up)
+async function readInboxNotifications(platform) {
+  const adapter = platforms.get(platform);
+  const profiles = socialProfiles.getForPlatform(platform).filter(profile => profile.profileType !== 'company_page');
+  const targets = profiles.length > 0 ? profiles.map(profile => profile.id) : [null];
+
+  const items = [];
+  const errors = [];
+  for (const profileId of targets) {
+    const result = await runPlatformTask(platform, () => adapter.readNotifications(), {
+      priority: 'engagement',
+      label: `inbox ${platform}`,
+      profileId
+    });
+    if (result.success) {
+      items.push(...result.items.map(item => ({ ...item, profileId })));
+    } else {
+      errors.push(result.error);
+    }
+  }
+  return errors.length < targets.length ? { success: true, items } : { success: false, error: errors[0] };
+}
+
+// AI reply drafts in the platform's persona voice (plain drafts without a persona)
+async function draftInboxReplies(item, count) {
+  const personaPrompt = personaBuilder.getPromptForPlatform(item.platform);
+  const originalPost = `${item.handle ? '@' + item.handle : item.author}: ${item.text}`;
+
+  const drafts = [];
+  let lastError = null;
+  for (let i = 0; i < count; i++) {
+    // A little more temperature per draft so they don't all read the same
+    const result = await aiProvider.generateReply(originalPost, personaPrompt, item.platform, { temperature: 0.7 + i * 0.2 });
+    const text = result.success ? (result.text || result.content || '').replace(/^["']|["']$/g, '').trim() : '';
+    if (text && !drafts.includes(text)) {
+      drafts.push(text);
+    } else if (!result.success) {
+      lastError = result.error;
+    }
+  }
+  return drafts.length > 0 ? { success: true, drafts } : { success: false, error: lastError || 'AI returned no drafts' };
+}
+
+// Reply from the account that received the notification
+function sendInboxReply(item, text) {
+  const adapter = platforms.get(item.platform);
+  return runPlatformTask(item.platform, async () => {
+    const writeError = sessionWriteError(item.platform);
+    if (writeError) {
+      return { success: false, error: writeError, upgradeRequired: true };
+    }
+    const quotaError = await replyQuotaError();
+    if (quotaError) {
+      return quotaError;
+    }
+
+    let result;
+    try {
+      result = await adapter.reply(item.postUrl, text);
+      platforms.selectorPacks.recordResult(item.platform, result);
+      if (result.success) {
+        await quotaManager.useReplyQuota();
+      }
+    } catch (error) {
+      console.error('[Inbox] Reply error:', error);
+      result = { success: false, error: error.message };
+    }
+    replyLog.record({
+      platform: item.platform,
+      profileId: item.profileId,
+      postId: item.itemId,
+      postUrl: item.postUrl,
+      author: item.handle || item.author,
+      postText: item.text,
+      reply: text,
+      replyUrl: result.platformUrl,
+      mode: 'inbox',
+      persona: replyPersonaInfo(item.platform, true),
+      outcome: result.success ? 'sent' : 'failed',
+      error: result.success ? null : result.error
+    });
+    return result;
+  }, {
+    priority: 'manual',
+    label: `inbox reply ${item.platform}`,
+    profileId: socialProfiles.get(item.profileId) ? item.profileId : null
+  });
+}
+
 // ============================================
 // Enhanced AI Generation with Persona
 // ============================================
@@ -1703,185 +1291,275 @@ ipcMain.handle('generateWithPersona', async (event, { prompt, platform, useKnowl
 async function executeScheduledJob(job) {
   console.log('[Pulsar] Executing scheduled job:', job.id, job.platform);
 
-  // Step 0: Request post token (anti-hack - even scheduled posts need tokens)
-  const tokenResult = await quotaManager.requestPostToken(job.platform, job.content);
-  if (!tokenResult.success) {
-    console.log('[Pulsar] Scheduled job blocked by quota:', tokenResult.error);
-    return {
-      success: false,
-      error: tokenResult.error,
-      quotaExceeded: true
-    };
+  // Threads request one token per tweet themselves
+  if (job.contentType === 'thread') {
+    if (job.platform !== 'twitter') {
+      return { success: false, error: 'Platform not supported for threads: ' + job.platform };
+    }
+    return postTwitterThread(job.segments, {
+      strategy: job.threadStrategy,
+      progress: job.threadProgress,
+      onProgress: (threadProgress) => job.id && scheduler.updateJob(job.id, { threadProgress }),
+      jobId: job.id
+    });
   }
-  const postToken = tokenResult.token;
 
-  if (job.platform === 'twitter') {
-    try {
-      await browserView.webContents.loadURL('https://x.com/compose/post');
-      await new Promise(resolve => setTimeout(resolve, 2500));
-
-      // Focus textarea
-      const focusResult = await browserView.webContents.executeJavaScript(`
-        (async function() {
-          const selectors = [
-            '[data-testid="tweetTextArea_0"]',
-            'div[contenteditable="true"][role="textbox"]',
-            '[aria-label="Post text"]'
-          ];
-          for (const selector of selectors) {
-            const el = document.querySelector(selector);
-            if (el) {
-              el.click();
-              el.focus();
-              return { success: true };
-            }
-          }
-          return { success: false, error: 'Textarea not found' };
-        })()
-      `);
-
-      if (!focusResult.success) {
-        // Refund token on failure
-        await quotaManager.confirmPostToken(postToken, false, null, focusResult.error);
-        return focusResult;
-      }
+  // A removed profile must not silently fall back to another account
+  let profileOptions = {};
+  if (job.profileId) {
+    const profile = socialProfiles.get(job.profileId);
+    if (!profile) {
+      return { success: false, error: 'Social profile was removed: ' + job.profileId, retryable: false };
+    }
+    profileOptions = socialProfiles.publishOptions(profile);
+  }
 
-      await new Promise(resolve => setTimeout(resolve, 300));
+  // Even scheduled posts need a post token (anti-hack); publishPost requests it
+  // The job id doubles as an idempotency key where the platform supports one (Mastodon)
+  return publishPost(job.platform, job.content, {
+    media: job.media,
+    postOptions: job.postOptions,
+    idempotencyKey: job.id,
+    jobId: job.id,
+    ...profileOptions
+  });
+}
 
-      // Insert text via CDP
-      await browserView.webContents.debugger.sendCommand('Input.insertText', {
-        text: job.content
-      });
+// ============================================
+// Twitter Threads
+// ============================================
 
-      await new Promise(resolve => setTimeout(resolve, 1500));
-
-      // Click post button
-      const result = await browserView.webContents.executeJavaScript(`
-        (async function() {
-          await new Promise(r => setTimeout(r, 500));
-          const postBtn = document.querySelector('[data-testid="tweetButton"]');
-          if (postBtn && postBtn.getAttribute('aria-disabled') !== 'true') {
-            postBtn.click();
-            await new Promise(r => setTimeout(r, 2500));
-            return { success: true };
-          }
-          return { success: false, error: 'Post button not clickable' };
-        })()
-      `);
-
-      // Confirm token usage
-      await quotaManager.confirmPostToken(postToken, result.success, null, result.success ? null : result.error);
-
-      return result;
-    } catch (error) {
-      // Refund token on error
-      await quotaManager.confirmPostToken(postToken, false, null, error.message);
-      return { success: false, error: error.message };
+// Post a thread on X
+// options.strategy: 'composer' (one "Post all" via "add another post") or 'reply_chain'
+// options.progress / options.onProgress: resume state, saved after each posted segment
+// options.jobId: the scheduler job being posted (analytics)
+async function postTwitterThread(segments, options = {}) {
+  const twitter = platforms.twitter;
+  try {
+    segments = twitterThread.assertValid(segments);
+  } catch (error) {
+    return { success: false, error: error.message, retryable: false };
+  }
+  const writeError = sessionWriteError('twitter');
+  if (writeError) {
+    return { success: false, error: writeError, retryable: false, upgradeRequired: true };
+  }
+
+  const progress = {
+    postedCount: 0,
+    segmentUrls: [],
+    ...(options.progress || {})
+  };
+  const saveProgress = () => options.onProgress && options.onProgress({ ...progress, updatedAt: Date.now() });
+
+  // A partly posted thread can only continue as replies to the last posted tweet
+  let strategy = options.strategy || 'composer';
+  if (progress.postedCount > 0) {
+    strategy = 'reply_chain';
+    if (!progress.segmentUrls[progress.postedCount - 1]) {
+      return {
+        success: false,
+        partial: true,
+        postedCount: progress.postedCount,
+        error: 'Cannot resume thread: URL of the last posted tweet is unknown',
+        retryable: false
+      };
     }
   }
 
-  if (job.platform === 'linkedin') {
-    try {
-      // Navigate to LinkedIn feed
-      await browserView.webContents.loadURL('https://www.linkedin.com/feed/');
-      await new Promise(resolve => setTimeout(resolve, 3000));
-
-      // Click "Start a post" button
-      const openResult = await browserView.webContents.executeJavaScript(`
-        (function() {
-          try {
-            const shareBox = document.querySelector('.share-box-feed-entry, [class*="share-box-feed"]');
-            if (shareBox) {
-              const innerTrigger = shareBox.querySelector('button, [role="button"], .share-box-feed-entry__trigger');
-              if (innerTrigger) {
-                innerTrigger.click();
-                return { success: true };
-              }
-              shareBox.click();
-              return { success: true };
-            }
-            return { success: false, error: 'Share box not found' };
-          } catch (e) {
-            return { success: false, error: e.message };
-          }
-        })()
-      `);
-
-      if (!openResult.success) {
-        await quotaManager.confirmPostToken(postToken, false, null, openResult.error);
-        return openResult;
+  // One post token per remaining tweet, all up front so quota can't run out mid-thread
+  const remaining = segments.slice(progress.postedCount);
+  const tokens = [];
+  for (const segment of remaining) {
+    const tokenResult = await quotaManager.requestPostToken('twitter', segment);
+    if (!tokenResult.success) {
+      for (const token of tokens) {
+        await quotaManager.confirmPostToken(token, false, null, 'Thread cancelled: quota exceeded');
+      }
+      return { success: false, error: tokenResult.error, quotaExceeded: true };
+    }
+    tokens.push(tokenResult.token);
+  }
+  const settleTokens = async (from, success, error = null) => {
+    for (let i = from; i < tokens.length; i++) {
+      await quotaManager.confirmPostToken(tokens[i], success, null, error);
+    }
+  };
+
+  console.log('[Pulsar] Posting thread:', segments.length, 'tweets via', strategy, 'from', progress.postedCount + 1);
+
+  try {
+    if (strategy === 'composer') {
+      const opened = await twitter.openComposer();
+      if (!opened.success) throw new Error(opened.error);
+
+      for (let i = 0; i < segments.length; i++) {
+        if (i > 0) {
+          const added = await twitter.addThreadSegment();
+          if (!added.success) throw new Error(added.error);
+        }
+
+        const inserted = await twitter.insertText(segments[i], { editor: 'threadEditor', index: i, settleMs: 1000 });
+        if (!inserted.success) throw new Error(inserted.error);
       }
 
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
-      // Focus editor
-      const focusResult = await browserView.webContents.executeJavaScript(`
-        (function() {
-          try {
-            const editor = document.querySelector('.ql-editor, [contenteditable="true"]');
-            if (editor) {
-              editor.click();
-              editor.focus();
-              return { success: true };
-            }
-            return { success: false, error: 'Editor not found' };
-          } catch (e) {
-            return { success: false, error: e.message };
-          }
-        })()
-      `);
-
-      if (!focusResult.success) {
-        await quotaManager.confirmPostToken(postToken, false, null, focusResult.error);
-        return focusResult;
+      // "Post all" sends one CreateTweet per tweet, in thread order; only confirmed tweets count
+      const watcher = await twitter.watchSubmit();
+      const submitted = await twitter.submit();
+      if (!submitted.success) {
+        watcher.stop();
+        await settleTokens(0, false, submitted.error);
+        return submitted;
+      }
+      const created = await watcher.waitAll(segments.length, 8000 + segments.length * 4000);
+      const firstUnconfirmed = created.findIndex(result => !result.confirmed);
+      const posted = created.slice(0, firstUnconfirmed === -1 ? segments.length : firstUnconfirmed);
+      if (created.length === 0) {
+        // No create request seen: the toast or timeline can still confirm the first tweet
+        const link = await twitter.findPostLink(segments[0], submitted.url, watcher.startedAt);
+        if (link.platformUrl) posted.push({ confirmed: true, ...link });
+      }
+
+      for (let i = 0; i < posted.length; i++) {
+        progress.segmentUrls[i] = posted[i].platformUrl || null;
+        await settlePostToken(tokens[i], { ...posted[i], success: true });
+      }
+      progress.postedCount = posted.length;
+      if (posted.length > 0) saveProgress();
+      console.log('[Pulsar] Thread tweets confirmed:', `${posted.length}/${segments.length}`);
+
+      if (posted.length === segments.length) {
+        trackPublishedPost('twitter', segments[0], posted[0], options);
+        return {
+          success: true,
+          postedCount: segments.length,
+          segmentUrls: progress.segmentUrls,
+          platformPostId: posted[0].platformPostId || null,
+          platformUrl: posted[0].platformUrl || null
+        };
       }
 
-      await new Promise(resolve => setTimeout(resolve, 300));
+      // A rejected tweet was not posted (a retry resumes after the last confirmed one);
+      // an unanswered one may still have gone out, so it is not retried automatically
+      const failure = created[posted.length];
+      const rejected = !!(failure && failure.rejected);
+      const error = rejected
+        ? failure.error
+        : posted.length === 0
+          ? 'Post not confirmed: no create response, toast or timeline entry'
+          : `Tweet ${posted.length + 1} not confirmed`;
+      await settleTokens(posted.length, false, error);
+      return {
+        success: false,
+        partial: posted.length > 0,
+        postedCount: posted.length,
+        segmentUrls: progress.segmentUrls,
+        error,
+        ...(rejected ? {} : { unverified: true, retryable: false })
+      };
+    }
+
+    // reply_chain: post each tweet as a reply to the previous one
+    for (let i = progress.postedCount; i < segments.length; i++) {
+      const tokenIndex = i - (segments.length - remaining.length);
 
-      // Insert text via CDP
-      await browserView.webContents.debugger.sendCommand('Input.insertText', {
-        text: job.content
-      });
+      const opened = i === 0 ? await twitter.openComposer() : await twitter.openReply(progress.segmentUrls[i - 1]);
+      if (!opened.success) throw new Error(opened.error);
 
-      await new Promise(resolve => setTimeout(resolve, 1500));
-
-      // Click Post button
-      const result = await browserView.webContents.executeJavaScript(`
-        (async function() {
-          await new Promise(r => setTimeout(r, 500));
-          // Find Post button
-          let postBtn = document.querySelector('.share-actions__primary-action, button[aria-label="Post"]');
-          if (!postBtn) {
-            const buttons = document.querySelectorAll('button');
-            for (const btn of buttons) {
-              if (btn.textContent.trim().toLowerCase() === 'post') {
-                postBtn = btn;
-                break;
-              }
-            }
-          }
-          if (postBtn && !postBtn.disabled) {
-            postBtn.click();
-            await new Promise(r => setTimeout(r, 3000));
-            return { success: true };
-          }
-          return { success: false, error: 'Post button not clickable' };
-        })()
-      `);
-
-      // Confirm token usage
-      await quotaManager.confirmPostToken(postToken, result.success, null, result.success ? null : result.error);
-
-      return result;
-    } catch (error) {
-      await quotaManager.confirmPostToken(postToken, false, null, error.message);
-      return { success: false, error: error.message };
+      const inserted = await twitter.insertText(segments[i]);
+      if (!inserted.success) throw new Error(inserted.error);
+
+      const watcher = await twitter.watchSubmit();
+      const verified = await twitter.verify(segments[i], watcher, await twitter.submit());
+      if (!verified.success) {
+        await settleTokens(tokenIndex, false, verified.error);
+        return { ...verified, partial: i > 0, postedCount: progress.postedCount };
+      }
+      await settlePostToken(tokens[tokenIndex], verified);
+
+      progress.postedCount = i + 1;
+      progress.segmentUrls[i] = verified.platformUrl;
+      saveProgress();
+      console.log('[Pulsar] Thread tweet posted:', `${i + 1}/${segments.length}`, progress.segmentUrls[i] || '(no URL)');
+
+      if (!progress.segmentUrls[i] && i < segments.length - 1) {
+        await settleTokens(tokenIndex + 1, false, 'Thread stopped: tweet URL unknown');
+        return {
+          success: false,
+          partial: true,
+          postedCount: progress.postedCount,
+          error: `Tweet ${i + 1} posted but its URL could not be found to continue the thread`,
+          retryable: false
+        };
+      }
     }
+
+    // The thread is linked by its first tweet
+    const first = twitter.parsePostLink(progress.segmentUrls[0]);
+    trackPublishedPost('twitter', segments[0], first, options);
+    return { success: true, postedCount: progress.postedCount, segmentUrls: progress.segmentUrls, ...first };
+  } catch (error) {
+    // Tokens for tweets that were not posted are refunded
+    const firstUnposted = progress.postedCount - (segments.length - remaining.length);
+    await settleTokens(Math.max(0, firstUnposted), false, error.message);
+    return {
+      success: false,
+      partial: progress.postedCount > 0,
+      postedCount: progress.postedCount,
+      error: error.message
+    };
+  }
+}
+
+// ============================================
+// Scheduler Recovery (orphaned processing jobs)
+// ============================================
+
+// Decide whether an interrupted job was actually posted before the app quit
+async function reconcileScheduledJob(job) {
+  const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+  // Partly posted thread: progress is saved per tweet, so only the next tweet is in doubt
+  const postedCount = (job.threadProgress && job.threadProgress.postedCount) || 0;
+  const isResumableThread = job.contentType === 'thread' && postedCount > 0 && postedCount < job.segments.length;
+  const probe = job.contentType === 'thread' ? job.segments[postedCount] || job.segments[0] : job.content;
+  const expected = normalize(probe).substring(0, 100);
+
+  const adapter = platforms.get(job.platform);
+  if (!adapter) {
+    return { posted: null, evidence: 'Timeline lookup not supported for ' + job.platform };
   }
 
-  // Refund token for unsupported platform
-  await quotaManager.confirmPostToken(postToken, false, null, 'Platform not supported');
-  return { success: false, error: 'Platform not supported: ' + job.platform };
+  try {
+    const timeline = await adapter.readTimeline();
+    if (!timeline.success) {
+      return { posted: null, evidence: timeline.error };
+    }
+    if (isResumableThread) {
+      const nextPosted = timeline.posts.some(post => normalize(post.text).startsWith(expected));
+      return nextPosted
+        ? { posted: null, evidence: `Thread tweet ${postedCount + 1} may have posted before the crash` }
+        : { posted: false, evidence: `Thread resumes at tweet ${postedCount + 1}` };
+    }
+    if (timeline.posts.length === 0) {
+      return { posted: null, evidence: 'Timeline returned no posts' };
+    }
+
+    // Only a post dated after the job started proves it; an older copy of the same text does not
+    const since = (job.startedAt || job.scheduledAt) - 60 * 1000;
+    const sameText = timeline.posts.filter(post => normalize(post.text).startsWith(expected));
+    const match = sameText.find(post => post.time && post.time >= since);
+
+    if (match) {
+      return { posted: true, evidence: 'Found on timeline: ' + (match.url || 'matching text'), ...adapter.parsePostLink(match.url) };
+    }
+    if (sameText.some(post => !post.time)) {
+      return { posted: null, evidence: 'Matching post on timeline has no timestamp' };
+    }
+    return { posted: false, evidence: `Not among ${timeline.posts.length} most recent posts` };
+  } catch (error) {
+    return { posted: null, evidence: 'Timeline check failed: ' + error.message };
+  }
 }
 
 // ============================================
@@ -1897,16 +1575,25 @@ async function executeEngagementTask(options) {
     aiProvider: ai,
     usePersona,
     checkReplied,
-    markReplied
+    recordReply = () => {},
+    actionMix
   } = options;
 
-  console.log('[Engagement] Executing:', type, username || searchQuery);
+  // Engagement runs on X unless the automation targets a platform that can search and reply
+  const adapter = platforms.get(options.platform);
+  const engageAdapter = adapter && adapter.searchPosts && adapter.reply ? adapter : platforms.twitter;
+
+  console.log('[Engagement] Executing:', type, engageAdapter.name, username || searchQuery);
+  const writeError = sessionWriteError(engageAdapter.name);
+  if (writeError) {
+    return { success: false, error: writeError };
+  }
 
   try {
     if (type === 'tracked_account') {
-      return await executeTrackedAccountEngagement(username, ai, usePersona, checkReplied, markReplied);
+      return await executeTrackedAccountEngagement(engageAdapter, username, ai, usePersona, checkReplied, recordReply, actionMix);
     } else if (type === 'topic_search') {
-      return await executeTopicSearchEngagement(searchQuery, maxResults, ai, usePersona, checkReplied, markReplied);
+      return await executeTopicSearchEngagement(engageAdapter, searchQuery, maxResults, ai, usePersona, checkReplied, recordReply, actionMix);
     }
     return { success: false, error: 'Unknown engagement type: ' + type };
   } catch (error) {
@@ -1915,85 +1602,38 @@ async function executeEngagementTask(options) {
   }
 }
 
-// Engage with a tracked account's posts
-async function executeTrackedAccountEngagement(username, ai, usePersona, checkReplied, markReplied) {
-  console.log('[Engagement] Visiting tracked account:', username);
-
-  // Navigate to user's profile
-  await browserView.webContents.loadURL(`https://x.com/${username}`);
-  await new Promise(resolve => setTimeout(resolve, 3000));
-
-  // Find recent posts and select one to reply to
-  const postData = await browserView.webContents.executeJavaScript(`
-    (function() {
-      // Find tweet articles
-      const articles = document.querySelectorAll('article[data-testid="tweet"]');
-      const posts = [];
-
-      for (const article of articles) {
-        // Skip pinned tweets
-        if (article.querySelector('[data-testid="socialContext"]')?.textContent?.includes('Pinned')) {
-          continue;
-        }
-
-        // Get the tweet link for unique ID
-        const linkEl = article.querySelector('a[href*="/status/"]');
-        if (!linkEl) continue;
-
-        const postUrl = linkEl.href;
-        const postId = postUrl.match(/status\\/(\\d+)/)?.[1];
-        if (!postId) continue;
-
-        // Get tweet text
-        const textEl = article.querySelector('[data-testid="tweetText"]');
-        const text = textEl ? textEl.innerText : '';
-
-        // Get author
-        const authorEl = article.querySelector('[data-testid="User-Name"]');
-        const author = authorEl ? authorEl.innerText.split('\\n')[0] : '';
-
-        posts.push({
-          postId,
-          postUrl,
-          text: text.substring(0, 500),
-          author
-        });
-
-        if (posts.length >= 5) break;
-      }
-
-      return posts;
-    })()
-  `);
+// Persona details for the reply log when the persona shaped a reply
+function replyPersonaInfo(platform, usePersona) {
+  const persona = usePersona ? personaBuilder.load() : null;
+  if (!persona || !persona.rootPersona) return null;
+  return { mbtiType: persona.rootPersona.mbtiType, mask: platform };
+}
 
-  if (!postData || postData.length === 0) {
-    console.log('[Engagement] No posts found for', username);
-    return { success: false, error: 'No posts found' };
-  }
+// Prompt for a reply (action 'reply') or quote post commentary (action 'quote')
+function engagementPrompt(adapter, post, action, topic) {
+  const postNoun = adapter.name === 'twitter' ? 'tweet' : 'post';
+  const replyVerb = adapter.name === 'linkedin' ? 'Write a comment on' : 'Reply to'; // LinkedIn replies are comments
+  if (action === 'quote') {
+    return `Write a quote ${postNoun} sharing this ${postNoun}${topic ? ` about "${topic}"` : ''} from @${post.author}: "${post.text}"
 
-  // Find a post we haven't replied to
-  let targetPost = null;
-  for (const post of postData) {
-    if (!checkReplied(post.postId)) {
-      targetPost = post;
-      break;
-    }
+Requirements:
+- Add your own take or insight, don't just summarize it
+- Keep it under 200 characters
+- Don't use hashtags or emojis excessively
+- Sound natural, not like a bot
+- Just return the post text, nothing else`;
   }
+  if (topic) {
+    return `${replyVerb} this ${postNoun} about "${topic}" from @${post.author}: "${post.text}"
 
-  if (!targetPost) {
-    console.log('[Engagement] Already replied to all recent posts from', username);
-    return { success: false, error: 'Already replied to recent posts' };
+Requirements:
+- Be relevant to the topic: ${topic}
+- Add value or insight to the conversation
+- Keep it under 200 characters
+- Sound natural and authentic
+- Just return the reply text, nothing else`;
   }
-
-  console.log('[Engagement] Found post to reply:', targetPost.postId);
-
-  // Generate AI reply
-  let replyText;
-  try {
-    const hasPersona = usePersona && personaBuilder.exists();
-    const personaPrompt = hasPersona ? personaBuilder.getPromptForPlatform('twitter') : '';
-
-    const generatePrompt = `Reply to this tweet from @${username}: "${targetPost.text}"
+  return `${replyVerb} this ${postNoun} from @${post.author}: "${post.text}"
 
 Requirements:
 - Be genuine and add value to the conversation
@@ -2001,194 +1641,151 @@ Requirements:
 - Don't use hashtags or emojis excessively
 - Sound natural, not like a bot
 - Just return the reply text, nothing else`;
+}
 
-    const result = await ai.generate(generatePrompt, {
-      systemPrompt: personaPrompt || 'You are a helpful Twitter user who engages authentically.',
+// AI text for a reply or quote post: { success, text, error }
+async function generateEngagementText(adapter, post, action, ai, usePersona, topic) {
+  try {
+    const hasPersona = usePersona && personaBuilder.exists();
+    const personaPrompt = hasPersona ? personaBuilder.getPromptForPlatform(adapter.name) : '';
+    const fallbackPrompt = topic
+      ? `You are a knowledgeable ${adapter.label} user who engages authentically.`
+      : `You are a helpful ${adapter.label} user who engages authentically.`;
+
+    const result = await ai.generate(engagementPrompt(adapter, post, action, topic), {
+      systemPrompt: personaPrompt || fallbackPrompt,
       maxTokens: 100
     });
 
-    console.log('[Engagement] AI result:', JSON.stringify(result).substring(0, 200));
+    console.log('[Engagement] AI result for', post.postId, ':', JSON.stringify(result).substring(0, 200));
 
     if (!result.success) {
-      console.error('[Engagement] AI generation failed:', result.error);
       return { success: false, error: result.error || 'AI generation failed' };
     }
 
     // Extract text from result - handle different response formats
-    replyText = result.text || result.content || '';
-    if (typeof replyText !== 'string') {
-      console.error('[Engagement] Unexpected reply type:', typeof replyText);
+    const text = result.text || result.content || '';
+    if (typeof text !== 'string') {
       return { success: false, error: 'Invalid AI response format' };
     }
-    // Clean up the reply
-    replyText = replyText.replace(/^["']|["']$/g, '').trim();
+    const cleaned = text.replace(/^["']|["']$/g, '').trim();
+    if (cleaned.length < 5) {
+      return { success: false, error: 'Generated text too short' };
+    }
+    return { success: true, text: cleaned };
   } catch (error) {
-    console.error('[Engagement] AI generation error:', error);
+    console.error('[Engagement] AI generation error for post:', post.postId, error);
     return { success: false, error: 'AI generation failed: ' + error.message };
   }
+}
 
-  if (!replyText || replyText.length < 5) {
-    console.log('[Engagement] Reply too short:', replyText);
-    return { success: false, error: 'Generated reply too short' };
+// Do one engagement action on a post and log it (see reply-log.js)
+// Quote posts are posts: publishPost takes a post token for them. Replies, likes and
+// reposts count against the daily replies counter, checked before and used after
+// Returns { success, action, text, url, error, quotaExceeded }
+async function performEngagementAction(adapter, post, action, { ai, usePersona, mode, topic, recordReply }) {
+  const quotaError = action === 'quote' ? null : await replyQuotaError();
+  if (quotaError) {
+    return { ...quotaError, action };
   }
 
-  console.log('[Engagement] Generated reply:', replyText.substring(0, 50) + '...');
-
-  // Navigate to the tweet and reply
-  await browserView.webContents.loadURL(targetPost.postUrl);
-  await new Promise(resolve => setTimeout(resolve, 2500));
-
-  // Click reply button and send reply
-  const replyResult = await browserView.webContents.executeJavaScript(`
-    (async function() {
-      // Find and click the reply button
-      const replyBtn = document.querySelector('[data-testid="reply"]');
-      if (!replyBtn) {
-        return { success: false, error: 'Reply button not found' };
-      }
-      replyBtn.click();
-      await new Promise(r => setTimeout(r, 1500));
-      return { success: true, clicked: true };
-    })()
-  `);
-
-  if (!replyResult.success) {
-    return replyResult;
-  }
-
-  // Wait for reply modal to open
-  await new Promise(resolve => setTimeout(resolve, 1000));
-
-  // Focus the reply textarea
-  const focusResult = await browserView.webContents.executeJavaScript(`
-    (async function() {
-      const selectors = [
-        '[data-testid="tweetTextarea_0"]',
-        'div[contenteditable="true"][role="textbox"]',
-        '[aria-label="Post text"]',
-        '[aria-label="Tweet text"]'
-      ];
-
-      for (const selector of selectors) {
-        const el = document.querySelector(selector);
-        if (el) {
-          el.click();
-          el.focus();
-          return { success: true };
-        }
-      }
-      return { success: false, error: 'Reply textarea not found' };
-    })()
-  `);
-
-  if (!focusResult.success) {
-    return focusResult;
+  let text = null;
+  if (engagementActions.needsText(action)) {
+    const generated = await generateEngagementText(adapter, post, action, ai, usePersona, topic);
+    if (!generated.success) {
+      console.error('[Engagement] AI failed for post:', post.postId, generated.error);
+      return { success: false, action, error: generated.error };
+    }
+    text = generated.text;
+    console.log('[Engagement] Generated', action + ':', text.substring(0, 50) + '...');
   }
 
-  await new Promise(resolve => setTimeout(resolve, 300));
+  let result;
+  if (action === 'quote') {
+    result = await publishPost(adapter.name, text, { quoteOf: post.postUrl });
+    if (result.quotaExceeded) {
+      return { success: false, action, error: result.error, quotaExceeded: true };
+    }
+  } else {
+    result = action === 'reply'
+      ? await adapter.reply(post.postUrl, text)
+      : await adapter[action](post.postUrl);
+    platforms.selectorPacks.recordResult(adapter.name, result);
+    // A post we had already liked or reposted by hand costs nothing
+    if (result.success && !result.alreadyDone) {
+      await quotaManager.useReplyQuota();
+    }
+  }
 
-  // Insert reply text via CDP
-  await browserView.webContents.debugger.sendCommand('Input.insertText', {
-    text: replyText
+  recordReply({
+    platform: adapter.name,
+    postId: post.postId,
+    postUrl: post.postUrl,
+    author: post.author,
+    postText: post.text,
+    action,
+    reply: text,
+    replyUrl: result.platformUrl,
+    mode,
+    ...(topic ? { topic } : {}), // Tracked accounts keep the recorder's category
+    persona: text ? replyPersonaInfo(adapter.name, usePersona) : null,
+    outcome: result.success ? 'sent' : 'failed',
+    error: result.success ? null : result.error
   });
 
-  await new Promise(resolve => setTimeout(resolve, 1500));
-
-  // Click the reply/post button
-  const sendResult = await browserView.webContents.executeJavaScript(`
-    (async function() {
-      await new Promise(r => setTimeout(r, 500));
-
-      // Find the reply button in the modal
-      const postBtnSelectors = [
-        '[data-testid="tweetButton"]',
-        '[data-testid="tweetButtonInline"]',
-        'button[data-testid*="tweet"]'
-      ];
-
-      let postBtn = null;
-      for (const selector of postBtnSelectors) {
-        const btn = document.querySelector(selector);
-        if (btn && btn.getAttribute('aria-disabled') !== 'true') {
-          postBtn = btn;
-          break;
-        }
-      }
+  if (result.success) {
+    console.log(`[Engagement] ${action} done on`, post.postUrl);
+  }
+  return { success: result.success, action, text, url: result.platformUrl || null, error: result.error };
+}
 
-      if (!postBtn) {
-        return { success: false, error: 'Send button not found or disabled' };
-      }
+// Engage with a tracked account's latest post we haven't engaged with
+// actionMix picks what to do with it (see engagement-actions.js)
+// recordReply(entry) logs each attempt (see reply-log.js)
+async function executeTrackedAccountEngagement(adapter, username, ai, usePersona, checkReplied, recordReply, actionMix) {
+  console.log('[Engagement] Visiting tracked account:', username);
 
-      postBtn.click();
-      await new Promise(r => setTimeout(r, 2500));
+  // Find recent posts (pinned tweets skipped) and select one to engage with
+  const postData = await adapter.readProfilePosts(username, { limit: 5, skipPinned: true });
 
-      // Check if modal closed (success indicator)
-      const modalStillOpen = document.querySelector('[data-testid="tweetTextarea_0"]');
-      return { success: !modalStillOpen };
-    })()
-  `);
+  if (!postData || postData.length === 0) {
+    console.log('[Engagement] No posts found for', username);
+    return { success: false, error: 'No posts found' };
+  }
 
-  if (sendResult.success) {
-    // Mark as replied
-    markReplied(targetPost.postId);
-    console.log('[Engagement] Successfully replied to', targetPost.postUrl);
+  // Find a post we haven't engaged with
+  const targetPost = postData.find(post => !checkReplied(post.postId));
+  if (!targetPost) {
+    console.log('[Engagement] Already engaged with all recent posts from', username);
+    return { success: false, error: 'Already replied to recent posts' };
   }
 
+  const action = engagementActions.pick(actionMix, engagementActions.supported(adapter));
+  console.log('[Engagement] Found post to', action + ':', targetPost.postId);
+
+  // The post's own handle: on X a retweet's original author, on LinkedIn the member or page
+  const result = await performEngagementAction(adapter, { ...targetPost, author: targetPost.handle || username }, action, {
+    ai, usePersona, mode: 'tracked_account', recordReply
+  });
+
   return {
-    success: sendResult.success,
+    success: result.success,
+    error: result.error,
+    quotaExceeded: result.quotaExceeded,
+    action,
     postId: targetPost.postId,
     postUrl: targetPost.postUrl,
-    reply: replyText
+    reply: result.text
   };
 }
 
-// Search for topics and engage with posts
-async function executeTopicSearchEngagement(searchQuery, maxResults, ai, usePersona, checkReplied, markReplied) {
+// Search for topics and engage with posts, each with an action drawn from actionMix
+async function executeTopicSearchEngagement(adapter, searchQuery, maxResults, ai, usePersona, checkReplied, recordReply, actionMix) {
   console.log('[Engagement] Searching for topic:', searchQuery);
 
-  // Navigate to Twitter search (latest tab)
-  const encodedQuery = encodeURIComponent(searchQuery);
-  await browserView.webContents.loadURL(`https://x.com/search?q=${encodedQuery}&f=live`);
-  await new Promise(resolve => setTimeout(resolve, 3000));
-
-  // Find posts to engage with
-  const posts = await browserView.webContents.executeJavaScript(`
-    (function() {
-      const articles = document.querySelectorAll('article[data-testid="tweet"]');
-      const posts = [];
-
-      for (const article of articles) {
-        const linkEl = article.querySelector('a[href*="/status/"]');
-        if (!linkEl) continue;
-
-        const postUrl = linkEl.href;
-        const postId = postUrl.match(/status\\/(\\d+)/)?.[1];
-        if (!postId) continue;
-
-        const textEl = article.querySelector('[data-testid="tweetText"]');
-        const text = textEl ? textEl.innerText : '';
-
-        // Skip if no meaningful text
-        if (text.length < 20) continue;
-
-        const authorEl = article.querySelector('[data-testid="User-Name"]');
-        const authorText = authorEl ? authorEl.innerText : '';
-        const authorMatch = authorText.match(/@(\\w+)/);
-        const author = authorMatch ? authorMatch[1] : '';
-
-        posts.push({
-          postId,
-          postUrl,
-          text: text.substring(0, 500),
-          author
-        });
-
-        if (posts.length >= 10) break;
-      }
-
-      return posts;
-    })()
-  `);
+  // Find posts to engage with (latest first, skipping posts without meaningful text)
+  const found = await adapter.searchPosts(searchQuery, { limit: 10, minLength: 20 });
+  const posts = found.map(post => ({ ...post, author: post.handle }));
 
   if (!posts || posts.length === 0) {
     console.log('[Engagement] No posts found for search:', searchQuery);
@@ -2197,9 +1794,11 @@ async function executeTopicSearchEngagement(searchQuery, maxResults, ai, usePers
 
   console.log('[Engagement] Found', posts.length, 'posts for', searchQuery);
 
+  const supported = engagementActions.supported(adapter);
   let repliedCount = 0;
   let attemptCount = 0;
   let consecutiveFailures = 0;
+  let quotaExceeded = false;
   const maxAttempts = maxResults * 2; // Maximum attempts to prevent endless loop
   const maxConsecutiveFailures = 3;
   const results = [];
@@ -2207,7 +1806,7 @@ async function executeTopicSearchEngagement(searchQuery, maxResults, ai, usePers
   // Engage with posts (up to maxResults)
   for (const post of posts) {
     if (repliedCount >= maxResults) {
-      console.log('[Engagement] Reached max replies:', maxResults);
+      console.log('[Engagement] Reached max engagements:', maxResults);
       break;
     }
     if (attemptCount >= maxAttempts) {
@@ -2219,161 +1818,52 @@ async function executeTopicSearchEngagement(searchQuery, maxResults, ai, usePers
       break;
     }
 
-    // Skip if already replied
+    // Skip if already engaged with
     if (checkReplied(post.postId)) {
       console.log('[Engagement] Already replied to', post.postId);
       continue;
     }
 
     attemptCount++;
-    console.log(`[Engagement] Attempt ${attemptCount}/${maxAttempts} for post:`, post.postId);
-
-    // Generate AI reply
-    let replyText;
-    try {
-      const hasPersona = usePersona && personaBuilder.exists();
-      const personaPrompt = hasPersona ? personaBuilder.getPromptForPlatform('twitter') : '';
-
-      const generatePrompt = `Reply to this tweet about "${searchQuery}" from @${post.author}: "${post.text}"
-
-Requirements:
-- Be relevant to the topic: ${searchQuery}
-- Add value or insight to the conversation
-- Keep it under 200 characters
-- Sound natural and authentic
-- Just return the reply text, nothing else`;
-
-      const result = await ai.generate(generatePrompt, {
-        systemPrompt: personaPrompt || 'You are a knowledgeable Twitter user who engages authentically.',
-        maxTokens: 100
-      });
-
-      console.log('[Engagement] AI result for', post.postId, ':', JSON.stringify(result).substring(0, 200));
-
-      if (!result.success) {
-        console.error('[Engagement] AI failed for post:', post.postId, result.error);
-        consecutiveFailures++;
-        continue;
-      }
-
-      replyText = result.text || result.content || '';
-      if (typeof replyText !== 'string') {
-        console.error('[Engagement] Invalid reply type for', post.postId);
-        consecutiveFailures++;
-        continue;
-      }
-      replyText = replyText.replace(/^["']|["']$/g, '').trim();
-    } catch (error) {
-      console.error('[Engagement] AI generation error for post:', post.postId, error);
-      consecutiveFailures++;
-      continue;
-    }
-
-    if (!replyText || replyText.length < 5) {
-      console.log('[Engagement] Reply too short for', post.postId, ':', replyText);
-      consecutiveFailures++;
-      continue;
-    }
-
-    // Navigate to the tweet
-    await browserView.webContents.loadURL(post.postUrl);
-    await new Promise(resolve => setTimeout(resolve, 2500));
-
-    // Click reply and send
-    const replyResult = await browserView.webContents.executeJavaScript(`
-      (async function() {
-        const replyBtn = document.querySelector('[data-testid="reply"]');
-        if (!replyBtn) {
-          return { success: false, error: 'Reply button not found' };
-        }
-        replyBtn.click();
-        await new Promise(r => setTimeout(r, 1500));
-        return { success: true };
-      })()
-    `);
-
-    if (!replyResult.success) {
-      console.log('[Engagement] Could not click reply for', post.postId);
-      consecutiveFailures++;
-      continue;
-    }
-
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Focus textarea
-    const focusResult = await browserView.webContents.executeJavaScript(`
-      (async function() {
-        const selectors = [
-          '[data-testid="tweetTextarea_0"]',
-          'div[contenteditable="true"][role="textbox"]'
-        ];
-        for (const selector of selectors) {
-          const el = document.querySelector(selector);
-          if (el) {
-            el.click();
-            el.focus();
-            return { success: true };
-          }
-        }
-        return { success: false };
-      })()
-    `);
-
-    if (!focusResult.success) {
-      console.log('[Engagement] Could not focus textarea for', post.postId);
-      consecutiveFailures++;
-      continue;
-    }
-
-    await new Promise(resolve => setTimeout(resolve, 300));
+    const action = engagementActions.pick(actionMix, supported);
+    console.log(`[Engagement] Attempt ${attemptCount}/${maxAttempts} (${action}) for post:`, post.postId);
 
-    // Insert text
-    await browserView.webContents.debugger.sendCommand('Input.insertText', {
-      text: replyText
+    const result = await performEngagementAction(adapter, post, action, {
+      ai, usePersona, mode: 'topic_search', topic: searchQuery, recordReply
     });
 
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    // Send reply
-    const sendResult = await browserView.webContents.executeJavaScript(`
-      (async function() {
-        await new Promise(r => setTimeout(r, 500));
-        const postBtn = document.querySelector('[data-testid="tweetButton"]');
-        if (postBtn && postBtn.getAttribute('aria-disabled') !== 'true') {
-          postBtn.click();
-          await new Promise(r => setTimeout(r, 2500));
-          const modalOpen = document.querySelector('[data-testid="tweetTextarea_0"]');
-          return { success: !modalOpen };
-        }
-        return { success: false };
-      })()
-    `);
+    if (result.quotaExceeded) {
+      console.log('[Engagement] Quota reached, stopping:', result.error);
+      quotaExceeded = true;
+      break;
+    }
 
-    if (sendResult.success) {
-      markReplied(post.postId);
+    if (result.success) {
       repliedCount++;
       consecutiveFailures = 0; // Reset on success
       results.push({
         postId: post.postId,
         postUrl: post.postUrl,
-        reply: replyText
+        action,
+        reply: result.text
       });
-      console.log('[Engagement] Successfully replied to', post.postUrl, `(${repliedCount}/${maxResults})`);
+      console.log('[Engagement] Engaged with', post.postUrl, `(${repliedCount}/${maxResults})`);
 
-      // Rate limiting between replies
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      // Rate limiting between actions
+      await (adapter.usesBrowser ? browserTaskQueue.sleep(3000) : new Promise(resolve => setTimeout(resolve, 3000)));
     } else {
-      console.log('[Engagement] Failed to send reply for', post.postId);
+      console.log('[Engagement] Failed to', action, post.postId, result.error);
       consecutiveFailures++;
     }
   }
 
-  console.log(`[Engagement] Completed: ${repliedCount}/${maxResults} replies sent, ${attemptCount} attempts`);
+  console.log(`[Engagement] Completed: ${repliedCount}/${maxResults} engagements, ${attemptCount} attempts`);
 
   return {
     success: repliedCount > 0,
     repliedCount,
     attemptCount,
+    quotaExceeded,
     results
   };
 }
@@ -2616,19 +2106,106 @@ app.whenReady().then(async () => {
   await createWindow();
   await connectPuppeteer();
 
+  // Every BrowserView-driving path runs through the browser task queue
+  browserTaskQueue.init({
+    onAbort: () => browserView && browserView.webContents.stop(),
+    onChange: (status) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('browser-queue-update', status);
+      }
+    }
+  });
+
+  // Platform adapters drive the BrowserView; their waits stop when a task is cancelled
+  platforms.init({
+    getWebContents: () => browserView.webContents,
+    sleep: (ms) => browserTaskQueue.sleep(ms)
+  });
+
   // Initialize scheduler with job execution callback
-  scheduler.init(executeScheduledJob);
+  scheduler.init(
+    (job) => runPlatformTask(job.platform, () => executeScheduledJob(job), {
+      priority: 'scheduled',
+      label: `scheduled ${job.platform} post ${job.id}`,
+      timeoutMs: scheduledTaskTimeout(job),
+      profileId: job.profileId
+    }),
+    {
+      onReconcileJob: (job) => runPlatformTask(job.platform, () => reconcileScheduledJob(job), {
+        priority: 'scheduled',
+        label: `reconcile ${job.id}`,
+        profileId: job.profileId
+      }),
+      onApprovalEvent: (event, job) => {
+        if (mainWindow) {
+          mainWindow.webContents.send('approval-event', { event, job });
+          mainWindow.webContents.send('scheduler-update', scheduler.getJobs());
+        }
+      }
+    }
+  );
+
+  // Published posts are revisited at 1h / 24h / 7d for their metrics
+  postAnalytics.init({
+    mainWindow,
+    readMetrics: (post) => runPlatformTask(post.platform, () => platforms.get(post.platform).readPostMetrics(post.platformUrl), {
+      priority: 'engagement',
+      label: `analytics ${post.platform} ${post.platformUrl}`,
+      profileId: socialProfiles.get(post.profileId) ? post.profileId : null
+    }),
+    onMetrics: () => postingTimeAdvisor.invalidate()
+  });
+  postAnalytics.initIPCHandlers();
+
+  // Mentions and replies land in the inbox with AI reply drafts
+  inboxManager.init({
+    mainWindow,
+    readNotifications: readInboxNotifications,
+    draftReplies: draftInboxReplies,
+    sendReply: sendInboxReply
+  });
+  inboxManager.initIPCHandlers();
+
+  // Posting time recommendations learn from the scheduler's permanent history
+  // scored by the analytics of each post
+  postingTimeAdvisor.init({
+    getHistory: (filters) => scheduler.queryHistory(filters),
+    getMetrics: (job) => postAnalytics.getMetricsForJob(job)
+  });
 
   // Initialize payment & auth system
   authManager.setMainWindow(mainWindow);
   authManager.initIPCHandlers();
   quotaManager.initIPCHandlers();
+  platforms.selectorPacks.initIPCHandlers();
   trackedAccountsManager.initIPCHandlers();
   subscriptionManager.setMainWindow(mainWindow);
   subscriptionManager.initIPCHandlers();
 
   console.log('[Pulsar] Payment system initialized');
 
+  // Social profiles: each account is signed in on its own partition
+  socialProfiles.init({
+    mainWindow,
+    verifySession: (profile) => browserTaskQueue.run(
+      () => withProfileSession(profile.platform, profile.id, () => platforms.get(profile.platform).verifyLogin()),
+      { priority: 'manual', label: `verify ${profile.platform} profile` }
+    ),
+    activateSession: (platform, profileId) => browserTaskQueue.run(
+      () => useBrowserSession(socialProfiles.resolvePartition(platform, profileId), platforms.get(platform).urls.home),
+      { priority: 'manual', label: `switch to ${platform} profile` }
+    ),
+    releaseSession: async (partition) => {
+      if (partition === browserPartition) {
+        await browserTaskQueue.run(
+          () => useBrowserSession(socialProfiles.DEFAULT_PARTITION, 'https://x.com'),
+          { priority: 'manual', label: 'release removed profile session' }
+        );
+      }
+    }
+  });
+  socialProfiles.initIPCHandlers();
+
   // Initialize AI provider system
   await aiProvider.initialize();
   console.log('[Pulsar] AI provider system initialized');
@@ -2641,15 +2218,24 @@ app.whenReady().then(async () => {
     aiProvider,
     trackedAccountsManager,
     scheduler,
-    onExecutePost: async (platform, content) => {
-      if (platform === 'twitter') {
-        return executeScheduledJob({ platform, content });
+    postingTimeAdvisor,
+    onExecutePost: async (platform, content, options = {}) => {
+      if (platform === 'twitter' || platform === 'bluesky' || platform === 'mastodon') {
+        return runPlatformTask(platform, () => executeScheduledJob({ platform, content, profileId: options.profileId }), {
+          priority: 'scheduled',
+          label: `automation ${platform} post`,
+          profileId: options.profileId
+        });
       }
       return { success: false, error: 'Platform not supported' };
     },
     onExecuteEngagement: async (options) => {
-      // Browser automation for engagement
-      return executeEngagementTask(options);
+      // Browser automation for engagement (API platforms skip the queue)
+      return runPlatformTask(options.platform, () => executeEngagementTask(options), {
+        priority: 'engagement',
+        label: `engagement ${options.type} ${options.username || options.searchQuery}`,
+        profileId: options.profileId
+      });
     },
     onNotify: (notification) => {
       console.log('[Automation] Notification:', notification.title, notification.message);
@@ -2675,6 +2261,8 @@ app.on('window-all-closed', () => {
 
 // Clean up on quit
 app.on('before-quit', () => {
+  postAnalytics.stop();
+  inboxManager.stop();
   if (browserView && browserView.webContents.debugger.isAttached()) {
     browserView.webContents.debugger.detach();
   }
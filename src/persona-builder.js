@@ -357,6 +357,7 @@ class PersonaBuilder {
   PLATFORM_MASKS = {
     twitter: {
       name: 'Twitter/X',
+      maxLength: 280,
       defaults: {
         formality: 0.3,
         humor: 0.6,
@@ -374,6 +375,7 @@ class PersonaBuilder {
     },
     linkedin: {
       name: 'LinkedIn',
+      maxLength: 3000,
       defaults: {
         formality: 0.7,
         humor: 0.3,
@@ -391,6 +393,7 @@ class PersonaBuilder {
     },
     threads: {
       name: 'Threads',
+      maxLength: 500,
       defaults: {
         formality: 0.3,
         humor: 0.5,
@@ -408,6 +411,7 @@ class PersonaBuilder {
     },
     instagram: {
       name: 'Instagram',
+      maxLength: 2200,
       defaults: {
         formality: 0.2,
         humor: 0.5,
@@ -417,11 +421,48 @@ class PersonaBuilder {
         engagement: 'supportive'
       },
       tips: [
-        'Visual first - caption supports the image',
-        'Longer captions perform well for engagement',
-        'Hashtags in comments or at end',
+        'Visual first - the caption supports the image, never describe it literally',
+        'Hook in the first line - only ~125 characters show before "more"',
+        'Short paragraphs with line breaks; end with a question or call to action',
+        'Put 5-15 relevant hashtags in a block at the end (30 max)',
         'Stories for casual, Feed for polished'
       ]
+    },
+    bluesky: {
+      name: 'Bluesky',
+      maxLength: 300,
+      defaults: {
+        formality: 0.3,
+        humor: 0.6,
+        emojiUse: 0.3,
+        hashtagStyle: 'minimal',
+        threadStyle: 'conversational',
+        engagement: 'supportive'
+      },
+      tips: [
+        '300 characters - tighter than X, so lead with the point',
+        'Early-Twitter vibe: sincere, nerdy and conversational beats growth hacks',
+        'Hashtags are rarely used - custom feeds surface posts by topic instead',
+        'Reply generously; the community rewards real conversation'
+      ]
+    },
+    mastodon: {
+      name: 'Mastodon',
+      maxLength: 500,
+      defaults: {
+        formality: 0.4,
+        humor: 0.4,
+        emojiUse: 0.3,
+        hashtagStyle: 'moderate',
+        threadStyle: 'conversational',
+        engagement: 'supportive'
+      },
+      tips: [
+        'No algorithm - hashtags are how posts get discovered, use CamelCase for screen readers',
+        'Community norms matter: add content warnings for sensitive topics',
+        'Marketing-speak and engagement bait land badly; be a person, not a brand',
+        'Boosts and thoughtful replies build reach more than volume'
+      ]
     }
   };
 
@@ -528,6 +569,7 @@ class PersonaBuilder {
    */
   generateSystemPrompt(rootPersona, mask) {
     const profile = rootPersona.profile;
+    const platformInfo = this.PLATFORM_MASKS[mask.platform] || this.PLATFORM_MASKS.twitter;
 
     let prompt = `You are writing social media content as someone with these characteristics:
 
@@ -565,7 +607,7 @@ ${rootPersona.expertise.join(', ')}`;
 - NO explanations, NO options, NO markdown formatting
 - NO "Here are some options" or similar preambles
 - Just write ONE ready-to-post message directly
-- Keep it under 280 characters for Twitter
+- Keep it under ${platformInfo.maxLength} characters for ${platformInfo.name}
 - Write in the same language as the user's prompt`;
 
     return prompt;
@@ -660,7 +702,9 @@ ${rootPersona.expertise.join(', ')}`;
       return null;
     }
 
-    const mask = persona.masks[platform] || persona.masks.twitter;
+    // Personas created before a platform was added get its default mask
+    const mask = persona.masks[platform] ||
+      (this.PLATFORM_MASKS[platform] ? this.generatePlatformMask(persona.rootPersona, platform) : persona.masks.twitter);
     return this.generateSystemPrompt(persona.rootPersona, mask);
   }
 
@@ -0,0 +1,55 @@
+/**
+ * Pulsar Account Store
+ * Local credentials for API platforms (Bluesky, Mastodon), one JSON file per
+ * platform in userData. Secrets are encrypted with the OS keychain
+ * (safeStorage) when it is available.
+ */
+
+const { app, safeStorage } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+class AccountStore {
+  constructor(fileName, label) {
+    this.filePath = path.join(app.getPath('userData'), fileName);
+    this.label = label;
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`[${this.label}] Failed to load account:`, error);
+    }
+    return null;
+  }
+
+  // null removes the file
+  save(account) {
+    try {
+      if (account) {
+        fs.writeFileSync(this.filePath, JSON.stringify(account, null, 2), { mode: 0o600 });
+      } else if (fs.existsSync(this.filePath)) {
+        fs.unlinkSync(this.filePath);
+      }
+    } catch (error) {
+      console.error(`[${this.label}] Failed to save account:`, error);
+    }
+  }
+
+  encryptSecret(secret) {
+    if (safeStorage && safeStorage.isEncryptionAvailable()) {
+      return { encrypted: true, value: safeStorage.encryptString(secret).toString('base64') };
+    }
+    return { encrypted: false, value: secret };
+  }
+
+  decryptSecret(stored) {
+    if (!stored) return null;
+    return stored.encrypted ? safeStorage.decryptString(Buffer.from(stored.value, 'base64')) : stored.value;
+  }
+}
+
+module.exports = AccountStore;
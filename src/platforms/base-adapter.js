@@ -0,0 +1,431 @@
+/**
+ * Pulsar Platform Adapter (base)
+ * Drives one site in the shared BrowserView through named selector sets.
+ * Each selector set is a fallback chain tried in order, so when a site
+ * changes its DOM the fix is one line in that platform's adapter.
+ *
+ * Chain entries:
+ * - CSS selector                  '[data-testid="tweetButton"]'
+ * - Exact text of a clickable     'text=Post'
+ * - Text contained in a clickable 'text*=Start a post'
+ * - Scoped to a container         '.artdeco-modal >> text*=Start a post'
+ * - {name} placeholders are filled from vars, e.g. 'tweetTextarea_{index}'
+ *
+ * The bundled chains can be overridden at runtime by a signed selector pack
+ * (see selector-packs.js). A failed lookup reports { selectorMissing: name }.
+ */
+
+const postVerifier = require('../browser/post-verifier');
+
+const POST_TIME_SKEW_MS = 60 * 1000; // Clock difference allowed between us and the site's timestamps
+
+// Runs inside the page: first element matching a fallback chain (or all of them)
+function findInPage(chain, options = {}) {
+  const clickables = 'button, a, [role="button"], [role="menuitem"], [role="option"], li, span, div[tabindex]';
+  const isUsable = (el) =>
+    (!options.visible || el.getClientRects().length > 0) &&
+    (!options.enabled || (!el.disabled && el.getAttribute('aria-disabled') !== 'true'));
+
+  const all = [];
+  for (const entry of chain) {
+    let root = options.root || document;
+    let selector = entry;
+    if (entry.includes(' >> ')) {
+      const [scope, inner] = entry.split(' >> ');
+      root = root.querySelector(scope);
+      selector = inner;
+      if (!root) continue;
+    }
+
+    let found;
+    if (selector.startsWith('text=') || selector.startsWith('text*=')) {
+      const partial = selector.startsWith('text*=');
+      const wanted = selector.slice(partial ? 6 : 5).trim().toLowerCase();
+      found = Array.from(root.querySelectorAll(clickables))
+        .filter(el => {
+          const text = (el.textContent || '').trim().toLowerCase();
+          return partial ? text.includes(wanted) : text === wanted;
+        })
+        .sort((a, b) => a.textContent.length - b.textContent.length) // Innermost match first
+        .map(el => el.closest('button, a, [role="button"], [role="menuitem"]') || el);
+    } else {
+      found = Array.from(root.querySelectorAll(selector));
+    }
+
+    found = found.filter(isUsable);
+    if (!options.all && found.length > 0) {
+      return found[0];
+    }
+    for (const el of found) {
+      if (!all.includes(el)) all.push(el);
+    }
+  }
+  return options.all ? all : null;
+}
+
+// Runs inside the page too: "1,234" / "1.2K" / "3M" / "1.2萬" -> number, null if there is no number
+function parseCount(text) {
+  const match = String(text || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KkMmBb萬万千])?/);
+  if (!match) return null;
+  const scale = { k: 1e3, m: 1e6, b: 1e9, '萬': 1e4, '万': 1e4, '千': 1e3 }[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * scale);
+}
+
+class PlatformAdapter {
+  // definition: { name, label, hosts, urls, selectors, maxLength, requiresMedia }
+  constructor(definition) {
+    this.name = definition.name;
+    this.label = definition.label;
+    this.hosts = definition.hosts;
+    this.maxLength = definition.maxLength || null; // Characters per post, if the site enforces one
+    this.requiresMedia = !!definition.requiresMedia;
+    this.urls = definition.urls;
+    this.usesBrowser = true; // API adapters (no BrowserView) set this to false
+    this.bundledSelectors = definition.selectors;
+    this.selectors = definition.selectors;
+    this.getWebContents = null;
+    this.sleepFn = null;
+  }
+
+  // options.getWebContents() -> the BrowserView's webContents
+  // options.sleep(ms) -> a wait that stops when the browser task is cancelled
+  init(options = {}) {
+    this.getWebContents = options.getWebContents;
+    this.sleepFn = options.sleep || null;
+  }
+
+  get webContents() {
+    return this.getWebContents();
+  }
+
+  sleep(ms) {
+    return this.sleepFn ? this.sleepFn(ms) : new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  matchesUrl(url) {
+    try {
+      const hostname = new URL(url).hostname;
+      return this.hosts.some(host => hostname === host || hostname.endsWith('.' + host));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // ============================================
+  // Selector plumbing
+  // ============================================
+
+  // Replace some chains (from a selector pack); null restores the bundled set
+  setSelectors(overrides) {
+    this.selectors = { ...this.bundledSelectors, ...(overrides || {}) };
+  }
+
+  // Selector chain by name, with {placeholders} filled in
+  chain(name, vars = {}) {
+    const chain = this.selectors[name];
+    if (!chain) {
+      throw new Error(`Unknown ${this.name} selector set: ${name}`);
+    }
+    return chain.map(selector => selector.replace(/\{(\w+)\}/g, (match, key) =>
+      vars[key] !== undefined ? String(vars[key]) : match
+    ));
+  }
+
+  // Run a script in the page with S (every selector chain), find() and parseCount() in scope
+  run(body, vars = {}) {
+    const selectors = {};
+    for (const name of Object.keys(this.selectors)) {
+      selectors[name] = this.chain(name, vars);
+    }
+    return this.webContents.executeJavaScript(`
+      (async function() {
+        const S = ${JSON.stringify(selectors)};
+        const find = ${findInPage.toString()};
+        const parseCount = ${parseCount.toString()};
+        const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+        ${body}
+      })()
+    `);
+  }
+
+  // Result for a selector chain that matched nothing
+  missing(name, error = `${this.label} ${name} not found`) {
+    return { success: false, error, selectorMissing: name };
+  }
+
+  async navigate(url, waitMs = 3000) {
+    await this.webContents.loadURL(url);
+    await this.sleep(waitMs);
+  }
+
+  // Poll until an element from the chain shows up
+  waitFor(name, options = {}) {
+    const { timeoutMs = 10000, visible = false, vars } = options;
+    return this.run(`
+      const deadline = Date.now() + ${timeoutMs};
+      do {
+        if (find(S[${JSON.stringify(name)}], { visible: ${visible} })) return { success: true };
+        await sleep(200);
+      } while (Date.now() < deadline);
+      return ${JSON.stringify(this.missing(name))};
+    `, vars);
+  }
+
+  async exists(name, options = {}) {
+    const result = await this.waitFor(name, { ...options, timeoutMs: 0 });
+    return result.success;
+  }
+
+  // Click the first match (waiting for it to appear)
+  click(name, options = {}) {
+    const { timeoutMs = 5000, visible = false, enabled = false, vars } = options;
+    return this.run(`
+      const deadline = Date.now() + ${timeoutMs};
+      do {
+        const el = find(S[${JSON.stringify(name)}], { visible: ${visible}, enabled: ${enabled} });
+        if (el) {
+          el.click();
+          return { success: true };
+        }
+        await sleep(200);
+      } while (Date.now() < deadline);
+      return ${JSON.stringify(this.missing(name))};
+    `, vars);
+  }
+
+  // Click with a real mouse event through CDP (for menus that ignore element.click())
+  async clickAt(name, options = {}) {
+    const target = await this.run(`
+      const el = find(S[${JSON.stringify(name)}], { visible: true });
+      if (!el) return ${JSON.stringify(this.missing(name))};
+      const rect = el.getBoundingClientRect();
+      return { success: true, x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+    `, options.vars);
+    if (!target.success) return target;
+
+    const cdp = this.webContents.debugger;
+    for (const type of ['mousePressed', 'mouseReleased']) {
+      await cdp.sendCommand('Input.dispatchMouseEvent', { type, x: target.x, y: target.y, button: 'left', clickCount: 1 });
+    }
+    return { success: true };
+  }
+
+  // Focus an editor and put the cursor at the end of its content
+  focus(name, options = {}) {
+    const { timeoutMs = 15000, visible = false, vars } = options;
+    return this.run(`
+      const deadline = Date.now() + ${timeoutMs};
+      do {
+        const el = find(S[${JSON.stringify(name)}], { visible: ${visible} });
+        if (el) {
+          const editable = el.querySelector('[contenteditable="true"]') || el;
+          editable.click();
+          editable.focus();
+          try {
+            const range = document.createRange();
+            range.selectNodeContents(editable);
+            range.collapse(false);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+          } catch (e) {}
+          return { success: true };
+        }
+        await sleep(200);
+      } while (Date.now() < deadline);
+      return ${JSON.stringify(this.missing(name))};
+    `, vars);
+  }
+
+  // Type into the focused element through CDP (works with React/Draft.js/Quill editors)
+  async typeText(text) {
+    await this.webContents.debugger.sendCommand('Input.insertText', { text });
+  }
+
+  // ============================================
+  // Shared operations
+  // ============================================
+
+  // Error message if the post can't go out here as-is, else null
+  checkContent(content, media = []) {
+    if (!content || !content.trim()) {
+      return 'Post content is empty';
+    }
+    if (this.requiresMedia && (!media || media.length === 0)) {
+      return `${this.label} posts need at least one image or video`;
+    }
+    const length = Array.from(content).length;
+    if (this.maxLength && length > this.maxLength) {
+      return `${this.label} posts are limited to ${this.maxLength} characters (got ${length})`;
+    }
+    return null;
+  }
+
+  // Whether the page currently open in the BrowserView is logged in
+  async checkLogin() {
+    if (!this.matchesUrl(this.webContents.getURL())) return false;
+    return this.exists('loggedIn');
+  }
+
+  // Open the home page in the current session and check it is signed in
+  async verifyLogin() {
+    await this.navigate(this.urls.home, 3000);
+    return this.checkLogin();
+  }
+
+  // Open an empty composer; platforms override for multi-step flows
+  async openComposer() {
+    await this.navigate(this.urls.compose, 2500);
+    return this.waitFor('editor', { timeoutMs: 15000 });
+  }
+
+  // Focus the composer's editor and type the text
+  // options.index: editor position in a multi-part composer (threads)
+  async insertText(text, options = {}) {
+    const focused = await this.focus(options.editor || 'editor', {
+      visible: !!options.visible,
+      vars: { index: options.index || 0 }
+    });
+    if (!focused.success) return focused;
+
+    await this.sleep(300);
+    await this.typeText(text);
+    await this.sleep(options.settleMs || 1500); // Let the editor framework update its state
+    return { success: true };
+  }
+
+  async attachMedia(media) {
+    if (!media || media.length === 0) return { success: true };
+    return { success: false, error: `Media attachments are not supported on ${this.label}`, retryable: false };
+  }
+
+  // Click Post and wait for the composer to close or a toast link to appear
+  // Returns { success, url, composerOpen }; only verify() decides whether it went out
+  submit(options = {}) {
+    const { waitMs = 9000 } = options;
+    return this.run(`
+      await sleep(500);
+      const button = find(S.submitButton, { enabled: true });
+      if (!button) return ${JSON.stringify(this.missing('submitButton', 'Post button not clickable'))};
+      button.click();
+
+      const deadline = Date.now() + ${waitMs};
+      while (Date.now() < deadline) {
+        await sleep(300);
+        const toast = find(S.toastLink);
+        const composer = find(S.composer);
+        if (toast || !composer || !composer.textContent.trim()) {
+          return { success: true, url: toast ? toast.href : null };
+        }
+      }
+      return { success: true, url: null, composerOpen: true };
+    `);
+  }
+
+  // Split a post URL into { platformPostId, platformUrl }
+  parsePostLink(url) {
+    return { platformPostId: null, platformUrl: url || null };
+  }
+
+  // The logged-in account's most recent posts: { success, posts: [{ text, time, url }] }
+  async readTimeline() {
+    return { success: false, error: 'Timeline lookup not supported for ' + this.name };
+  }
+
+  // Public counters of one of our posts (analytics): { success, metrics: { impressions, likes, reposts, replies } }
+  // Counters the page doesn't show are null
+  async readPostMetrics(postUrl) {
+    return { success: false, error: 'Post metrics not supported for ' + this.name };
+  }
+
+  // Find the post we just published: the toast link if the page showed one,
+  // otherwise the matching entry on our own timeline posted since submittedAt.
+  // Entries without a time can't tell a new post from an earlier one with the
+  // same text (recurring jobs), so they never count (never fails the post)
+  async findPostLink(content, toastUrl = null, submittedAt = Date.now(), options = {}) {
+    if (toastUrl) {
+      return this.parsePostLink(toastUrl);
+    }
+
+    try {
+      const timeline = await this.readTimeline(options);
+      if (timeline.success) {
+        const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+        const expected = normalize(content).substring(0, 80);
+        const since = submittedAt - POST_TIME_SKEW_MS;
+        const match = timeline.posts.find(post =>
+          post.url && post.time && post.time >= since && normalize(post.text).startsWith(expected)
+        );
+        if (match) {
+          return this.parsePostLink(match.url);
+        }
+      }
+      console.warn('[Platforms] Could not find the new post on the', this.name, 'timeline');
+    } catch (error) {
+      console.warn('[Platforms] Post link lookup failed:', error.message);
+    }
+    return this.parsePostLink(null);
+  }
+
+  // Confirm a submitted post went out: the create request seen on the network,
+  // then the toast link, then our own timeline. Anything else is not a success
+  async verify(content, watcher, submitResult, options = {}) {
+    if (!submitResult.success) {
+      watcher.stop();
+      return submitResult;
+    }
+
+    const network = await watcher.wait();
+    if (network.rejected) {
+      console.warn('[Platforms] Post rejected:', network.error);
+      return { success: false, error: network.error };
+    }
+    if (network.confirmed && network.platformUrl) {
+      return { success: true, verifiedBy: 'network', platformPostId: network.platformPostId, platformUrl: network.platformUrl };
+    }
+
+    const link = await this.findPostLink(content, submitResult.url, watcher.startedAt, options);
+    if (network.confirmed || link.platformUrl) {
+      const verifiedBy = network.confirmed ? 'network' : (submitResult.url ? 'toast' : 'timeline');
+      return { success: true, verifiedBy, ...link };
+    }
+
+    console.warn('[Platforms] Could not verify', this.name, 'post');
+    return {
+      success: false,
+      unverified: true,
+      error: 'Post not confirmed: no create response, toast or timeline entry',
+      retryable: false // It may still have gone out - don't risk a duplicate
+    };
+  }
+
+  // Start watching the network before a submit
+  watchSubmit() {
+    return postVerifier.watch(this.webContents, this.name);
+  }
+
+  // Full posting flow: open composer, type, attach media, submit, verify
+  // options.media: normalized attachments; other options go to openComposer/verify
+  async publish(content, options = {}) {
+    console.log(`[Platforms] Publishing to ${this.label}:`, content.substring(0, 50) + '...');
+
+    const opened = await this.openComposer(options);
+    if (!opened.success) return opened;
+
+    const inserted = await this.insertText(content, { visible: true });
+    if (!inserted.success) return inserted;
+
+    const media = options.media || [];
+    if (media.length > 0) {
+      const attached = await this.attachMedia(media);
+      if (!attached.success) return attached;
+    }
+
+    const watcher = await this.watchSubmit();
+    return this.verify(content, watcher, await this.submit(), options);
+  }
+}
+
+module.exports = PlatformAdapter;
+module.exports.findInPage = findInPage;
+module.exports.parseCount = parseCount;
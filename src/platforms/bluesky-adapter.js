@@ -0,0 +1,508 @@
+/**
+ * Pulsar Bluesky Adapter
+ * Posts, replies, quotes, likes, reposts and searches through the AT Protocol XRPC API - no BrowserView.
+ * Signs in with an app password (Settings -> App Passwords on bsky.app); the
+ * session is kept in userData and refreshed when the access token expires.
+ *
+ * service defaults to https://bsky.social; point it at any PDS (e.g. a local
+ * one on http://localhost:2583) for self-hosted accounts or testing.
+ */
+
+const crypto = require('crypto');
+const PlatformAdapter = require('./base-adapter');
+const AccountStore = require('./account-store');
+
+const DEFAULT_SERVICE = 'https://bsky.social';
+const MAX_GRAPHEMES = 300;
+const REQUEST_TIMEOUT_MS = 20000;
+
+// Bluesky counts user-perceived characters, not UTF-16 units
+function countGraphemes(text) {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter().segment(text)).length;
+  }
+  return Array.from(text).length;
+}
+
+// Post record keys must be TIDs (13 chars of base32-sortable, top bit clear). Derived from
+// the idempotency key so a retried job writes the same record; the timestamp bits are not a real time
+function recordKeyFor(idempotencyKey) {
+  const alphabet = '234567abcdefghijklmnopqrstuvwxyz';
+  let value = crypto.createHash('sha256').update(String(idempotencyKey)).digest().readBigUInt64BE(0) & 0x7fffffffffffffffn;
+  let rkey = '';
+  for (let i = 0; i < 13; i++) {
+    rkey = alphabet[Number(value & 31n)] + rkey;
+    value >>= 5n;
+  }
+  return rkey;
+}
+
+// Rich text facets use UTF-8 byte offsets
+function byteRange(text, start, end) {
+  return {
+    byteStart: Buffer.byteLength(text.slice(0, start), 'utf8'),
+    byteEnd: Buffer.byteLength(text.slice(0, end), 'utf8')
+  };
+}
+
+class BlueskyAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      name: 'bluesky',
+      label: 'Bluesky',
+      hosts: [], // API only - never matched against the BrowserView URL
+      urls: {
+        post: (handle, rkey) => `https://bsky.app/profile/${handle}/post/${rkey}`
+      },
+      selectors: {}
+    });
+    this.usesBrowser = false;
+    this.store = new AccountStore('bluesky-account.json', 'Bluesky');
+    this.account = this.store.load();
+  }
+
+  // ============================================
+  // Account
+  // ============================================
+
+  saveAccount() {
+    this.store.save(this.account);
+  }
+
+  // Public account info for the UI (never the password or tokens)
+  getAccount() {
+    if (!this.account) return null;
+    const { service, handle, did } = this.account;
+    return { service, handle, did };
+  }
+
+  // ============================================
+  // XRPC
+  // ============================================
+
+  async xrpc(method, options = {}) {
+    const { params, body, auth = 'access', retryAuth = true } = options;
+    const service = (this.account && this.account.service) || options.service || DEFAULT_SERVICE;
+
+    let url = `${service.replace(/\/+$/, '')}/xrpc/${method}`;
+    if (params) {
+      const query = new URLSearchParams();
+      for (const [key, value] of Object.entries(params)) {
+        for (const item of [].concat(value)) {
+          if (item !== undefined && item !== null) query.append(key, String(item));
+        }
+      }
+      url += '?' + query.toString();
+    }
+
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const token = auth === 'refresh' ? this.account?.refreshJwt : auth === 'access' ? this.account?.accessJwt : null;
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const response = await fetch(url, {
+      method: body !== undefined ? 'POST' : 'GET',
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.ok) return data;
+
+    // Access tokens live ~2 hours; refresh once and retry
+    if (auth === 'access' && retryAuth && (data.error === 'ExpiredToken' || response.status === 401) && this.account?.refreshJwt) {
+      await this.refreshSession();
+      return this.xrpc(method, { ...options, retryAuth: false });
+    }
+
+    const error = new Error(`Bluesky ${method} failed: ${data.message || data.error || 'HTTP ' + response.status}`);
+    error.status = response.status;
+    error.code = data.error;
+    throw error;
+  }
+
+  // Sign in with handle/email + app password; stores the session
+  async login({ identifier, appPassword, service }) {
+    if (!identifier || !appPassword) {
+      return { success: false, error: 'Handle and app password are required' };
+    }
+
+    try {
+      this.account = null;
+      const session = await this.xrpc('com.atproto.server.createSession', {
+        service: service || DEFAULT_SERVICE,
+        auth: null,
+        body: { identifier: identifier.replace(/^@/, ''), password: appPassword }
+      });
+
+      this.account = {
+        service: (service || DEFAULT_SERVICE).replace(/\/+$/, ''),
+        identifier,
+        password: this.store.encryptSecret(appPassword), // OS keychain encryption when available
+        did: session.did,
+        handle: session.handle,
+        accessJwt: session.accessJwt,
+        refreshJwt: session.refreshJwt
+      };
+      this.saveAccount();
+      console.log('[Bluesky] Logged in as', session.handle);
+      return { success: true, account: this.getAccount() };
+    } catch (error) {
+      console.error('[Bluesky] Login failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  logout() {
+    this.account = null;
+    this.saveAccount();
+    return { success: true };
+  }
+
+  // New tokens from the refresh token, or a fresh session from the stored app password
+  async refreshSession() {
+    try {
+      const session = await this.xrpc('com.atproto.server.refreshSession', { auth: 'refresh', body: {} });
+      Object.assign(this.account, { accessJwt: session.accessJwt, refreshJwt: session.refreshJwt, handle: session.handle });
+    } catch (error) {
+      console.warn('[Bluesky] Session refresh failed, signing in again:', error.message);
+      const session = await this.xrpc('com.atproto.server.createSession', {
+        auth: null,
+        body: { identifier: this.account.identifier, password: this.store.decryptSecret(this.account.password) }
+      });
+      Object.assign(this.account, { accessJwt: session.accessJwt, refreshJwt: session.refreshJwt, did: session.did, handle: session.handle });
+    }
+    this.saveAccount();
+  }
+
+  async checkLogin() {
+    return !!(this.account && this.account.accessJwt);
+  }
+
+  // ============================================
+  // Records
+  // ============================================
+
+  checkContent(content, media = []) {
+    if (!content || !content.trim()) {
+      return 'Post content is empty';
+    }
+    if (media && media.length > 0) {
+      return 'Media attachments are not supported on Bluesky yet';
+    }
+    const length = countGraphemes(content);
+    if (length > MAX_GRAPHEMES) {
+      return `Bluesky posts are limited to ${MAX_GRAPHEMES} characters (got ${length})`;
+    }
+    return null;
+  }
+
+  // Links, #hashtags and @mentions (mentions need the handle resolved to a DID)
+  async buildFacets(text) {
+    const facets = [];
+
+    for (const match of text.matchAll(/https?:\/\/[^\s)\]]+/g)) {
+      const uri = match[0].replace(/[.,;:!?]+$/, '');
+      facets.push({
+        index: byteRange(text, match.index, match.index + uri.length),
+        features: [{ $type: 'app.bsky.richtext.facet#link', uri }]
+      });
+    }
+
+    for (const match of text.matchAll(/(^|\s)#([^\s#]+)/g)) {
+      const tag = match[2].replace(/[.,;:!?]+$/, '');
+      const start = match.index + match[1].length;
+      facets.push({
+        index: byteRange(text, start, start + tag.length + 1),
+        features: [{ $type: 'app.bsky.richtext.facet#tag', tag }]
+      });
+    }
+
+    for (const match of text.matchAll(/(^|\s)@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g)) {
+      const handle = match[2].replace(/\.+$/, '');
+      const start = match.index + match[1].length;
+      try {
+        const { did } = await this.xrpc('com.atproto.identity.resolveHandle', { params: { handle } });
+        facets.push({
+          index: byteRange(text, start, start + handle.length + 1),
+          features: [{ $type: 'app.bsky.richtext.facet#mention', did }]
+        });
+      } catch (error) {
+        // Unknown handle - leave it as plain text
+      }
+    }
+
+    return facets.sort((a, b) => a.index.byteStart - b.index.byteStart);
+  }
+
+  // at://did/app.bsky.feed.post/rkey <-> https://bsky.app/profile/handle/post/rkey
+  parsePostLink(url) {
+    if (!url) return { platformPostId: null, platformUrl: null };
+    if (url.startsWith('at://')) {
+      const [, repo, , rkey] = url.split('/').slice(1);
+      return { platformPostId: url, platformUrl: this.urls.post(repo, rkey) };
+    }
+    const match = url.match(/\/profile\/([^/]+)\/post\/([^/?#]+)/);
+    return {
+      platformPostId: match ? `at://${match[1]}/app.bsky.feed.post/${match[2]}` : null,
+      platformUrl: url
+    };
+  }
+
+  // reply: { root, parent } refs; embed: e.g. a quoted post's app.bsky.embed.record
+  // options.idempotencyKey (the scheduler job id) fixes the record key, so a retry after a
+  // lost response finds the earlier record instead of posting twice
+  async createPost(text, reply = null, embed = null, options = {}) {
+    const record = {
+      $type: 'app.bsky.feed.post',
+      text,
+      createdAt: new Date().toISOString()
+    };
+    const facets = await this.buildFacets(text);
+    if (facets.length > 0) record.facets = facets;
+    if (reply) record.reply = reply;
+    if (embed) record.embed = embed;
+
+    const rkey = options.idempotencyKey ? recordKeyFor(options.idempotencyKey) : undefined;
+    let created;
+    try {
+      created = await this.xrpc('com.atproto.repo.createRecord', {
+        body: { repo: this.account.did, collection: 'app.bsky.feed.post', rkey, record }
+      });
+    } catch (error) {
+      created = rkey ? await this.findRecord('app.bsky.feed.post', rkey) : null;
+      if (!created) throw error;
+      console.log('[Bluesky] Post already exists from an earlier attempt:', created.uri);
+    }
+    return {
+      success: true,
+      verifiedBy: 'api',
+      platformPostId: created.uri,
+      platformUrl: this.urls.post(this.account.handle, created.uri.split('/').pop()),
+      cid: created.cid
+    };
+  }
+
+  // { uri, cid } of one of our records, or null if it does not exist (or can't be read)
+  async findRecord(collection, rkey) {
+    try {
+      const record = await this.xrpc('com.atproto.repo.getRecord', {
+        params: { repo: this.account.did, collection, rkey }
+      });
+      return { uri: record.uri, cid: record.cid };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // A failed create with no HTTP status (timeout, dropped connection) may still have posted;
+  // with an idempotency key createPost already looked, so a retry is safe
+  failedPostResult(error, options = {}) {
+    if (!error.status && !options.idempotencyKey) {
+      return { success: false, error: error.message, unverified: true, retryable: false };
+    }
+    // 4xx other than rate limiting means the post itself was refused
+    const retryable = !error.status || error.status >= 500 || error.status === 429;
+    return { success: false, error: error.message, retryable };
+  }
+
+  // The API response is the confirmation, so there is no separate verify step
+  async publish(content, options = {}) {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Bluesky', retryable: false };
+    }
+
+    const contentError = this.checkContent(content, options.media);
+    if (contentError) {
+      return { success: false, error: contentError, retryable: false };
+    }
+
+    console.log('[Platforms] Publishing to Bluesky:', content.substring(0, 50) + '...');
+    try {
+      return await this.createPost(content, null, null, options);
+    } catch (error) {
+      console.error('[Bluesky] Post failed:', error.message);
+      return this.failedPostResult(error, options);
+    }
+  }
+
+  // Reply to a post (bsky.app URL or at:// URI); threads under the original root
+  async reply(postUrl, text) {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Bluesky' };
+    }
+
+    try {
+      const uri = await this.resolvePostUri(postUrl);
+      const { posts } = await this.xrpc('app.bsky.feed.getPosts', { params: { uris: uri } });
+      const parent = posts && posts[0];
+      if (!parent) {
+        return { success: false, error: 'Post not found: ' + postUrl };
+      }
+
+      const parentRef = { uri: parent.uri, cid: parent.cid };
+      const root = (parent.record && parent.record.reply && parent.record.reply.root) || parentRef;
+      return await this.createPost(text, { root, parent: parentRef });
+    } catch (error) {
+      console.error('[Bluesky] Reply failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The post view of a bsky.app URL or at:// URI (uri, cid, record, viewer state)
+  async getPostView(postUrl) {
+    const uri = await this.resolvePostUri(postUrl);
+    const { posts } = await this.xrpc('app.bsky.feed.getPosts', { params: { uris: uri } });
+    if (!posts || !posts[0]) {
+      throw new Error('Post not found: ' + postUrl);
+    }
+    return posts[0];
+  }
+
+  // Quote a post: a new post embedding it (publishPost calls this for options.quoteOf)
+  async quote(postUrl, content, options = {}) {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Bluesky', retryable: false };
+    }
+
+    try {
+      const quoted = await this.getPostView(postUrl);
+      return await this.createPost(content, null, {
+        $type: 'app.bsky.embed.record',
+        record: { uri: quoted.uri, cid: quoted.cid }
+      }, options);
+    } catch (error) {
+      console.error('[Bluesky] Quote failed:', error.message);
+      return this.failedPostResult(error, options);
+    }
+  }
+
+  // Like / repost records point at the post's uri and cid; an existing one counts as done
+  async createSubjectRecord(postUrl, collection, viewerKey) {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Bluesky' };
+    }
+
+    try {
+      const post = await this.getPostView(postUrl);
+      if (post.viewer && post.viewer[viewerKey]) {
+        return { success: true, alreadyDone: true };
+      }
+      await this.xrpc('com.atproto.repo.createRecord', {
+        body: {
+          repo: this.account.did,
+          collection,
+          record: { $type: collection, subject: { uri: post.uri, cid: post.cid }, createdAt: new Date().toISOString() }
+        }
+      });
+      return { success: true };
+    } catch (error) {
+      console.error(`[Bluesky] ${collection} failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  like(postUrl) {
+    return this.createSubjectRecord(postUrl, 'app.bsky.feed.like', 'like');
+  }
+
+  repost(postUrl) {
+    return this.createSubjectRecord(postUrl, 'app.bsky.feed.repost', 'repost');
+  }
+
+  // Counters of one post from the AppView (Bluesky has no impression counts)
+  async readPostMetrics(postUrl) {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Bluesky' };
+    }
+
+    try {
+      const uri = await this.resolvePostUri(postUrl);
+      const { posts } = await this.xrpc('app.bsky.feed.getPosts', { params: { uris: uri } });
+      const post = posts && posts[0];
+      if (!post) {
+        return { success: false, error: 'Post not found: ' + postUrl };
+      }
+      return {
+        success: true,
+        metrics: {
+          impressions: null,
+          likes: post.likeCount || 0,
+          reposts: (post.repostCount || 0) + (post.quoteCount || 0),
+          replies: post.replyCount || 0
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // bsky.app links carry a handle; records need the DID
+  async resolvePostUri(postUrl) {
+    const { platformPostId } = this.parsePostLink(postUrl);
+    if (!platformPostId) {
+      throw new Error('Not a Bluesky post link: ' + postUrl);
+    }
+    const [, repo, collection, rkey] = platformPostId.split('/').slice(1);
+    if (repo.startsWith('did:')) return platformPostId;
+
+    const { did } = await this.xrpc('com.atproto.identity.resolveHandle', { params: { handle: repo } });
+    return `at://${did}/${collection}/${rkey}`;
+  }
+
+  // Same shape as the browser adapters' scraped posts
+  toPost(view) {
+    const rkey = view.uri.split('/').pop();
+    return {
+      postId: view.uri,
+      postUrl: this.urls.post(view.author.handle, rkey),
+      text: ((view.record && view.record.text) || '').substring(0, 500),
+      author: view.author.displayName || view.author.handle,
+      handle: view.author.handle,
+      time: view.record && view.record.createdAt ? Date.parse(view.record.createdAt) : null,
+      likes: String(view.likeCount || 0),
+      replies: String(view.replyCount || 0)
+    };
+  }
+
+  // Latest posts for a search query
+  async searchPosts(query, options = {}) {
+    const { limit = 10, minLength = 0 } = options;
+    const { posts } = await this.xrpc('app.bsky.feed.searchPosts', {
+      params: { q: query, sort: 'latest', limit: Math.min(100, limit * 2) }
+    });
+    return (posts || [])
+      .filter(view => view.author.did !== this.account?.did) // Never reply to ourselves
+      .map(view => this.toPost(view))
+      .filter(post => post.text.length >= minLength)
+      .slice(0, limit);
+  }
+
+  // Recent posts from a profile (reposts and replies skipped)
+  async readProfilePosts(actor, options = {}) {
+    const { limit = 10 } = options;
+    const { feed } = await this.xrpc('app.bsky.feed.getAuthorFeed', {
+      params: { actor: actor.replace(/^@/, ''), filter: 'posts_no_replies', limit: Math.min(100, limit * 2) }
+    });
+    return (feed || [])
+      .filter(item => !item.reason) // Reposts carry a reason
+      .map(item => this.toPost(item.post))
+      .slice(0, limit);
+  }
+
+  // The logged-in account's most recent posts
+  async readTimeline() {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Bluesky' };
+    }
+    try {
+      const posts = await this.readProfilePosts(this.account.did, { limit: 10 });
+      return { success: true, posts: posts.map(post => ({ text: post.text, time: post.time, url: post.postUrl })) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new BlueskyAdapter();
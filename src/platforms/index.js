@@ -0,0 +1,51 @@
+/**
+ * Pulsar Platforms
+ * Registry of platform adapters - the only place that knows how to drive each site
+ */
+
+const twitter = require('./twitter-adapter');
+const linkedin = require('./linkedin-adapter');
+const threads = require('./threads-adapter');
+const instagram = require('./instagram-adapter');
+const bluesky = require('./bluesky-adapter');
+const mastodon = require('./mastodon-adapter');
+const selectorPacks = require('./selector-packs');
+
+const ADAPTERS = { twitter, linkedin, threads, instagram, bluesky, mastodon };
+
+class Platforms {
+  constructor() {
+    this.twitter = twitter;
+    this.linkedin = linkedin;
+    this.threads = threads;
+    this.instagram = instagram;
+    this.bluesky = bluesky;
+    this.mastodon = mastodon;
+    this.selectorPacks = selectorPacks;
+  }
+
+  // options.getWebContents(), options.sleep(ms) - shared by every adapter;
+  // then load the active selector pack on top of the bundled selectors
+  init(options) {
+    for (const adapter of Object.values(ADAPTERS)) {
+      adapter.init(options);
+    }
+    selectorPacks.init(ADAPTERS);
+  }
+
+  // Adapter by platform name, or null if unsupported
+  get(platform) {
+    return ADAPTERS[platform] || null;
+  }
+
+  // Adapter for the site a URL belongs to
+  forUrl(url) {
+    return Object.values(ADAPTERS).find(adapter => adapter.matchesUrl(url)) || null;
+  }
+
+  list() {
+    return Object.keys(ADAPTERS);
+  }
+}
+
+module.exports = new Platforms();
@@ -0,0 +1,239 @@
+/**
+ * Pulsar Instagram Adapter
+ * Selectors and the image-first feed post flow on instagram.com:
+ * Create -> upload -> crop (Next) -> edit (Next) -> caption + alt text -> Share
+ */
+
+const PlatformAdapter = require('./base-adapter');
+const mediaUploader = require('../browser/media-uploader');
+
+const MAX_HASHTAGS = 30;
+
+const SELECTORS = {
+  loggedIn: [
+    'svg[aria-label="New post"]',
+    'svg[aria-label="Home"]',
+    'a[href="/direct/inbox/"]',
+    'a[href="/explore/"]'
+  ],
+  profileLink: ['a[role="link"]:has(img[alt*="profile picture"])', 'a:has(img[alt*="profile picture"])'],
+
+  // Create menu in the side nav; newer layouts ask "Post" vs other formats first
+  createButton: [
+    'a:has(svg[aria-label="New post"])',
+    '[role="link"]:has(svg[aria-label="New post"])',
+    '[role="button"]:has(svg[aria-label="New post"])',
+    'text=Create'
+  ],
+  createPostOption: ['a:has(svg[aria-label="Post"])', '[role="menu"] >> text=Post', '[role="dialog"] >> text=Post'],
+  fileInput: [
+    '[role="dialog"] form[enctype="multipart/form-data"] input[type="file"]',
+    '[role="dialog"] input[type="file"]',
+    'input[type="file"][accept*="image"]'
+  ],
+  selectFromComputer: ['[role="dialog"] >> text=Select from computer', 'text=Select from computer'],
+  nextButton: ['[role="dialog"] >> text=Next'],
+
+  // Caption step
+  editor: [
+    '[role="dialog"] [aria-label="Write a caption..."]',
+    '[role="dialog"] div[contenteditable="true"][role="textbox"]',
+    '[role="dialog"] [contenteditable="true"]'
+  ],
+  accessibilityToggle: ['[role="dialog"] >> text=Accessibility'],
+  altTextInput: ['[role="dialog"] input[placeholder="Write alt text..."]', '[role="dialog"] input[placeholder*="alt text" i]'],
+  submitButton: ['[role="dialog"] >> text=Share'],
+  composer: ['[role="dialog"] [aria-label="Write a caption..."]', '[role="dialog"] [contenteditable="true"]'],
+  toastLink: ['[role="dialog"] a[href*="/p/"]'],
+
+  // Profile grid - no captions; img alt is the alt text or an automatic description,
+  // so the timeline rarely confirms a post and verify() leans on the network response
+  post: ['a[href*="/p/"]'],
+  postImage: ['img'],
+
+  // Post page counters ("123 likes"); comments and views have no reliable counter on the web
+  likeCount: ['section a[href$="/liked_by/"]', 'a[href*="/liked_by/"]', 'section >> text*= likes']
+};
+
+class InstagramAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      name: 'instagram',
+      label: 'Instagram',
+      hosts: ['instagram.com'],
+      maxLength: 2200,
+      requiresMedia: true,
+      urls: {
+        home: 'https://www.instagram.com/',
+        login: 'https://www.instagram.com/accounts/login/',
+        post: (code) => `https://www.instagram.com/p/${code}/`
+      },
+      selectors: SELECTORS
+    });
+  }
+
+  parsePostLink(url) {
+    const match = url ? url.match(/\/(?:p|reel)\/([A-Za-z0-9_-]+)/) : null;
+    return { platformPostId: match ? match[1] : null, platformUrl: url || null };
+  }
+
+  checkContent(content, media = []) {
+    const error = super.checkContent(content, media);
+    if (error) return error;
+
+    const hashtags = content.match(/#[^\s#]+/g) || [];
+    if (hashtags.length > MAX_HASHTAGS) {
+      return `Instagram captions allow at most ${MAX_HASHTAGS} hashtags (got ${hashtags.length})`;
+    }
+    return null;
+  }
+
+  // Open the Create dialog at its upload step
+  async openComposer() {
+    await this.navigate(this.urls.home, 3000);
+
+    const opened = await this.click('createButton', { visible: true, timeoutMs: 5000 });
+    if (!opened.success) {
+      return this.missing('createButton', 'Could not find the Instagram Create button');
+    }
+    await this.sleep(1000);
+
+    if (!(await this.exists('selectFromComputer')) && !(await this.exists('fileInput'))) {
+      await this.click('createPostOption', { visible: true, timeoutMs: 3000 });
+      await this.sleep(1000);
+    }
+    return this.waitFor('fileInput', { timeoutMs: 10000 });
+  }
+
+  // Upload into the Create dialog, then step through crop and edit to the caption
+  async attachMedia(media) {
+    const paths = media.map(item => item.path);
+    let upload = await mediaUploader.setFiles(this.webContents, this.chain('fileInput'), paths);
+    if (!upload.success) {
+      upload = await mediaUploader.chooseFiles(this.webContents, () => this.click('selectFromComputer', { timeoutMs: 0 }), paths);
+    }
+    if (!upload.success) return upload;
+
+    // Crop, then filters/edit
+    const hasVideo = media.some(item => item.kind === 'video');
+    for (const step of ['crop', 'edit']) {
+      const next = await this.click('nextButton', { visible: true, timeoutMs: hasVideo ? 120000 : 30000 });
+      if (!next.success) {
+        return this.missing('nextButton', `Instagram ${step} step did not finish`);
+      }
+      await this.sleep(1500);
+    }
+    return this.waitFor('editor', { visible: true, timeoutMs: 10000 });
+  }
+
+  // Alt text lives under "Accessibility" on the caption step, one input per attachment
+  async setAltText(media) {
+    if (!media.some(item => item.altText && item.kind === 'image')) return { success: true };
+
+    const expanded = await this.click('accessibilityToggle', { timeoutMs: 3000 });
+    if (!expanded.success) {
+      console.warn('[Platforms] Instagram Accessibility section not found, alt text skipped');
+      return { success: true, warnings: ['Accessibility section not found'] };
+    }
+    await this.sleep(800);
+
+    const warnings = [];
+    for (let i = 0; i < media.length; i++) {
+      if (!media[i].altText || media[i].kind !== 'image') continue;
+
+      const focused = await this.run(`
+        const input = find(S.altTextInput, { all: true })[${i}];
+        if (!input) return { success: false, error: 'Alt text field not found' };
+        input.focus();
+        input.select();
+        return { success: true };
+      `);
+      if (focused.success) {
+        await this.typeText(media[i].altText);
+        await this.sleep(300);
+      } else {
+        warnings.push(`Image ${i + 1}: ${focused.error}`);
+      }
+    }
+
+    if (warnings.length) {
+      console.warn('[Platforms] Alt text not applied:', warnings.join('; '));
+    }
+    return { success: true, warnings };
+  }
+
+  // Media comes first on Instagram, so the flow differs from the base publish()
+  async publish(content, options = {}) {
+    const media = options.media || [];
+    const contentError = this.checkContent(content, media);
+    if (contentError) {
+      return { success: false, error: contentError, retryable: false };
+    }
+    console.log(`[Platforms] Publishing to ${this.label}:`, content.substring(0, 50) + '...');
+
+    const opened = await this.openComposer();
+    if (!opened.success) return opened;
+
+    const attached = await this.attachMedia(media);
+    if (!attached.success) return attached;
+
+    const inserted = await this.insertText(content, { visible: true });
+    if (!inserted.success) return inserted;
+
+    await this.setAltText(media);
+
+    // Sharing uploads the media, so give it longer than a text post
+    const watcher = await this.watchSubmit();
+    return this.verify(content, watcher, await this.submit({ waitMs: media.some(m => m.kind === 'video') ? 120000 : 45000 }), options);
+  }
+
+  // Likes of one post from its page; accounts that hide like counts report null
+  async readPostMetrics(postUrl) {
+    await this.navigate(postUrl, 4000);
+    return this.run(`
+      if (window.location.href.includes('/accounts/login')) {
+        return { success: false, error: 'Not logged in to Instagram' };
+      }
+      const likes = find(S.likeCount);
+      return {
+        success: true,
+        metrics: {
+          impressions: null,
+          likes: likes ? parseCount(likes.textContent) : null,
+          reposts: null,
+          replies: null
+        }
+      };
+    `);
+  }
+
+  // The logged-in account's most recent posts, from its profile grid
+  async readTimeline() {
+    await this.navigate(this.urls.home, 3000);
+
+    const profile = await this.run(`
+      const link = find(S.profileLink);
+      return link ? link.href : null;
+    `);
+    if (!profile) {
+      return { success: false, error: 'Profile link not found (not logged in?)' };
+    }
+
+    await this.navigate(profile, 3000);
+    return this.run(`
+      const posts = [];
+      for (const link of find(S.post, { all: true })) {
+        const img = find(S.postImage, { root: link });
+        posts.push({
+          text: img ? img.getAttribute('alt') || '' : '',
+          time: null, // The grid has no timestamps
+          url: link.href
+        });
+        if (posts.length >= 12) break;
+      }
+      return { success: true, posts };
+    `);
+  }
+}
+
+module.exports = new InstagramAdapter();
@@ -0,0 +1,491 @@
+/**
+ * Pulsar LinkedIn Adapter
+ * Selectors and flows for member and Company Page posting, comments, notifications
+ * and reading members', pages' and search results' updates on linkedin.com
+ */
+
+const PlatformAdapter = require('./base-adapter');
+const mediaUploader = require('../browser/media-uploader');
+
+const SELECTORS = {
+  // LinkedIn UI changes often - keep several identity markers
+  loggedIn: [
+    '.feed-identity-module',
+    '.profile-card-profile-picture',
+    '[data-control-name="identity_profile_photo"]',
+    '.share-box-feed-entry__avatar',
+    '.feed-identity-module__actor-meta',
+    'img.feed-identity-module__member-photo',
+    '.global-nav__me-photo',
+    '[data-view-name="profile-card"]'
+  ],
+
+  // "Start a post" on the feed
+  shareBox: ['.share-box-feed-entry', '[class*="share-box-feed"]'],
+  shareBoxTrigger: [
+    '.share-box-feed-entry button',
+    '.share-box-feed-entry [role="button"]',
+    '.share-box-feed-entry__trigger',
+    '.share-box-feed-entry__placeholder',
+    '[class*="share-box-feed"] button',
+    '[data-control-name="share.open_share_box"]',
+    'button[aria-label="Start a post"]',
+    '.share-creation-state__trigger',
+    'text*=Start a post'
+  ],
+  modal: ['.artdeco-modal', '[role="dialog"]', '.share-creation-state'],
+
+  // Company Page: Create -> Start a post
+  companyCreateButton: [
+    'button[aria-label="Create"]',
+    '.org-page-navigation__create-btn',
+    '[data-control-name="org_admin_create"]',
+    'text=Create'
+  ],
+  companyStartPost: [
+    '.artdeco-modal >> text*=Start a post',
+    '[role="dialog"] >> text*=Start a post',
+    '.share-actions-modal >> text*=Start a post',
+    '.artdeco-dropdown__content >> text*=Start a post',
+    '[role="menuitem"]:first-child'
+  ],
+
+  // Share modal
+  editor: [
+    '.ql-editor',
+    '[data-placeholder="What do you want to talk about?"]',
+    '.share-creation-state__text-editor .ql-editor',
+    '.editor-content[contenteditable="true"]',
+    '[role="textbox"][contenteditable="true"]',
+    '[contenteditable="true"][data-placeholder]',
+    '[data-test-richtexteditor]',
+    '[aria-label="Text editor for creating content"]',
+    'div[contenteditable="true"][aria-label*="post"]',
+    '.artdeco-modal [contenteditable="true"]',
+    '[role="dialog"] [contenteditable="true"]',
+    '[contenteditable="true"]'
+  ],
+  submitButton: [
+    '.share-actions__primary-action',
+    '[data-control-name="share.post"]',
+    'button[aria-label="Post"]',
+    '.share-box-v2__submit-button',
+    '.share-creation-state__footer button.artdeco-button--primary',
+    '[data-test-modal-footer] button.artdeco-button--primary',
+    '.artdeco-modal >> text=Post',
+    '.artdeco-modal >> text=Share',
+    '.artdeco-modal button.artdeco-button--primary'
+  ],
+  composer: ['.share-box-v2__modal-content', '.share-creation-state'],
+  toastLink: ['.artdeco-toast-item a[href*="/feed/update/"]'],
+
+  // Media
+  addMediaButton: [
+    '.share-creation-state button[aria-label="Add media"]',
+    'button[aria-label="Add media"]',
+    'button[aria-label*="photo" i]',
+    'button[aria-label*="media" i]'
+  ],
+  mediaPreview: [
+    '.share-media-editor img',
+    '.image-sharing-detour-container img',
+    '[class*="media-editor"] img',
+    '[class*="media-editor"] video'
+  ],
+  mediaBusy: ['[class*="media-editor"] [role="progressbar"]', '.artdeco-loader'],
+  mediaThumbnail: ['[class*="media-editor"] [class*="thumbnail"] button', '[class*="media-editor"] li button'],
+  altTextButton: ['text*=Alternative text', 'text*=Alt text'],
+  altTextInput: ['textarea[id*="alt-text"]', 'textarea[name*="alt"]', 'textarea[aria-label*="lternative"]'],
+  altTextSave: ['text=Add', 'text=Save', 'text=Done'],
+  mediaNext: ['button[aria-label="Next"]', 'text=Next', 'text=Done'],
+
+  // Activity feed, company posts and content search results
+  update: ['.feed-shared-update-v2', '[data-urn^="urn:li:activity"]', '[data-chameleon-result-urn^="urn:li:activity"]'],
+  updateText: ['.feed-shared-update-v2__description', '.update-components-text', '.feed-shared-text'],
+  updateActor: ['.update-components-actor__title', '.update-components-actor__name', '.feed-shared-actor__title'],
+  updateActorLink: [
+    'a.update-components-actor__meta-link',
+    'a.update-components-actor__image',
+    'a.feed-shared-actor__container-link',
+    '.update-components-actor a[href*="/in/"]',
+    '.update-components-actor a[href*="/company/"]'
+  ],
+  // "… reposted this" / "… commented on this" / "… likes this" above someone else's update
+  updateHeader: ['.update-components-header', '.feed-shared-header'],
+
+  // Counters under an update; impressions are only shown to the author
+  reactionsCount: [
+    '.social-details-social-counts__reactions-count',
+    '.social-details-social-counts__social-proof-fallback-number',
+    '.social-details-social-counts button[aria-label*="reaction" i]'
+  ],
+  commentsCount: ['.social-details-social-counts__comments', '.social-details-social-counts button[aria-label*="comment" i]'],
+  repostsCount: ['.social-details-social-counts button[aria-label*="repost" i]'],
+  impressionsCount: ['.ca-entry-point__num-views', '[class*="analytics-entry-point"] strong'],
+
+  // Comments under an update
+  commentButton: [
+    '.feed-shared-social-action-bar button[aria-label*="Comment" i]',
+    'button[aria-label="Comment"]',
+    '.comment-button'
+  ],
+  commentEditor: [
+    '.comments-comment-box__form .ql-editor',
+    '.comments-comment-texteditor [contenteditable="true"]',
+    '.comments-comment-box [contenteditable="true"]',
+    '[contenteditable="true"][aria-label*="comment" i]'
+  ],
+  commentSubmit: [
+    '.comments-comment-box__submit-button',
+    '.comments-comment-box__submit-button--cr',
+    '.comments-comment-box button.artdeco-button--primary',
+    'form.comments-comment-box__form button[type="submit"]'
+  ],
+
+  // Notifications page
+  notificationCard: ['.nt-card', 'article[class*="nt-card"]'],
+  notificationHeadline: ['.nt-card__headline', '[class*="nt-card__headline"]'],
+  notificationSnippet: ['.nt-card__text--3-line', '.nt-card__text', '[class*="nt-card__text"]'],
+  notificationLink: ['a[href*="/feed/update/"]', 'a.nt-card__headline']
+};
+
+class LinkedInAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      name: 'linkedin',
+      label: 'LinkedIn',
+      hosts: ['linkedin.com'],
+      maxLength: 3000,
+      urls: {
+        home: 'https://www.linkedin.com/feed/',
+        login: 'https://www.linkedin.com/login',
+        feed: 'https://www.linkedin.com/feed/',
+        activity: 'https://www.linkedin.com/in/me/recent-activity/all/', // /in/me/ is the logged-in member
+        company: (slug) => `https://www.linkedin.com/company/${slug}/`,
+        companyPosts: (slug) => `https://www.linkedin.com/company/${slug}/posts/?feedView=all`,
+        notifications: 'https://www.linkedin.com/notifications/',
+        memberActivity: (username) => `https://www.linkedin.com/in/${username}/recent-activity/all/`,
+        search: (query) => `https://www.linkedin.com/search/results/content/?keywords=${encodeURIComponent(query)}&sortBy=%22date_posted%22`
+      },
+      selectors: SELECTORS
+    });
+  }
+
+  parsePostLink(url) {
+    const match = url ? decodeURIComponent(url).match(/(urn:li:(?:activity|share|ugcPost):\d+)/) : null;
+    return { platformPostId: match ? match[1] : null, platformUrl: url || null };
+  }
+
+  // Open the share modal, on the feed or (options.companySlug) on a Company Page
+  async openComposer(options = {}) {
+    if (options.companySlug) {
+      return this.openCompanyComposer(options.companySlug);
+    }
+
+    await this.navigate(this.urls.feed, 3000);
+
+    const opened = await this.click('shareBoxTrigger', { timeoutMs: 3000 });
+    if (!opened.success) {
+      return this.missing('shareBoxTrigger', 'Could not find Start a post element');
+    }
+    await this.sleep(1500);
+
+    // Some layouts ignore click() on the inner element - dispatch a real click on the box
+    if (!(await this.exists('modal')) && !(await this.exists('editor'))) {
+      console.log('[Platforms] LinkedIn share modal did not open, retrying click');
+      await this.run(`
+        const box = find(S.shareBox);
+        if (box) box.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
+      `);
+      await this.sleep(1500);
+    }
+
+    await this.sleep(2000);
+    return this.waitFor('editor', { visible: true, timeoutMs: 5000 });
+  }
+
+  async openCompanyComposer(companySlug) {
+    console.log('[Platforms] Opening Company Page composer:', companySlug);
+    await this.navigate(this.urls.company(companySlug), 3000);
+
+    const created = await this.click('companyCreateButton', { timeoutMs: 3000 });
+    if (!created.success) {
+      return this.missing('companyCreateButton', 'Create button not found');
+    }
+    await this.sleep(1000);
+
+    // The Create menu only reacts to real mouse events
+    const started = await this.clickAt('companyStartPost');
+    if (!started.success) {
+      return this.missing('companyStartPost', '"Start a post" option not found in dropdown');
+    }
+
+    // Company Page modal loads slower
+    await this.sleep(3000);
+    return this.waitFor('editor', { visible: true, timeoutMs: 10000 });
+  }
+
+  // Upload through the intercepted file chooser, then set alt text in the media editor
+  async attachMedia(media) {
+    if (!media || media.length === 0) return { success: true };
+
+    const upload = await mediaUploader.chooseFiles(
+      this.webContents,
+      () => this.click('addMediaButton', { timeoutMs: 0 }),
+      media.map(item => item.path)
+    );
+    if (!upload.success) return upload;
+
+    const hasVideo = media.some(item => item.kind === 'video');
+    const processed = await this.run(`
+      const deadline = Date.now() + ${hasVideo ? 180000 : 60000};
+      while (Date.now() < deadline) {
+        if (find(S.mediaPreview) && !find(S.mediaBusy)) return { success: true };
+        await sleep(500);
+      }
+      return { success: false, error: 'Media upload timed out' };
+    `);
+    if (!processed.success) return processed;
+
+    const warnings = [];
+    for (let i = 0; i < media.length; i++) {
+      if (!media[i].altText || media[i].kind !== 'image') continue;
+
+      // The media editor shows one image at a time; select it, then open "Alternative text"
+      const opened = await this.run(`
+        const thumb = find(S.mediaThumbnail, { all: true })[${i}];
+        if (thumb) thumb.click();
+        const altBtn = find(S.altTextButton);
+        if (!altBtn) return { success: false, error: 'Alternative text button not found' };
+        altBtn.click();
+        return { success: true };
+      `);
+      if (!opened.success) {
+        warnings.push(`Image ${i + 1}: ${opened.error}`);
+        continue;
+      }
+      await this.sleep(800);
+
+      const focused = await this.run(`
+        const input = find(S.altTextInput);
+        if (!input) return { success: false, error: 'Alt text field not found' };
+        input.focus();
+        input.select();
+        return { success: true };
+      `);
+      if (focused.success) {
+        await this.typeText(media[i].altText);
+        await this.sleep(300);
+        await this.click('altTextSave', { timeoutMs: 0 });
+        await this.sleep(800);
+      } else {
+        warnings.push(`Image ${i + 1}: ${focused.error}`);
+      }
+    }
+
+    // Leave the media editor and return to the post composer
+    const back = await this.click('mediaNext', { timeoutMs: 0 });
+    if (!back.success) return this.missing('mediaNext', 'Media editor Next button not found');
+    await this.sleep(1500);
+
+    if (warnings.length) {
+      console.warn('[Platforms] Alt text not applied:', warnings.join('; '));
+    }
+    return { success: true, warnings };
+  }
+
+  // Counters of one update from its /feed/update/ page
+  async readPostMetrics(postUrl) {
+    await this.navigate(postUrl, 4000);
+    const loaded = await this.waitFor('update', { timeoutMs: 10000 });
+    if (!loaded.success) return loaded;
+
+    return this.run(`
+      if (window.location.href.includes('/login') || window.location.href.includes('/authwall')) {
+        return { success: false, error: 'Not logged in to LinkedIn' };
+      }
+      const update = find(S.update);
+      // A missing counter means nobody has reacted / commented / reposted yet
+      const count = (name) => {
+        const el = find(S[name], { root: update });
+        return el ? parseCount(el.getAttribute('aria-label') || el.textContent) || 0 : 0;
+      };
+      const impressions = find(S.impressionsCount, { root: update });
+
+      return {
+        success: true,
+        metrics: {
+          impressions: impressions ? parseCount(impressions.textContent) : null,
+          likes: count('reactionsCount'),
+          reposts: count('repostsCount'),
+          replies: count('commentsCount')
+        }
+      };
+    `);
+  }
+
+  // Comment on an update; confirmed by the comment box emptying after submit
+  async reply(postUrl, text) {
+    await this.navigate(postUrl, 4000);
+    const loaded = await this.waitFor('update', { timeoutMs: 10000 });
+    if (!loaded.success) return loaded;
+
+    // Update pages usually show the comment box already; elsewhere the Comment button opens it
+    if (!(await this.exists('commentEditor'))) {
+      const opened = await this.click('commentButton');
+      if (!opened.success) return this.missing('commentButton', 'Comment button not found');
+      await this.sleep(1500);
+    }
+
+    const inserted = await this.insertText(text, { editor: 'commentEditor' });
+    if (!inserted.success) return this.missing('commentEditor', 'Comment box not found');
+
+    return this.run(`
+      const button = find(S.commentSubmit, { enabled: true });
+      if (!button) return ${JSON.stringify(this.missing('commentSubmit', 'Comment button not clickable'))};
+      button.click();
+
+      const deadline = Date.now() + 10000;
+      while (Date.now() < deadline) {
+        await sleep(300);
+        const editor = find(S.commentEditor);
+        if (!editor || !editor.textContent.trim()) return { success: true, platformPostId: null, platformUrl: null };
+      }
+      return { success: false, error: 'Comment not confirmed: comment box still has text' };
+    `);
+  }
+
+  // Mentions and comments from the notifications page; reactions, views and job alerts are skipped.
+  // A reply to a comment notification is a new comment on the update it points at
+  // Returns { success, items: [{ itemId, kind: 'mention' | 'comment', author, handle, text, postUrl, time }] }
+  async readNotifications(options = {}) {
+    const { limit = 20 } = options;
+    await this.navigate(this.urls.notifications, 4000);
+    await this.waitFor('notificationCard', { timeoutMs: 8000 });
+
+    return this.run(`
+      if (window.location.href.includes('/login') || window.location.href.includes('/authwall')) {
+        return { success: false, error: 'Not logged in to LinkedIn' };
+      }
+      const items = [];
+      for (const card of find(S.notificationCard, { all: true })) {
+        const headlineEl = find(S.notificationHeadline, { root: card });
+        const headline = headlineEl ? headlineEl.innerText.trim() : '';
+        let kind = null;
+        if (/mentioned you|提及/i.test(headline)) kind = 'mention';
+        else if (/comment|replied|留言|回覆/i.test(headline)) kind = 'comment';
+        if (!kind) continue;
+
+        const link = find(S.notificationLink, { root: card });
+        const href = link ? decodeURIComponent(link.href) : '';
+        const urn = (href.match(/urn:li:(?:activity|share|ugcPost):\\d+/) || [])[0];
+        if (!urn) continue;
+        const commentUrn = (href.match(/commentUrn=([^&]+)/) || [])[1];
+
+        const snippetEl = find(S.notificationSnippet, { root: card });
+        const nameEl = headlineEl && headlineEl.querySelector('strong');
+        items.push({
+          itemId: commentUrn || urn + ':' + headline.substring(0, 60),
+          kind,
+          author: nameEl ? nameEl.innerText.trim() : headline.split(/ (mentioned|commented|replied)/)[0],
+          handle: '',
+          text: ((snippetEl && snippetEl.innerText.trim()) || headline).substring(0, 500),
+          postUrl: 'https://www.linkedin.com/feed/update/' + urn + '/',
+          time: null // LinkedIn only shows relative times ("2h")
+        });
+        if (items.length >= ${limit}) break;
+      }
+      return { success: true, items };
+    `);
+  }
+
+  // Read updates on the current page
+  // options: { limit, minLength, skipShared } - skipShared drops updates under a header
+  // ("… reposted this"), which on an activity page are other people's posts
+  // Returns [{ postId, postUrl, text, author, handle, time, likes, replies }]
+  async scrapeUpdates(options = {}) {
+    const { limit = 10, minLength = 0, skipShared = false } = options;
+    await this.waitFor('update', { timeoutMs: 8000 });
+
+    const result = await this.run(`
+      if (window.location.href.includes('/login') || window.location.href.includes('/authwall')) {
+        return { success: false, error: 'Not logged in to LinkedIn' };
+      }
+      const posts = [];
+      const seen = new Set();
+      for (const update of find(S.update, { all: true })) {
+        if (${skipShared} && find(S.updateHeader, { root: update })) continue;
+
+        const attr = update.getAttribute('data-urn') || update.getAttribute('data-chameleon-result-urn') || '';
+        const urn = (attr.match(/urn:li:(?:activity|share|ugcPost):\\d+/) || [])[0];
+        if (!urn || seen.has(urn)) continue;
+        seen.add(urn);
+
+        const textEl = find(S.updateText, { root: update });
+        const text = textEl ? textEl.innerText.replace(/…\\s*(see more|more)$/i, '').trim() : '';
+        if (text.length < ${minLength}) continue;
+
+        const actorEl = find(S.updateActor, { root: update });
+        const actorLink = find(S.updateActorLink, { root: update });
+        const vanity = actorLink ? (actorLink.href.match(/linkedin\\.com\\/(?:in|company)\\/([^/?]+)/) || [])[1] : null;
+        const reactionsEl = find(S.reactionsCount, { root: update });
+        const commentsEl = find(S.commentsCount, { root: update });
+
+        posts.push({
+          postId: urn,
+          postUrl: 'https://www.linkedin.com/feed/update/' + urn + '/',
+          text: text.substring(0, 500),
+          author: actorEl ? actorEl.innerText.split('\\n')[0].trim() : '',
+          handle: vanity ? decodeURIComponent(vanity) : '',
+          time: null, // LinkedIn only shows relative times ("2d")
+          likes: reactionsEl ? String(parseCount(reactionsEl.textContent) || 0) : '0',
+          replies: commentsEl ? String(parseCount(commentsEl.textContent) || 0) : '0'
+        });
+        if (posts.length >= ${limit}) break;
+      }
+      return { success: true, posts };
+    `);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.posts;
+  }
+
+  // Latest updates for a content search
+  async searchPosts(query, options = {}) {
+    await this.navigate(this.urls.search(query), 4000);
+    return this.scrapeUpdates(options);
+  }
+
+  // Recent posts of a member ("username", their /in/ vanity name) or a Company Page
+  // ("company/slug"); reposts, likes and comments on their activity page are skipped
+  async readProfilePosts(username, options = {}) {
+    const company = username.match(/^company\/(.+)$/);
+    await this.navigate(company ? this.urls.companyPosts(company[1]) : this.urls.memberActivity(username), 4000);
+    return this.scrapeUpdates({ ...options, skipShared: true });
+  }
+
+  // Most recent posts of the logged-in member (or options.companySlug's page)
+  async readTimeline(options = {}) {
+    await this.navigate(options.companySlug ? this.urls.companyPosts(options.companySlug) : this.urls.activity, 4000);
+
+    return this.run(`
+      if (window.location.href.includes('/login') || window.location.href.includes('/authwall')) {
+        return { success: false, error: 'Not logged in to LinkedIn' };
+      }
+      const posts = [];
+      for (const update of find(S.update, { all: true })) {
+        const textEl = find(S.updateText, { root: update });
+        const urn = update.getAttribute('data-urn');
+        posts.push({
+          text: textEl ? textEl.innerText : '',
+          time: null, // LinkedIn only shows relative times ("2m")
+          url: urn ? 'https://www.linkedin.com/feed/update/' + urn + '/' : null
+        });
+      }
+      return { success: true, posts: posts.slice(0, 10) };
+    `);
+  }
+}
+
+module.exports = new LinkedInAdapter();
@@ -0,0 +1,387 @@
+/**
+ * Pulsar Mastodon Adapter
+ * Posts, replies, favourites, boosts and searches through the Mastodon REST API - no BrowserView.
+ * Works with any instance: the user pastes its URL and an access token from
+ * Preferences -> Development -> New application (scopes: read, write:statuses,
+ * and write:favourites for engagement likes).
+ *
+ * Statuses take an optional content warning (spoilerText) and visibility
+ * ('public' | 'unlisted' | 'private' | 'direct'); without one the account's
+ * default visibility applies.
+ */
+
+const crypto = require('crypto');
+const PlatformAdapter = require('./base-adapter');
+const AccountStore = require('./account-store');
+
+const DEFAULT_MAX_CHARACTERS = 500;
+const URL_LENGTH = 23; // Every link counts as 23 characters, whatever its length
+const VISIBILITIES = ['public', 'unlisted', 'private', 'direct'];
+const REQUEST_TIMEOUT_MS = 20000;
+
+// Length the way Mastodon counts it: links are 23, @user@domain counts as @user
+function countCharacters(text) {
+  const counted = text
+    .replace(/https?:\/\/\S+/g, 'x'.repeat(URL_LENGTH))
+    .replace(/(^|\s)@(\w+)@[\w.-]+\w/g, '$1@$2');
+  return Array.from(counted).length;
+}
+
+// Status content is HTML; engagement and reconcile work on plain text
+function htmlToText(html) {
+  return (html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+class MastodonAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      name: 'mastodon',
+      label: 'Mastodon',
+      hosts: [], // API only - never matched against the BrowserView URL
+      urls: {},
+      selectors: {}
+    });
+    this.usesBrowser = false;
+    this.store = new AccountStore('mastodon-account.json', 'Mastodon');
+    this.account = this.store.load();
+    this.maxLength = (this.account && this.account.maxCharacters) || DEFAULT_MAX_CHARACTERS;
+  }
+
+  // ============================================
+  // Account
+  // ============================================
+
+  saveAccount() {
+    this.store.save(this.account);
+  }
+
+  // Public account info for the UI (never the token)
+  getAccount() {
+    if (!this.account) return null;
+    const { instance, acct, url, maxCharacters } = this.account;
+    return { instance, acct, url, maxCharacters };
+  }
+
+  async api(method, apiPath, options = {}) {
+    const { params, body, token = this.store.decryptSecret(this.account?.accessToken) } = options;
+    const instance = options.instance || this.account?.instance;
+
+    let url = `${instance}${apiPath}`;
+    if (params) {
+      const query = new URLSearchParams();
+      for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null) query.append(key, String(value));
+      }
+      url += '?' + query.toString();
+    }
+
+    const headers = { 'Authorization': `Bearer ${token}` };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (options.idempotencyKey) headers['Idempotency-Key'] = options.idempotencyKey;
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(`Mastodon ${method} ${apiPath} failed: ${data.error || 'HTTP ' + response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  // Verify the token against the instance and remember the account
+  async login({ instance, accessToken }) {
+    if (!instance || !accessToken) {
+      return { success: false, error: 'Instance URL and access token are required' };
+    }
+
+    const base = (/^https?:\/\//.test(instance) ? instance : 'https://' + instance).replace(/\/+$/, '');
+    try {
+      const me = await this.api('GET', '/api/v1/accounts/verify_credentials', { instance: base, token: accessToken });
+
+      // Instances can raise the 500 character limit
+      let maxCharacters = DEFAULT_MAX_CHARACTERS;
+      try {
+        const info = await this.api('GET', '/api/v2/instance', { instance: base, token: accessToken });
+        maxCharacters = info.configuration?.statuses?.max_characters || DEFAULT_MAX_CHARACTERS;
+      } catch (error) {
+        console.warn('[Mastodon] Instance info unavailable, assuming', DEFAULT_MAX_CHARACTERS, 'characters');
+      }
+
+      this.account = {
+        instance: base,
+        accessToken: this.store.encryptSecret(accessToken), // OS keychain encryption when available
+        id: me.id,
+        acct: `${me.username}@${new URL(base).hostname}`,
+        url: me.url,
+        maxCharacters
+      };
+      this.maxLength = maxCharacters;
+      this.saveAccount();
+      console.log('[Mastodon] Logged in as', this.account.acct);
+      return { success: true, account: this.getAccount() };
+    } catch (error) {
+      console.error('[Mastodon] Login failed:', error.message);
+      return { success: false, error: error.status === 401 ? 'Invalid access token' : error.message };
+    }
+  }
+
+  logout() {
+    this.account = null;
+    this.maxLength = DEFAULT_MAX_CHARACTERS;
+    this.saveAccount();
+    return { success: true };
+  }
+
+  async checkLogin() {
+    return !!this.account;
+  }
+
+  // ============================================
+  // Statuses
+  // ============================================
+
+  // options: { spoilerText, visibility } - the content warning counts toward the limit
+  checkContent(content, media = [], options = {}) {
+    if (!content || !content.trim()) {
+      return 'Post content is empty';
+    }
+    if (media && media.length > 0) {
+      return 'Media attachments are not supported on Mastodon yet';
+    }
+    if (options.visibility && !VISIBILITIES.includes(options.visibility)) {
+      return 'Visibility must be one of: ' + VISIBILITIES.join(', ');
+    }
+    const length = countCharacters(content) + countCharacters(options.spoilerText || '');
+    if (length > this.maxLength) {
+      return `Mastodon posts on this instance are limited to ${this.maxLength} characters (got ${length})`;
+    }
+    return null;
+  }
+
+  parsePostLink(url) {
+    const match = url ? url.match(/\/(?:@[^/]+|statuses|notice)\/([A-Za-z0-9]+)\/?$/) : null;
+    return { platformPostId: match ? match[1] : null, platformUrl: url || null };
+  }
+
+  async createStatus(text, options = {}) {
+    const body = { status: text };
+    if (options.spoilerText) body.spoiler_text = options.spoilerText;
+    if (options.visibility) body.visibility = options.visibility;
+    if (options.inReplyToId) body.in_reply_to_id = options.inReplyToId;
+
+    // Scheduled jobs pass their id, so a retry after a lost response can't post twice
+    const status = await this.api('POST', '/api/v1/statuses', {
+      body,
+      idempotencyKey: options.idempotencyKey || crypto.randomUUID()
+    });
+    return {
+      success: true,
+      verifiedBy: 'api',
+      platformPostId: status.id,
+      platformUrl: status.url || status.uri
+    };
+  }
+
+  // The API response is the confirmation, so there is no separate verify step
+  // options: { media, spoilerText, visibility, idempotencyKey }
+  async publish(content, options = {}) {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Mastodon', retryable: false };
+    }
+
+    const contentError = this.checkContent(content, options.media, options);
+    if (contentError) {
+      return { success: false, error: contentError, retryable: false };
+    }
+
+    console.log('[Platforms] Publishing to Mastodon:', content.substring(0, 50) + '...');
+    try {
+      return await this.createStatus(content, options);
+    } catch (error) {
+      console.error('[Mastodon] Post failed:', error.message);
+      // 4xx other than rate limiting means the status itself was refused
+      const retryable = !error.status || error.status >= 500 || error.status === 429;
+      return { success: false, error: error.message, retryable };
+    }
+  }
+
+  // Local status id for a post URL - remote posts are fetched into our instance first
+  async resolveStatusId(postUrl) {
+    const instanceHost = new URL(this.account.instance).hostname;
+    if (new URL(postUrl).hostname === instanceHost) {
+      const { platformPostId } = this.parsePostLink(postUrl);
+      if (platformPostId) return platformPostId;
+    }
+
+    const result = await this.api('GET', '/api/v2/search', {
+      params: { q: postUrl, type: 'statuses', resolve: true, limit: 1 }
+    });
+    const status = result.statuses && result.statuses[0];
+    if (!status) {
+      throw new Error('Post not found: ' + postUrl);
+    }
+    return status.id;
+  }
+
+  // Counters of one status (Mastodon has no impression counts)
+  async readPostMetrics(postUrl) {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Mastodon' };
+    }
+
+    try {
+      const statusId = await this.resolveStatusId(postUrl);
+      const status = await this.api('GET', `/api/v1/statuses/${statusId}`);
+      return {
+        success: true,
+        metrics: {
+          impressions: null,
+          likes: status.favourites_count || 0,
+          reposts: status.reblogs_count || 0,
+          replies: status.replies_count || 0
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Reply to a post; the author is mentioned so they get notified
+  async reply(postUrl, text) {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Mastodon' };
+    }
+
+    try {
+      const statusId = await this.resolveStatusId(postUrl);
+      const parent = await this.api('GET', `/api/v1/statuses/${statusId}`);
+      const mention = `@${parent.account.acct}`;
+      const status = text.includes(mention) ? text : `${mention} ${text}`;
+
+      // Never widen the audience of a followers-only or direct conversation
+      const visibility = ['private', 'direct'].includes(parent.visibility) ? parent.visibility : undefined;
+      return await this.createStatus(status, {
+        inReplyToId: statusId,
+        spoilerText: parent.spoiler_text || undefined, // Replies keep the thread's content warning
+        visibility
+      });
+    } catch (error) {
+      console.error('[Mastodon] Reply failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Favourite (like) or boost (repost) a status; the API is idempotent for both
+  async statusAction(postUrl, action) {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Mastodon' };
+    }
+
+    try {
+      const statusId = await this.resolveStatusId(postUrl);
+      await this.api('POST', `/api/v1/statuses/${statusId}/${action}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`[Mastodon] ${action} failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  like(postUrl) {
+    return this.statusAction(postUrl, 'favourite');
+  }
+
+  repost(postUrl) {
+    return this.statusAction(postUrl, 'reblog');
+  }
+
+  // Same shape as the browser adapters' scraped posts
+  toPost(status) {
+    return {
+      postId: status.id,
+      postUrl: status.url || status.uri,
+      text: htmlToText(status.content).substring(0, 500),
+      author: status.account.display_name || status.account.username,
+      handle: status.account.acct,
+      time: status.created_at ? Date.parse(status.created_at) : null,
+      likes: String(status.favourites_count || 0),
+      replies: String(status.replies_count || 0)
+    };
+  }
+
+  // Full-text search needs instance support; single words fall back to the hashtag timeline
+  async searchPosts(query, options = {}) {
+    const { limit = 10, minLength = 0 } = options;
+    const result = await this.api('GET', '/api/v2/search', {
+      params: { q: query, type: 'statuses', limit: Math.min(40, limit * 2) }
+    });
+    let statuses = result.statuses || [];
+
+    const tag = query.replace(/^#/, '');
+    if (statuses.length === 0 && /^\w+$/.test(tag)) {
+      statuses = await this.api('GET', `/api/v1/timelines/tag/${encodeURIComponent(tag)}`, {
+        params: { limit: Math.min(40, limit * 2) }
+      });
+    }
+
+    return statuses
+      .filter(status => status.account.id !== this.account?.id) // Never reply to ourselves
+      .filter(status => !status.spoiler_text) // Content-warned posts aren't engagement material
+      .map(status => this.toPost(status))
+      .filter(post => post.text.length >= minLength)
+      .slice(0, limit);
+  }
+
+  // Recent posts from a profile (boosts and replies skipped)
+  async readProfilePosts(acct, options = {}) {
+    const { limit = 10 } = options;
+    const account = await this.api('GET', '/api/v1/accounts/lookup', { params: { acct: acct.replace(/^@/, '') } });
+    const statuses = await this.api('GET', `/api/v1/accounts/${account.id}/statuses`, {
+      params: { exclude_replies: true, exclude_reblogs: true, limit: Math.min(40, limit * 2) }
+    });
+    return statuses
+      .filter(status => !(options.skipPinned && status.pinned))
+      .map(status => this.toPost(status))
+      .slice(0, limit);
+  }
+
+  // The logged-in account's most recent posts
+  async readTimeline() {
+    if (!this.account) {
+      return { success: false, error: 'Not logged in to Mastodon' };
+    }
+    try {
+      const statuses = await this.api('GET', `/api/v1/accounts/${this.account.id}/statuses`, {
+        params: { exclude_reblogs: true, limit: 10 }
+      });
+      return {
+        success: true,
+        posts: statuses.map(status => ({
+          text: htmlToText(status.content),
+          time: Date.parse(status.created_at),
+          url: status.url || status.uri
+        }))
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new MastodonAdapter();
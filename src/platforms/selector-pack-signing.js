@@ -0,0 +1,48 @@
+/**
+ * Pulsar Selector Pack Signing
+ * Canonical form and public key shared by the app (selector-packs.js) and the
+ * signing script (scripts/selector-pack.js). No electron here so the script can load it
+ *
+ * The public key comes from SELECTOR_PACK_PUBLIC_KEY (PEM) or the committed
+ * selector-pack-public.pem next to this file, which `npm run admin:selector-pack keygen`
+ * writes. Without either, selector packs stay disabled and the bundled selectors are used.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const PUBLIC_KEY_PATH = path.join(__dirname, 'selector-pack-public.pem');
+
+// JSON with sorted keys - jsonb in Supabase does not keep key order
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalize).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .map(key => JSON.stringify(key) + ':' + canonicalize(value[key]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+// PEM of the pack signing public key, or null when none is configured
+function loadPublicKey() {
+  if (process.env.SELECTOR_PACK_PUBLIC_KEY) {
+    return process.env.SELECTOR_PACK_PUBLIC_KEY.replace(/\\n/g, '\n');
+  }
+  try {
+    if (fs.existsSync(PUBLIC_KEY_PATH)) {
+      return fs.readFileSync(PUBLIC_KEY_PATH, 'utf8');
+    }
+  } catch (error) {
+    console.error('[SelectorPacks] Failed to read public key:', error);
+  }
+  return null;
+}
+
+module.exports = {
+  PUBLIC_KEY_PATH,
+  canonicalize,
+  loadPublicKey
+};
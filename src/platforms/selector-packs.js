@@ -0,0 +1,298 @@
+/**
+ * Pulsar Selector Packs
+ * Signed, versioned overrides for the adapters' selector chains, so a DOM
+ * change on X or LinkedIn can be fixed without shipping a new build
+ *
+ * Pack format:
+ * {
+ *   "version": 12,                      // Integer, higher wins
+ *   "minAppVersion": "1.3.0",           // Optional
+ *   "platforms": { "twitter": { "submitButton": ["..."] } },
+ *   "signature": "<base64 Ed25519 over the canonical JSON of everything else>"
+ * }
+ *
+ * Sources: Supabase `selector_packs` table, or `selector-pack.json` in userData.
+ * Chains a pack doesn't mention keep their bundled value. A pack that keeps
+ * failing to find elements is rejected and we roll back to the previous pack
+ * (or the bundled selectors). Sign packs with scripts/selector-pack.js; packs
+ * stay disabled until a public key is configured (see selector-pack-signing.js).
+ */
+
+const { app, ipcMain } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const supabaseClient = require('../api/supabase-client');
+const { canonicalize, loadPublicKey } = require('./selector-pack-signing');
+
+const REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const MAX_SELECTOR_FAILURES = 3; // Consecutive "element not found" results before rollback
+
+// -1 / 0 / 1 for dotted version strings
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+class SelectorPacks {
+  constructor() {
+    this.statePath = path.join(app.getPath('userData'), 'selector-pack-state.json');
+    this.localPackPath = path.join(app.getPath('userData'), 'selector-pack.json');
+    this.adapters = {};
+    this.state = this.loadState();
+    this.failures = {}; // platform -> consecutive selector failures under the active pack
+    this.publicKey = loadPublicKey(); // Only packs signed with the matching private key are accepted
+    this.refreshTimer = null;
+  }
+
+  loadState() {
+    try {
+      if (fs.existsSync(this.statePath)) {
+        const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        return { active: null, previous: null, rejected: [], ...state };
+      }
+    } catch (error) {
+      console.error('[SelectorPacks] Failed to load state:', error);
+    }
+    return { active: null, previous: null, rejected: [] };
+  }
+
+  saveState() {
+    try {
+      fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      console.error('[SelectorPacks] Failed to save state:', error);
+    }
+  }
+
+  // adapters: { name: PlatformAdapter }
+  init(adapters) {
+    this.adapters = adapters;
+    if (!this.publicKey) {
+      console.warn('[SelectorPacks] No public key configured, selector packs disabled (run `npm run admin:selector-pack keygen`)');
+    }
+
+    // Re-check the stored pack: the public key or app version may have changed
+    const stored = this.state.active;
+    if (stored && !this.check(stored).success) {
+      console.warn('[SelectorPacks] Stored pack', stored.version, 'no longer valid, using bundled selectors');
+      this.state.active = null;
+      this.saveState();
+    }
+
+    const local = this.readLocalPack();
+    if (local) {
+      this.install(local, 'local');
+    }
+    this.apply();
+
+    this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+  }
+
+  readLocalPack() {
+    try {
+      if (fs.existsSync(this.localPackPath)) {
+        return JSON.parse(fs.readFileSync(this.localPackPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('[SelectorPacks] Failed to read local pack:', error);
+    }
+    return null;
+  }
+
+  // ============================================
+  // Validation
+  // ============================================
+
+  verifySignature(pack) {
+    if (!this.publicKey || !pack || typeof pack.signature !== 'string') return false;
+    const { signature, ...unsigned } = pack;
+    try {
+      return crypto.verify(null, Buffer.from(canonicalize(unsigned)), this.publicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Signature, app version and shape; chains must target a known adapter and set
+  check(pack) {
+    if (!this.publicKey) {
+      return { success: false, error: 'Selector packs disabled: no public key configured' };
+    }
+    if (!pack || !Number.isInteger(pack.version) || !pack.platforms || typeof pack.platforms !== 'object') {
+      return { success: false, error: 'Malformed selector pack' };
+    }
+    if (!this.verifySignature(pack)) {
+      return { success: false, error: 'Invalid selector pack signature' };
+    }
+    if (pack.minAppVersion && compareVersions(app.getVersion(), pack.minAppVersion) < 0) {
+      return { success: false, error: `Selector pack ${pack.version} requires Pulsar ${pack.minAppVersion}` };
+    }
+
+    for (const [platform, sets] of Object.entries(pack.platforms)) {
+      const adapter = this.adapters[platform];
+      if (!adapter) continue; // Packs may target platforms this build doesn't have
+
+      for (const [name, chain] of Object.entries(sets || {})) {
+        if (!adapter.bundledSelectors[name]) {
+          return { success: false, error: `Unknown ${platform} selector set: ${name}` };
+        }
+        if (!Array.isArray(chain) || chain.length === 0 || !chain.every(s => typeof s === 'string' && s.trim())) {
+          return { success: false, error: `Invalid ${platform} selector chain: ${name}` };
+        }
+      }
+    }
+    return { success: true };
+  }
+
+  // ============================================
+  // Install / apply / rollback
+  // ============================================
+
+  // Adopt a pack if it is valid, newer than the active one and not rejected before
+  install(pack, source) {
+    const current = this.state.active;
+    if (!pack || (current && pack.version <= current.version)) {
+      return { success: false, error: 'Not newer than the active pack' };
+    }
+    if (this.state.rejected.includes(pack.version)) {
+      return { success: false, error: `Selector pack ${pack.version} was rolled back` };
+    }
+
+    const valid = this.check(pack);
+    if (!valid.success) {
+      console.warn('[SelectorPacks] Ignoring', source, 'pack:', valid.error);
+      return valid;
+    }
+
+    this.state.previous = current;
+    this.state.active = pack;
+    this.state.source = source;
+    this.state.installedAt = new Date().toISOString();
+    this.failures = {};
+    this.saveState();
+    console.log('[SelectorPacks] Installed', source, 'pack version', pack.version);
+    return { success: true, version: pack.version };
+  }
+
+  // Push the active pack's chains into the adapters
+  apply() {
+    const pack = this.state.active;
+    for (const [platform, adapter] of Object.entries(this.adapters)) {
+      adapter.setSelectors(pack ? pack.platforms[platform] : null);
+    }
+  }
+
+  // Check Supabase for a newer pack
+  async refresh() {
+    if (!this.publicKey) {
+      return { success: false, error: 'Selector packs disabled: no public key configured' };
+    }
+    if (!supabaseClient.isConfigured()) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    try {
+      const pack = await supabaseClient.getLatestSelectorPack();
+      if (!pack) return { success: true, updated: false };
+
+      const result = this.install(pack, 'supabase');
+      if (result.success) this.apply();
+      return { success: true, updated: result.success, version: this.getActiveVersion() };
+    } catch (error) {
+      console.warn('[SelectorPacks] Remote refresh failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Drop the active pack for good and go back to the previous one (or bundled)
+  rollback(reason = 'manual') {
+    const bad = this.state.active;
+    if (!bad) {
+      return { success: false, error: 'Already using bundled selectors' };
+    }
+
+    if (!this.state.rejected.includes(bad.version)) {
+      this.state.rejected.push(bad.version);
+    }
+    const previous = this.state.previous;
+    this.state.active = previous && !this.state.rejected.includes(previous.version) && this.check(previous).success
+      ? previous
+      : null;
+    this.state.previous = null;
+    this.state.source = this.state.active ? 'rollback' : null;
+    this.state.installedAt = this.state.active ? new Date().toISOString() : null;
+    this.failures = {};
+    this.saveState();
+    this.apply();
+
+    console.warn('[SelectorPacks] Rolled back pack', bad.version, '(' + reason + '), now using',
+      this.state.active ? 'pack ' + this.state.active.version : 'bundled selectors');
+    return { success: true, rolledBack: bad.version, version: this.getActiveVersion() };
+  }
+
+  // Feed posting/engagement results in; repeated missing elements under a
+  // pack that overrides this platform trigger an automatic rollback
+  recordResult(platform, result) {
+    const pack = this.state.active;
+    if (!pack || !pack.platforms[platform] || !result) return;
+
+    if (result.success) {
+      this.failures[platform] = 0;
+      return;
+    }
+    if (!result.selectorMissing) return; // Quota, network and content errors say nothing about selectors
+
+    this.failures[platform] = (this.failures[platform] || 0) + 1;
+    console.warn(`[SelectorPacks] ${platform} ${result.selectorMissing} not found with pack ${pack.version}`,
+      `(${this.failures[platform]}/${MAX_SELECTOR_FAILURES})`);
+
+    if (this.failures[platform] >= MAX_SELECTOR_FAILURES) {
+      this.rollback(`${platform} ${result.selectorMissing} not found ${MAX_SELECTOR_FAILURES} times`);
+    }
+  }
+
+  getActiveVersion() {
+    return this.state.active ? this.state.active.version : null;
+  }
+
+  getStatus() {
+    const pack = this.state.active;
+    return {
+      enabled: !!this.publicKey,
+      version: this.getActiveVersion(),
+      source: pack ? this.state.source : 'bundled',
+      installedAt: pack ? this.state.installedAt : null,
+      previousVersion: this.state.previous ? this.state.previous.version : null,
+      rejected: this.state.rejected,
+      failures: this.failures
+    };
+  }
+
+  // ============================================
+  // IPC Handlers
+  // ============================================
+
+  initIPCHandlers() {
+    ipcMain.handle('selectorPacks:getStatus', async () => {
+      return this.getStatus();
+    });
+
+    ipcMain.handle('selectorPacks:refresh', async () => {
+      return this.refresh();
+    });
+
+    ipcMain.handle('selectorPacks:rollback', async () => {
+      return this.rollback('manual');
+    });
+  }
+}
+
+module.exports = new SelectorPacks();
+module.exports.canonicalize = canonicalize;
@@ -0,0 +1,210 @@
+/**
+ * Pulsar Threads Adapter
+ * Selectors and flows for posting and timeline reading on threads.net
+ */
+
+const PlatformAdapter = require('./base-adapter');
+const mediaUploader = require('../browser/media-uploader');
+
+const SELECTORS = {
+  // Only logged-in sessions get the Create / Notifications entries in the nav
+  loggedIn: [
+    'svg[aria-label="Create"]',
+    'svg[aria-label="Notifications"]',
+    'a[href="/activity"]',
+    'svg[aria-label="Profile"]'
+  ],
+  profileLink: ['a[href^="/@"]:has(svg[aria-label="Profile"])', 'nav a[href^="/@"]'], // Chromium supports :has()
+
+  // "What's new?" box at the top of the home feed opens the composer dialog
+  composeTrigger: [
+    'text*=What\'s new?',
+    'text*=Start a thread',
+    '[role="button"]:has(svg[aria-label="Create"])',
+    'a:has(svg[aria-label="Create"])'
+  ],
+  editor: [
+    '[role="dialog"] div[contenteditable="true"][role="textbox"]',
+    '[role="dialog"] [contenteditable="true"]',
+    'div[contenteditable="true"][role="textbox"]'
+  ],
+  submitButton: ['[role="dialog"] >> text=Post'],
+  composer: ['[role="dialog"] [contenteditable="true"]'],
+  toastLink: ['[role="alert"] a[href*="/post/"]', '[role="status"] a[href*="/post/"]'],
+
+  // Media
+  attachButton: ['[role="dialog"] [role="button"]:has(svg[aria-label="Attach media"])', '[role="dialog"] button[aria-label="Attach media"]'],
+  fileInput: ['[role="dialog"] input[type="file"]', 'input[type="file"][accept*="image"]'],
+  attachmentPreview: ['[role="dialog"] img[src^="blob:"]', '[role="dialog"] video'],
+  altTextButton: ['[role="dialog"] >> text=Alt'],
+  altTextInput: ['textarea[placeholder*="escri"]', '[role="dialog"] textarea'],
+  altTextSave: ['text=Done', 'text=Save'],
+
+  // Profile posts
+  post: ['div[data-pressable-container="true"]'],
+  postLink: ['a[href*="/post/"]'],
+  postTime: ['time'],
+  postText: ['span[dir="auto"]'],
+
+  // Action buttons under a post; their text is the count (empty for zero)
+  likeButton: ['[role="button"]:has(svg[aria-label="Like"])', '[role="button"]:has(svg[aria-label="Unlike"])'],
+  replyButton: ['[role="button"]:has(svg[aria-label="Reply"])', '[role="button"]:has(svg[aria-label="Comment"])'],
+  repostButton: ['[role="button"]:has(svg[aria-label="Repost"])'],
+  viewCount: ['text*= views']
+};
+
+class ThreadsAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      name: 'threads',
+      label: 'Threads',
+      hosts: ['threads.net', 'threads.com'],
+      maxLength: 500,
+      urls: {
+        home: 'https://www.threads.net/',
+        login: 'https://www.threads.net/login',
+        profile: (username) => `https://www.threads.net/@${username}`
+      },
+      selectors: SELECTORS
+    });
+  }
+
+  parsePostLink(url) {
+    const match = url ? url.match(/\/(?:post|t)\/([A-Za-z0-9_-]+)/) : null;
+    return { platformPostId: match ? match[1] : null, platformUrl: url || null };
+  }
+
+  // Threads has no compose URL - open the dialog from the home feed
+  async openComposer() {
+    await this.navigate(this.urls.home, 3000);
+
+    const opened = await this.click('composeTrigger', { visible: true, timeoutMs: 5000 });
+    if (!opened.success) {
+      return this.missing('composeTrigger', 'Could not find the Threads composer');
+    }
+    await this.sleep(1500);
+    return this.waitFor('editor', { visible: true, timeoutMs: 10000 });
+  }
+
+  // Upload through the dialog's file input (or the chooser behind "Attach media"), then add alt text
+  async attachMedia(media) {
+    if (!media || media.length === 0) return { success: true };
+
+    const paths = media.map(item => item.path);
+    let upload = await mediaUploader.setFiles(this.webContents, this.chain('fileInput'), paths);
+    if (!upload.success) {
+      upload = await mediaUploader.chooseFiles(this.webContents, () => this.click('attachButton', { timeoutMs: 0 }), paths);
+    }
+    if (!upload.success) return upload;
+
+    const hasVideo = media.some(item => item.kind === 'video');
+    const processed = await this.run(`
+      const deadline = Date.now() + ${hasVideo ? 180000 : 60000};
+      while (Date.now() < deadline) {
+        const count = find(S.attachmentPreview, { all: true }).length;
+        const ready = find(S.submitButton, { enabled: true });
+        if (count >= ${media.length} && ready) return { success: true };
+        await sleep(500);
+      }
+      return { success: false, error: 'Media upload timed out' };
+    `);
+    if (!processed.success) return processed;
+
+    // One "Alt" button per attachment, in attachment order
+    const warnings = [];
+    for (let i = 0; i < media.length; i++) {
+      if (!media[i].altText || media[i].kind !== 'image') continue;
+
+      const opened = await this.run(`
+        const button = find(S.altTextButton, { all: true })[${i}];
+        if (!button) return { success: false, error: 'Alt text button not found' };
+        button.click();
+        return { success: true };
+      `);
+      if (!opened.success) {
+        warnings.push(`Image ${i + 1}: ${opened.error}`);
+        continue;
+      }
+      await this.sleep(800);
+
+      const focused = await this.focus('altTextInput', { timeoutMs: 3000 });
+      if (focused.success) {
+        await this.typeText(media[i].altText);
+        await this.sleep(300);
+        await this.click('altTextSave', { timeoutMs: 0 });
+        await this.sleep(800);
+      } else {
+        warnings.push(`Image ${i + 1}: Alt text field not found`);
+      }
+    }
+
+    if (warnings.length) {
+      console.warn('[Platforms] Alt text not applied:', warnings.join('; '));
+    }
+    return { success: true, warnings };
+  }
+
+  // Counters of one post from its page (the first post container is the post itself)
+  async readPostMetrics(postUrl) {
+    await this.navigate(postUrl, 3000);
+    const loaded = await this.waitFor('post', { timeoutMs: 10000 });
+    if (!loaded.success) return loaded;
+
+    return this.run(`
+      const container = find(S.post);
+      const count = (name) => {
+        const el = find(S[name], { root: container });
+        return el ? parseCount(el.innerText) || 0 : null;
+      };
+      const views = find(S.viewCount);
+
+      return {
+        success: true,
+        metrics: {
+          impressions: views ? parseCount(views.textContent) : null,
+          likes: count('likeButton'),
+          reposts: count('repostButton'),
+          replies: count('replyButton')
+        }
+      };
+    `);
+  }
+
+  // The logged-in account's most recent posts, from its own profile
+  async readTimeline() {
+    await this.navigate(this.urls.home, 3000);
+
+    const profile = await this.run(`
+      const link = find(S.profileLink);
+      return link ? link.href : null;
+    `);
+    if (!profile) {
+      return { success: false, error: 'Profile link not found (not logged in?)' };
+    }
+
+    await this.navigate(profile, 3000);
+    return this.run(`
+      const posts = [];
+      for (const container of find(S.post, { all: true })) {
+        const linkEl = find(S.postLink, { root: container });
+        if (!linkEl) continue;
+
+        // The post body is the longest text span; the others are the name, time and counters
+        const text = find(S.postText, { root: container, all: true })
+          .map(el => el.innerText)
+          .sort((a, b) => b.length - a.length)[0] || '';
+        const timeEl = find(S.postTime, { root: container });
+
+        posts.push({
+          text,
+          time: timeEl ? Date.parse(timeEl.getAttribute('datetime')) : null,
+          url: linkEl.href
+        });
+        if (posts.length >= 10) break;
+      }
+      return { success: true, posts };
+    `);
+  }
+}
+
+module.exports = new ThreadsAdapter();
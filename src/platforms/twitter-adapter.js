@@ -0,0 +1,452 @@
+/**
+ * Pulsar X (Twitter) Adapter
+ * Selectors and flows for posting, threads, replies, quotes, likes, reposts,
+ * timeline and notification reading on x.com
+ */
+
+const PlatformAdapter = require('./base-adapter');
+const mediaUploader = require('../browser/media-uploader');
+
+const SELECTORS = {
+  loggedIn: [
+    '[data-testid="AppTabBar_Profile_Link"]',
+    '[data-testid="SideNav_AccountSwitcher_Button"]'
+  ],
+  profileLink: ['a[data-testid="AppTabBar_Profile_Link"]'],
+
+  // Composer ({index}: position in a thread composer, 0 for posts and replies)
+  editor: [
+    '[data-testid="tweetTextarea_{index}"]',
+    '[data-testid="tweetTextArea_{index}"]',
+    '[data-testid="tweetTextarea_{index}_label"]',
+    'div[contenteditable="true"][role="textbox"]',
+    '.public-DraftEditor-content',
+    '[aria-label="Post text"]',
+    '[aria-label="Post your reply"]'
+  ],
+  // Later compose boxes of a thread; no generic fallbacks so we never type into box 0
+  threadEditor: [
+    '[data-testid="tweetTextarea_{index}"]',
+    '[data-testid="tweetTextArea_{index}"]'
+  ],
+  composer: [
+    '[data-testid="tweetTextarea_0"]',
+    '[data-testid="tweetTextArea_0"]'
+  ],
+  submitButton: [
+    '[data-testid="tweetButton"]',
+    '[data-testid="tweetButtonInline"]',
+    'button[data-testid*="tweet"]'
+  ],
+  addThreadButton: ['[data-testid="addButton"]'],
+  toastLink: ['[data-testid="toast"] a[href*="/status/"]'],
+
+  // Media
+  fileInput: ['input[data-testid="fileInput"]', 'input[type="file"][accept*="image"]'],
+  attachments: ['[data-testid="attachments"]'],
+  attachmentPreview: ['[data-testid="attachments"] img', '[data-testid="attachments"] video'],
+  uploadProgress: ['[data-testid="attachments"] [role="progressbar"]'],
+  altTextButton: [
+    '[data-testid="attachments"] [aria-label="Add description"]',
+    '[data-testid="attachments"] [data-testid="altTextLabel"]',
+    '[data-testid="attachments"] a[href*="/media/edit"]'
+  ],
+  altTextInput: ['textarea[data-testid="altTextInput"]', 'textarea[name="altTextInput"]', 'textarea[aria-label*="escription"]'],
+  altTextSave: ['[data-testid="endEditingButton"]', 'text=Save', 'text=Done'],
+
+  // Timeline / posts
+  post: ['article[data-testid="tweet"]'],
+  postText: ['[data-testid="tweetText"]'],
+  postAuthor: ['[data-testid="User-Name"]'],
+  postLink: ['a[href*="/status/"]'],
+  postTime: ['time'],
+  pinnedLabel: ['[data-testid="socialContext"]'],
+  likeCount: ['[data-testid="like"] span', '[data-testid="unlike"] span'],
+  replyCount: ['[data-testid="reply"] span'],
+  repostCount: ['[data-testid="retweet"] span', '[data-testid="unretweet"] span'],
+  metricsBar: ['[role="group"][aria-label*="like"]', '[role="group"][aria-label]'], // "3 replies, 5 reposts, 20 likes, 1234 views"
+  viewCount: ['a[href$="/analytics"]'],
+  replyButton: ['article[data-testid="tweet"] [data-testid="reply"]'],
+
+  // Actions on a tweet (scoped to its article)
+  likeButton: ['[data-testid="like"]'],
+  unlikeButton: ['[data-testid="unlike"]'],
+  repostButton: ['[data-testid="retweet"]'],
+  unrepostButton: ['[data-testid="unretweet"]'],
+  // Menu the repost button opens
+  repostConfirm: ['[data-testid="retweetConfirm"]', '[role="menu"] >> text=Repost'],
+  quoteMenuItem: ['[role="menu"] a[href*="/compose/"]', '[role="menu"] >> text=Quote']
+};
+
+class TwitterAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      name: 'twitter',
+      label: 'X',
+      hosts: ['x.com', 'twitter.com'],
+      urls: {
+        home: 'https://x.com/home',
+        login: 'https://x.com/i/flow/login',
+        compose: 'https://x.com/compose/post',
+        profile: (username) => `https://x.com/${username}`,
+        search: (query) => `https://x.com/search?q=${encodeURIComponent(query)}&f=live`,
+        notifications: 'https://x.com/notifications',
+        mentions: 'https://x.com/notifications/mentions'
+      },
+      selectors: SELECTORS
+    });
+  }
+
+  parsePostLink(url) {
+    const match = url ? url.match(/\/status\/(\d+)/) : null;
+    return { platformPostId: match ? match[1] : null, platformUrl: url || null };
+  }
+
+  // Upload through the hidden file input, wait for processing, then add alt text
+  async attachMedia(media) {
+    if (!media || media.length === 0) return { success: true };
+
+    const upload = await mediaUploader.setFiles(this.webContents, this.chain('fileInput'), media.map(item => item.path));
+    if (!upload.success) return upload;
+
+    // Video can take a while to process; images are usually ready in a few seconds
+    const hasVideo = media.some(item => item.kind === 'video');
+    const processed = await this.run(`
+      const deadline = Date.now() + ${hasVideo ? 180000 : 60000};
+      while (Date.now() < deadline) {
+        const count = find(S.attachmentPreview, { all: true }).length;
+        const busy = find(S.uploadProgress);
+        const ready = find(S.submitButton, { enabled: true });
+        if (count >= ${media.length} && !busy && ready) return { success: true };
+        await sleep(500);
+      }
+      return { success: false, error: 'Media upload timed out' };
+    `);
+    if (!processed.success) return processed;
+
+    // Alt text: one "Add description" editor per image
+    const warnings = [];
+    for (let i = 0; i < media.length; i++) {
+      if (!media[i].altText || media[i].kind !== 'image') continue;
+
+      const opened = await this.run(`
+        const button = find(S.altTextButton, { all: true })[${i}];
+        if (!button) return { success: false, error: 'Alt text button not found' };
+        button.click();
+        return { success: true };
+      `);
+      if (!opened.success) {
+        warnings.push(`Image ${i + 1}: ${opened.error}`);
+        continue;
+      }
+      await this.sleep(1000);
+
+      const focused = await this.run(`
+        const input = find(S.altTextInput);
+        if (!input) return { success: false, error: 'Alt text field not found' };
+        input.focus();
+        input.select();
+        return { success: true };
+      `);
+      if (focused.success) {
+        await this.typeText(media[i].altText);
+        await this.sleep(300);
+      } else {
+        warnings.push(`Image ${i + 1}: ${focused.error}`);
+      }
+
+      await this.click('altTextSave', { timeoutMs: 0 });
+      await this.sleep(800);
+    }
+
+    if (warnings.length) {
+      console.warn('[Platforms] Alt text not applied:', warnings.join('; '));
+    }
+    return { success: true, warnings };
+  }
+
+  // Add another compose box to an open thread composer
+  async addThreadSegment() {
+    const added = await this.click('addThreadButton', { timeoutMs: 0 });
+    if (!added.success) return this.missing('addThreadButton', 'Add another post button not found');
+    await this.sleep(800);
+    return { success: true };
+  }
+
+  // Open the reply composer under a tweet
+  async openReply(postUrl) {
+    await this.navigate(postUrl, 2500);
+    const clicked = await this.click('replyButton');
+    if (!clicked.success) return this.missing('replyButton', 'Reply button not found');
+    await this.sleep(1500);
+    return { success: true };
+  }
+
+  // Reply to a tweet; confirmed by X's CreateTweet response or the composer closing
+  async reply(postUrl, text) {
+    const opened = await this.openReply(postUrl);
+    if (!opened.success) return opened;
+
+    const inserted = await this.insertText(text);
+    if (!inserted.success) return this.missing('editor', 'Reply textarea not found');
+
+    const watcher = await this.watchSubmit();
+    const submitted = await this.submit();
+    if (!submitted.success) {
+      watcher.stop();
+      return submitted;
+    }
+
+    const network = await watcher.wait(5000);
+    if (network.rejected) {
+      return { success: false, error: network.error };
+    }
+    if (!network.confirmed && submitted.composerOpen) {
+      return { success: false, error: 'Reply not confirmed: composer still open' };
+    }
+    return { success: true, platformPostId: network.platformPostId || null, platformUrl: network.platformUrl || null };
+  }
+
+  // Read tweets on the current page
+  // options: { limit, skipPinned, minLength }
+  scrapePosts(options = {}) {
+    const { limit = 10, skipPinned = false, minLength = 0 } = options;
+    return this.run(`
+      const posts = [];
+      for (const article of find(S.post, { all: true })) {
+        if (${skipPinned}) {
+          const context = find(S.pinnedLabel, { root: article });
+          if (context && context.textContent.includes('Pinned')) continue;
+        }
+
+        const timeEl = find(S.postTime, { root: article });
+        const linkEl = (timeEl && timeEl.closest('a')) || find(S.postLink, { root: article });
+        const postUrl = linkEl ? linkEl.href : '';
+        const postId = (postUrl.match(/status\\/(\\d+)/) || [])[1];
+        if (!postId) continue;
+
+        const textEl = find(S.postText, { root: article });
+        const text = textEl ? textEl.innerText : '';
+        if (text.length < ${minLength}) continue;
+
+        const authorEl = find(S.postAuthor, { root: article });
+        const authorText = authorEl ? authorEl.innerText : '';
+        const likesEl = find(S.likeCount, { root: article });
+        const repliesEl = find(S.replyCount, { root: article });
+
+        posts.push({
+          postId,
+          postUrl,
+          text: text.substring(0, 500),
+          author: authorText.split('\\n')[0],
+          handle: ((authorText.match(/@(\\w+)/) || [])[1]) || '',
+          time: timeEl ? Date.parse(timeEl.getAttribute('datetime')) : null,
+          likes: likesEl ? likesEl.textContent : '0',
+          replies: repliesEl ? repliesEl.textContent : '0'
+        });
+        if (posts.length >= ${limit}) break;
+      }
+      return posts;
+    `);
+  }
+
+  // Open a tweet's page; resolves once its article has rendered
+  async openPost(postUrl) {
+    await this.navigate(postUrl, 3000);
+    return this.waitFor('post', { timeoutMs: 10000 });
+  }
+
+  // In-page snippet declaring `article`: the tweet a status page is about. Replies (and the
+  // parents of a reply) are articles too; the focal tweet's timestamp links to its own status
+  focalArticle(postUrl) {
+    const { platformPostId } = this.parsePostLink(postUrl);
+    return `
+      const postId = ${JSON.stringify(platformPostId)};
+      const articles = find(S.post, { all: true });
+      const article = articles.find(a => {
+        const timeEl = find(S.postTime, { root: a });
+        const link = timeEl && timeEl.closest('a');
+        return postId && link && link.href.includes('/status/' + postId);
+      }) || articles[0];
+    `;
+  }
+
+  // Counters of one tweet from its page: the action bar's aria-label has all of them,
+  // the buttons are the fallback (they show nothing for zero)
+  async readPostMetrics(postUrl) {
+    const loaded = await this.openPost(postUrl);
+    if (!loaded.success) return loaded;
+
+    return this.run(`
+      ${this.focalArticle(postUrl)}
+      const bar = find(S.metricsBar, { root: article });
+      const label = bar ? bar.getAttribute('aria-label') || '' : '';
+      const fromLabel = (word) => {
+        const match = label.match(new RegExp('([0-9][0-9.,]*[KkMm]?) ' + word, 'i'));
+        return match ? parseCount(match[1]) : null;
+      };
+      const fromButton = (name) => {
+        const el = find(S[name], { root: article });
+        return el ? parseCount(el.textContent) || 0 : null;
+      };
+      const views = find(S.viewCount, { root: article });
+
+      return {
+        success: true,
+        metrics: {
+          impressions: fromLabel('view') ?? (views ? parseCount(views.textContent) : null),
+          likes: fromLabel('like') ?? fromButton('likeCount'),
+          reposts: fromLabel('repost') ?? fromButton('repostCount'),
+          replies: fromLabel('repl') ?? fromButton('replyCount')
+        }
+      };
+    `);
+  }
+
+  // Like a tweet; one we already liked counts as done
+  async like(postUrl) {
+    const loaded = await this.openPost(postUrl);
+    if (!loaded.success) return loaded;
+
+    return this.run(`
+      ${this.focalArticle(postUrl)}
+      if (find(S.unlikeButton, { root: article })) return { success: true, alreadyDone: true };
+      const button = find(S.likeButton, { root: article });
+      if (!button) return ${JSON.stringify(this.missing('likeButton', 'Like button not found'))};
+      button.click();
+
+      const deadline = Date.now() + 5000;
+      while (Date.now() < deadline) {
+        await sleep(300);
+        if (find(S.unlikeButton, { root: article })) return { success: true };
+      }
+      return { success: false, error: 'Like not confirmed' };
+    `);
+  }
+
+  // Repost a tweet (no commentary); one we already reposted counts as done
+  async repost(postUrl) {
+    const loaded = await this.openPost(postUrl);
+    if (!loaded.success) return loaded;
+
+    return this.run(`
+      ${this.focalArticle(postUrl)}
+      if (find(S.unrepostButton, { root: article })) return { success: true, alreadyDone: true };
+      const button = find(S.repostButton, { root: article });
+      if (!button) return ${JSON.stringify(this.missing('repostButton', 'Repost button not found'))};
+      button.click();
+      await sleep(800);
+      const confirm = find(S.repostConfirm, { visible: true });
+      if (!confirm) return ${JSON.stringify(this.missing('repostConfirm', 'Repost menu not found'))};
+      confirm.click();
+
+      const deadline = Date.now() + 5000;
+      while (Date.now() < deadline) {
+        await sleep(300);
+        if (find(S.unrepostButton, { root: article })) return { success: true };
+      }
+      return { success: false, error: 'Repost not confirmed' };
+    `);
+  }
+
+  // Quote a tweet: Repost -> Quote opens the composer with the tweet embedded.
+  // Verified like any post (publishPost calls this for options.quoteOf)
+  async quote(postUrl, content, options = {}) {
+    console.log('[Platforms] Quoting on X:', postUrl);
+    const loaded = await this.openPost(postUrl);
+    if (!loaded.success) return loaded;
+
+    const opened = await this.run(`
+      ${this.focalArticle(postUrl)}
+      const button = find(S.repostButton, { root: article }) || find(S.unrepostButton, { root: article });
+      if (!button) return ${JSON.stringify(this.missing('repostButton', 'Repost button not found'))};
+      button.click();
+      await sleep(800);
+      const quote = find(S.quoteMenuItem, { visible: true });
+      if (!quote) return ${JSON.stringify(this.missing('quoteMenuItem', 'Quote option not found'))};
+      quote.click();
+      return { success: true };
+    `);
+    if (!opened.success) return opened;
+
+    const ready = await this.waitFor('editor', { timeoutMs: 10000 });
+    if (!ready.success) return ready;
+    const inserted = await this.insertText(content, { visible: true });
+    if (!inserted.success) return inserted;
+
+    const watcher = await this.watchSubmit();
+    return this.verify(content, watcher, await this.submit(), options);
+  }
+
+  // Latest tweets for a search query
+  async searchPosts(query, options = {}) {
+    await this.navigate(this.urls.search(query), 3000);
+    return this.scrapePosts(options);
+  }
+
+  // Recent tweets from a profile
+  async readProfilePosts(username, options = {}) {
+    await this.navigate(this.urls.profile(username), 3000);
+    return this.scrapePosts(options);
+  }
+
+  // Tweets addressed to us: the Mentions tab, then replies and quotes from the All tab
+  // (likes and follows there are not tweets and are skipped). Our own tweets are dropped
+  // Returns { success, items: [{ itemId, kind: 'mention' | 'reply', author, handle, text, postUrl, time }] }
+  async readNotifications(options = {}) {
+    const { limit = 20 } = options;
+    await this.navigate(this.urls.mentions, 3000);
+    const profile = await this.run(`
+      const link = find(S.profileLink);
+      return link ? link.href : null;
+    `);
+    if (!profile) {
+      return { success: false, error: 'Profile link not found (not logged in?)' };
+    }
+    const ownHandle = profile.split('/').pop().toLowerCase();
+
+    const items = [];
+    const seen = new Set();
+    const add = (posts, kind) => {
+      for (const post of posts) {
+        if (seen.has(post.postId) || post.handle.toLowerCase() === ownHandle) continue;
+        seen.add(post.postId);
+        items.push({
+          itemId: post.postId,
+          kind,
+          author: post.author,
+          handle: post.handle,
+          text: post.text,
+          postUrl: post.postUrl,
+          time: post.time
+        });
+      }
+    };
+
+    await this.waitFor('post', { timeoutMs: 5000 });
+    add(await this.scrapePosts({ limit }), 'mention');
+    await this.navigate(this.urls.notifications, 3000);
+    await this.waitFor('post', { timeoutMs: 5000 });
+    add(await this.scrapePosts({ limit }), 'reply');
+    return { success: true, items };
+  }
+
+  // The logged-in account's most recent tweets, from its own profile
+  async readTimeline() {
+    await this.navigate(this.urls.home, 3000);
+
+    const profile = await this.run(`
+      const link = find(S.profileLink);
+      return link ? link.href : null;
+    `);
+    if (!profile) {
+      return { success: false, error: 'Profile link not found (not logged in?)' };
+    }
+
+    await this.navigate(profile, 3000);
+    const posts = await this.scrapePosts({ limit: 10 });
+    return { success: true, posts: posts.map(post => ({ text: post.text, time: post.time, url: post.postUrl })) };
+  }
+}
+
+module.exports = new TwitterAdapter();
@@ -0,0 +1,183 @@
+/**
+ * Pulsar Posting Time Advisor
+ * Recommends posting hours per platform (and social profile) from our own
+ * published posts. Each post is scored by its engagement metrics when a
+ * metrics source has them (likes, replies, reposts); hours and weekdays with
+ * few posts lean on per-platform defaults, so a new account still gets
+ * sensible slots.
+ *
+ * Times are local to this machine, like the scheduler's automation times.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HISTORY_WINDOW_MS = 90 * DAY_MS;
+const CACHE_TTL_MS = HOUR_MS;
+const PRIOR_WEIGHT = 3;          // Posts' worth of weight the defaults carry per hour / weekday
+const MIN_PROFILE_POSTS = 10;    // Below this a profile's recommendations use the whole platform's history
+const GOOD_DAY_RATIO = 0.75;     // Weekdays scoring below 75% of the best day are skipped by nextSlot
+const DEFAULT_MIN_GAP_MS = 2 * HOUR_MS;
+
+// Commonly cited engagement peaks, used until our own history says otherwise
+// days: 0 = Sunday ... 6 = Saturday
+const PLATFORM_DEFAULTS = {
+  twitter: { hours: [9, 12, 17], days: [1, 2, 3, 4, 5] },
+  linkedin: { hours: [8, 12, 17], days: [2, 3, 4] },
+  threads: { hours: [9, 12, 19], days: [1, 2, 3, 4, 5] },
+  instagram: { hours: [11, 13, 19], days: [1, 2, 3, 4, 5] },
+  bluesky: { hours: [9, 13, 18], days: [1, 2, 3, 4, 5] },
+  mastodon: { hours: [9, 13, 18], days: [1, 2, 3, 4, 5] }
+};
+
+class PostingTimeAdvisor {
+  constructor() {
+    this.getHistory = () => [];
+    this.getMetrics = () => null;
+    this.cache = new Map(); // `${platform}:${profileId}` -> { at, model }
+  }
+
+  // options.getHistory(filters) -> finished jobs (scheduler.queryHistory)
+  // options.getMetrics(job) -> { likes, replies, reposts } for a published post, or null
+  init(options = {}) {
+    if (options.getHistory) this.getHistory = options.getHistory;
+    if (options.getMetrics) this.getMetrics = options.getMetrics;
+    this.cache.clear();
+  }
+
+  // Drop cached models (e.g. after new metrics arrive)
+  invalidate() {
+    this.cache.clear();
+  }
+
+  // One post's engagement, damped so a single viral post can't own an hour
+  scorePost(job) {
+    const metrics = this.getMetrics(job);
+    if (!metrics) return null;
+    const likes = Number(metrics.likes) || 0;
+    const replies = Number(metrics.replies) || 0;
+    const reposts = Number(metrics.reposts) || 0;
+    return Math.log1p(likes + 2 * replies + 2 * reposts);
+  }
+
+  // When the post actually went out (a retry can land hours after scheduledAt)
+  publishedAt(job) {
+    const attempt = (job.attempts || []).find(a => a.success);
+    return (attempt && attempt.finishedAt) || job.scheduledAt;
+  }
+
+  // Score per hour of day and per weekday, each blended with the platform defaults
+  buildModel(platform, profileId = null) {
+    const since = Date.now() - HISTORY_WINDOW_MS;
+    let posts = this.getHistory({ platform, status: 'completed', since });
+    if (profileId) {
+      const own = posts.filter(job => job.profileId === profileId);
+      if (own.length >= MIN_PROFILE_POSTS) posts = own;
+    }
+
+    const scored = [];
+    for (const job of posts) {
+      const score = this.scorePost(job);
+      if (score !== null) {
+        const at = new Date(this.publishedAt(job));
+        scored.push({ hour: at.getHours(), day: at.getDay(), score });
+      }
+    }
+
+    // Without metrics every post looks the same, so only the defaults carry information
+    const mean = scored.length > 0 ? scored.reduce((sum, p) => sum + p.score, 0) / scored.length : 1;
+    const defaults = PLATFORM_DEFAULTS[platform] || PLATFORM_DEFAULTS.twitter;
+    const blend = (buckets, isDefault) => buckets.map((bucket, i) => {
+      const prior = mean * (isDefault(i) ? 1.2 : 0.8);
+      const sum = bucket.reduce((total, score) => total + score, 0);
+      return { score: (sum + PRIOR_WEIGHT * prior) / (bucket.length + PRIOR_WEIGHT), samples: bucket.length };
+    });
+
+    const hourBuckets = Array.from({ length: 24 }, () => []);
+    const dayBuckets = Array.from({ length: 7 }, () => []);
+    for (const post of scored) {
+      hourBuckets[post.hour].push(post.score);
+      dayBuckets[post.day].push(post.score);
+    }
+
+    return {
+      hours: blend(hourBuckets, (hour) => defaults.hours.includes(hour)),
+      days: blend(dayBuckets, (day) => defaults.days.includes(day)),
+      sampleSize: scored.length,
+      postCount: posts.length
+    };
+  }
+
+  getModel(platform, profileId = null) {
+    const key = `${platform}:${profileId || ''}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < CACHE_TTL_MS) {
+      return cached.model;
+    }
+    const model = this.buildModel(platform, profileId);
+    this.cache.set(key, { at: Date.now(), model });
+    return model;
+  }
+
+  // Best hours ('HH:00', best first) and weekdays for a platform / profile
+  // basis: 'history' once posts with metrics exist, else 'default'
+  recommend(platform, options = {}) {
+    const { profileId = null, count = 3 } = options;
+    const model = this.getModel(platform, profileId);
+
+    const slots = model.hours
+      .map((hour, index) => ({ time: `${String(index).padStart(2, '0')}:00`, score: hour.score, samples: hour.samples }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count);
+    const bestDay = Math.max(...model.days.map(day => day.score));
+    const days = model.days
+      .map((day, index) => ({ day: index, score: day.score, samples: day.samples }))
+      .filter(day => day.score >= bestDay * GOOD_DAY_RATIO)
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      platform,
+      profileId,
+      slots,
+      days,
+      basis: model.sampleSize > 0 ? 'history' : 'default',
+      sampleSize: model.sampleSize,
+      postCount: model.postCount
+    };
+  }
+
+  // Recommended posting times for a queue automation ('HH:MM', in day order)
+  recommendPostTimes(platform, options = {}) {
+    return this.recommend(platform, options).slots.map(slot => slot.time).sort();
+  }
+
+  // Earliest upcoming recommended slot on a good weekday, at least minGapMs away from `taken`
+  // (other posts already scheduled for the same platform / profile)
+  nextSlot(platform, options = {}) {
+    const { profileId = null, after = Date.now(), taken = [], minGapMs = DEFAULT_MIN_GAP_MS } = options;
+    const { slots, days } = this.recommend(platform, { profileId });
+    const goodDays = new Set(days.map(day => day.day));
+
+    const day = new Date(after);
+    day.setHours(0, 0, 0, 0);
+    for (let i = 0; i < 14; i++) {
+      if (goodDays.has(day.getDay())) {
+        const candidates = slots
+          .map(slot => {
+            const at = new Date(day);
+            at.setHours(Number(slot.time.slice(0, 2)), 0, 0, 0);
+            return at.getTime();
+          })
+          .sort((a, b) => a - b);
+        for (const at of candidates) {
+          if (at > after && taken.every(other => Math.abs(other - at) >= minGapMs)) {
+            return at;
+          }
+        }
+      }
+      day.setDate(day.getDate() + 1);
+    }
+    return null;
+  }
+}
+
+module.exports = new PostingTimeAdvisor();
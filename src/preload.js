@@ -10,11 +10,42 @@ contextBridge.exposeInMainWorld('pulsar', {
   // Authentication
   checkLoginStatus: (platform) => ipcRenderer.invoke('checkLoginStatus', platform),
 
-  // Twitter actions
-  postToTwitter: (content) => ipcRenderer.invoke('postToTwitter', content),
+  // Twitter actions (media: [{ path, altText }])
+  postToTwitter: (content, media = []) => ipcRenderer.invoke('postToTwitter', content, null, media),
 
-  // LinkedIn actions
-  postToLinkedIn: (content) => ipcRenderer.invoke('postToLinkedIn', content),
+  // Post a thread (segments: array of tweets; strategy: 'composer' | 'reply_chain')
+  postThreadToTwitter: (segments, strategy = 'composer') =>
+    ipcRenderer.invoke('postThreadToTwitter', { segments, strategy }),
+
+  // LinkedIn actions (media: [{ path, altText }])
+  postToLinkedIn: (content, media = []) => ipcRenderer.invoke('postToLinkedIn', content, null, media),
+
+  // Threads actions (media: [{ path, altText }])
+  postToThreads: (content, media = []) => ipcRenderer.invoke('postToThreads', content, null, media),
+
+  // Instagram actions (caption + at least one image/video; several make a carousel)
+  postToInstagram: (content, media = []) => ipcRenderer.invoke('postToInstagram', content, null, media),
+
+  // Bluesky actions (text only, posted through the AT Protocol API)
+  postToBluesky: (content) => ipcRenderer.invoke('postToBluesky', content, null),
+
+  // Bluesky account (app password from bsky.app Settings -> App Passwords)
+  blueskyLogin: (identifier, appPassword, service) =>
+    ipcRenderer.invoke('bluesky:login', { identifier, appPassword, service }),
+  blueskyLogout: () => ipcRenderer.invoke('bluesky:logout'),
+  getBlueskyAccount: () => ipcRenderer.invoke('bluesky:getAccount'),
+
+  // Mastodon actions (text only; options: { spoilerText, visibility })
+  postToMastodon: (content, options = {}) => ipcRenderer.invoke('postToMastodon', content, null, options),
+
+  // Mastodon account (any instance + an access token with read, write:statuses; write:favourites for likes)
+  mastodonLogin: (instance, accessToken) =>
+    ipcRenderer.invoke('mastodon:login', { instance, accessToken }),
+  mastodonLogout: () => ipcRenderer.invoke('mastodon:logout'),
+  getMastodonAccount: () => ipcRenderer.invoke('mastodon:getAccount'),
+
+  // Open a file picker for images/video; returns [{ path, altText, kind }]
+  pickMedia: () => ipcRenderer.invoke('media:pick'),
 
   // Debugging
   getPageContent: () => ipcRenderer.invoke('getPageContent'),
@@ -29,20 +60,53 @@ contextBridge.exposeInMainWorld('pulsar', {
   },
 
   // Post to LinkedIn Company Page
-  postToLinkedInCompany: (content, companySlug) =>
-    ipcRenderer.invoke('postToLinkedInCompany', { content, companySlug }),
+  postToLinkedInCompany: (content, companySlug, media = []) =>
+    ipcRenderer.invoke('postToLinkedInCompany', { content, companySlug, media }),
 
   // Get/Set company settings
   getCompanySettings: () => ipcRenderer.invoke('settings:getCompany'),
   setCompanySettings: (settings) => ipcRenderer.invoke('settings:setCompany', settings),
 
+  // ============================================
+  // Social Profiles (one session per account)
+  // ============================================
+
+  // profileType: 'personal' | 'company_page' | 'delegate'; opens a login window for the new profile
+  getProfiles: () => ipcRenderer.invoke('profiles:getAll'),
+  addProfile: (platform, profileType, accountIdentifier, displayName) =>
+    ipcRenderer.invoke('profiles:add', { platform, profileType, accountIdentifier, displayName }),
+  removeProfile: (profileId) => ipcRenderer.invoke('profiles:remove', profileId),
+  verifyProfile: (profileId) => ipcRenderer.invoke('profiles:verify', profileId),
+  setPrimaryProfile: (profileId) => ipcRenderer.invoke('profiles:setPrimary', profileId),
+  canAddProfile: (profileType) => ipcRenderer.invoke('profiles:canAdd', profileType),
+  getProfileQuota: () => ipcRenderer.invoke('profiles:getQuota'),
+
+  // Show a profile (or the platform's primary) in the browser panel
+  activateProfile: (platform, profileId = null) =>
+    ipcRenderer.invoke('profiles:activate', { platform, profileId }),
+
+  // Post as a profile; the browser panel returns to its current account afterwards
+  postWithProfile: (profileId, content, media = []) =>
+    ipcRenderer.invoke('post:withProfile', { profileId, content, media }),
+  scheduleWithProfile: (profileId, content, scheduledAt, options = {}) =>
+    ipcRenderer.invoke('schedule:withProfile', { profileId, content, scheduledAt, ...options }),
+
+  onProfilesUpdate: (callback) => {
+    ipcRenderer.on('profiles-update', (event, profiles) => callback(profiles));
+  },
+
   // ============================================
   // Scheduler
   // ============================================
 
   // Schedule a post for later
-  schedulePost: (platform, content, scheduledAt) =>
-    ipcRenderer.invoke('schedulePost', { platform, content, scheduledAt }),
+  // options.recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO', timezone: 'Asia/Taipei' } or { cron: '0 9 * * 1-5', timezone }
+  // options.retryPolicy: { maxAttempts, initialDelayMs, multiplier, maxDelayMs, retryableErrors, fatalErrors } or false
+  // options.profileId: social profile to post as (default: the platform's primary)
+  // options.contentType: 'thread' with options.segments (array of tweets) and options.threadStrategy
+  // options.media: [{ path, altText }]
+  schedulePost: (platform, content, scheduledAt, options = {}) =>
+    ipcRenderer.invoke('schedulePost', { platform, content, scheduledAt, ...options }),
 
   // Get all scheduled jobs
   getScheduledJobs: () => ipcRenderer.invoke('getScheduledJobs'),
@@ -56,14 +120,121 @@ contextBridge.exposeInMainWorld('pulsar', {
   // Update a scheduled job
   updateScheduledJob: (jobId, updates) => ipcRenderer.invoke('updateScheduledJob', { jobId, updates }),
 
+  // Calendar entries between two timestamps: scheduled jobs plus projected
+  // recurring-job and automation runs ({ kind, at, platform, text, status, movable, ... })
+  getCalendarEntries: (from, to) => ipcRenderer.invoke('calendar:getEntries', { from, to }),
+
+  // Recommended posting hours for a platform / social profile:
+  // { slots: [{ time, score, samples }], days, basis: 'history' | 'default', nextSlot }
+  // schedulePost with options.bestTime uses nextSlot instead of scheduledAt
+  recommendPostingTimes: (platform, profileId) => ipcRenderer.invoke('schedule:recommendTimes', { platform, profileId }),
+
   // Clear completed jobs
   clearCompletedJobs: () => ipcRenderer.invoke('clearCompletedJobs'),
 
+  // Query post history: { platform, status, since, until, search, seriesId, limit }
+  queryPostHistory: (filters) => ipcRenderer.invoke('queryPostHistory', filters),
+
   // Listen for scheduler updates
   onSchedulerUpdate: (callback) => {
     ipcRenderer.on('scheduler-update', (event, jobs) => callback(jobs));
   },
 
+  // ============================================
+  // Approval (審核)
+  // ============================================
+
+  // Get scheduled posts awaiting review
+  getPendingApprovals: () => ipcRenderer.invoke('approval:getPending'),
+
+  // Approve a post (pass content to publish an edited version)
+  approveJob: (jobId, content = null) => ipcRenderer.invoke('approval:approve', { jobId, content }),
+
+  // Reject a post
+  rejectJob: (jobId, note = null) => ipcRenderer.invoke('approval:reject', { jobId, note }),
+
+  // Listen for approval events: { event: 'requested' | 'approved' | 'rejected' | 'expired', job }
+  onApprovalEvent: (callback) => {
+    ipcRenderer.on('approval-event', (event, data) => callback(data));
+  },
+
+  // ============================================
+  // Browser Task Queue
+  // ============================================
+
+  // Get running/queued BrowserView tasks
+  getBrowserQueue: () => ipcRenderer.invoke('browserQueue:getStatus'),
+
+  // Cancel a queued or running BrowserView task
+  cancelBrowserTask: (taskId) => ipcRenderer.invoke('browserQueue:cancel', taskId),
+
+  // Listen for browser task queue changes
+  onBrowserQueueUpdate: (callback) => {
+    ipcRenderer.on('browser-queue-update', (event, status) => callback(status));
+  },
+
+  // ============================================
+  // Post Analytics (成效分析)
+  // ============================================
+
+  // Tracked posts with their latest metrics: filters { platform, profileId, since, until, limit }
+  getAnalyticsPosts: (filters = {}) => ipcRenderer.invoke('analytics:getPosts', filters),
+
+  // Totals (impressions, likes, reposts, replies) overall, per platform and per profile, plus top posts
+  getAnalyticsSummary: (filters = {}) => ipcRenderer.invoke('analytics:getSummary', filters),
+
+  // One post with every sample (1h / 24h / 7d / manual)
+  getAnalyticsPost: (postId) => ipcRenderer.invoke('analytics:getPost', postId),
+
+  // Read a post's metrics now
+  refreshPostMetrics: (postId) => ipcRenderer.invoke('analytics:refresh', postId),
+
+  // Listen for new metrics
+  onAnalyticsUpdate: (callback) => {
+    ipcRenderer.on('analytics-update', () => callback());
+  },
+
+  // ============================================
+  // Inbox (收件匣: mentions / notifications)
+  // ============================================
+
+  // Inbox items, newest first: filters { platform, status: 'new' | 'replied' | 'dismissed', limit }
+  getInboxItems: (filters = {}) => ipcRenderer.invoke('inbox:getItems', filters),
+
+  // Read notifications now (one platform, or every enabled one)
+  checkInbox: (platform = null) => ipcRenderer.invoke('inbox:check', platform),
+
+  // Regenerate an item's AI reply drafts
+  draftInboxReply: (itemId) => ipcRenderer.invoke('inbox:draft', itemId),
+
+  // Send a reply from the account that received the item
+  replyToInboxItem: (itemId, text) => ipcRenderer.invoke('inbox:reply', { itemId, text }),
+
+  dismissInboxItem: (itemId) => ipcRenderer.invoke('inbox:dismiss', itemId),
+  restoreInboxItem: (itemId) => ipcRenderer.invoke('inbox:restore', itemId),
+
+  // { autoCheck, intervalMinutes, platforms, autoDraft, checks, newCount }
+  getInboxSettings: () => ipcRenderer.invoke('inbox:getSettings'),
+  saveInboxSettings: (settings) => ipcRenderer.invoke('inbox:saveSettings', settings),
+
+  // Listen for inbox changes ({ newCount })
+  onInboxUpdate: (callback) => {
+    ipcRenderer.on('inbox-update', (event, data) => callback(data));
+  },
+
+  // ============================================
+  // Selector Packs
+  // ============================================
+
+  // Active selector pack version/source, rollbacks and failure counts
+  getSelectorPackStatus: () => ipcRenderer.invoke('selectorPacks:getStatus'),
+
+  // Check Supabase for a newer selector pack now
+  refreshSelectorPack: () => ipcRenderer.invoke('selectorPacks:refresh'),
+
+  // Reject the active pack and go back to the previous (or bundled) selectors
+  rollbackSelectorPack: () => ipcRenderer.invoke('selectorPacks:rollback'),
+
   // ============================================
   // Automation (自動化排程)
   // ============================================
@@ -241,8 +412,8 @@ contextBridge.exposeInMainWorld('pulsar', {
     ipcRenderer.invoke('quota:requestToken', { platform, content }),
 
   // Confirm post token usage (after posting)
-  confirmPostToken: (token, success, platformPostId = null, errorMessage = null) =>
-    ipcRenderer.invoke('quota:confirmToken', { token, success, platformPostId, errorMessage }),
+  confirmPostToken: (token, success, platformPostId = null, errorMessage = null, platformUrl = null) =>
+    ipcRenderer.invoke('quota:confirmToken', { token, success, platformPostId, errorMessage, platformUrl }),
 
   // Check if feature is available
   hasFeature: (feature) => ipcRenderer.invoke('quota:hasFeature', feature),
@@ -383,11 +554,24 @@ contextBridge.exposeInMainWorld('pulsar', {
     ipcRenderer.invoke('engage:searchTwitter', { interests, audience }),
 
   // Send reply to a Twitter post
-  sendTwitterReply: (postUrl, replyText) =>
-    ipcRenderer.invoke('engage:sendReply', { postUrl, replyText }),
+  // context: { author, postText, topic } of the post, kept in the reply log
+  sendTwitterReply: (postUrl, replyText, context = {}) =>
+    ipcRenderer.invoke('engage:sendReply', { postUrl, replyText, context }),
+
+  // Search an API platform ('bluesky' | 'mastodon') for posts matching interests
+  searchPlatformPosts: (platform, interests, audience) =>
+    ipcRenderer.invoke('engage:searchPlatform', { platform, interests, audience }),
+
+  // Send reply to a post on an API platform
+  sendPlatformReply: (platform, postUrl, replyText, context = {}) =>
+    ipcRenderer.invoke('engage:sendPlatformReply', { platform, postUrl, replyText, context }),
+
+  // Engagement stats from the reply log (default: last 30 days)
+  // { replied, failed, today, successRate, byDay, byAutomation, byTopic }
+  getEngagementStats: (filters = {}) => ipcRenderer.invoke('engage:getStats', filters),
 
-  // Get engagement stats
-  getEngagementStats: () => ipcRenderer.invoke('engage:getStats'),
+  // Reply log entries (target post, author, reply, automation, persona, outcome), newest first
+  getReplyLog: (filters = {}) => ipcRenderer.invoke('engage:getReplyLog', filters),
 
   // Save engagement settings (interests, audience)
   saveEngagementSettings: (settings) =>
@@ -0,0 +1,469 @@
+/**
+ * Social Profiles Manager for Pulsar Desktop
+ * Several accounts per platform, each signed in inside its own persist: partition
+ * (see docs/SPEC-social-profiles.md). main.js swaps the BrowserView onto a
+ * profile's partition for the tasks that target it.
+ *
+ * Local cache: userData/social-profiles.json, mirrored to Supabase social_profiles
+ * when signed in. API platforms (Bluesky, Mastodon) keep their own credentials
+ * and are not profiles.
+ *
+ * The tier's max_social_accounts caps the profile count and Company Pages need Pro+.
+ * After a downgrade every profile keeps working for a grace period, then the extras
+ * become read-only (viewable, but they can't post or reply) until the user removes
+ * profiles or upgrades. Profiles are never deleted for being over the limit.
+ */
+
+const { ipcMain, app, BrowserWindow, session } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const platforms = require('../platforms');
+const quotaManager = require('../quota/quota-manager');
+const supabaseClient = require('../api/supabase-client');
+
+// The single shared session every version before profiles used
+const DEFAULT_PARTITION = 'persist:pulsar';
+const PROFILE_TYPES = ['personal', 'company_page', 'delegate'];
+const COMPANY_PAGE_TIERS = ['pro', 'agency'];
+const GRACE_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+const ACCESS_REFRESH_MS = 60 * 60 * 1000; // A grace period can end while the app is open
+
+class SocialProfilesManager {
+  constructor() {
+    this.dataPath = path.join(app.getPath('userData'), 'social-profiles.json');
+    this.DEFAULT_PARTITION = DEFAULT_PARTITION;
+    this.mainWindow = null;
+    this.verifySession = null;
+    this.activateSession = null;
+    this.releaseSession = null;
+    this.access = null; // Last refreshAccess() result
+    this.accessTimer = null;
+    this.data = this.load();
+    if (!fs.existsSync(this.dataPath)) this.save();
+  }
+
+  // options.mainWindow - receives 'profiles-update'
+  // options.verifySession(profile) -> boolean, signed in on that profile's partition
+  // options.activateSession(platform, profileId) - show a profile in the BrowserView
+  // options.releaseSession(partition) - move the BrowserView off a partition before it is cleared
+  init(options) {
+    this.mainWindow = options.mainWindow;
+    this.verifySession = options.verifySession;
+    this.activateSession = options.activateSession;
+    this.releaseSession = options.releaseSession;
+    const refresh = () => this.refreshAccess().catch(error => console.error('[SocialProfiles] Access check failed:', error.message));
+    refresh();
+    this.accessTimer = setInterval(refresh, ACCESS_REFRESH_MS);
+  }
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  load() {
+    try {
+      if (fs.existsSync(this.dataPath)) {
+        return JSON.parse(fs.readFileSync(this.dataPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('[SocialProfiles] Failed to load profiles:', error);
+    }
+    return this.migrate();
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.dataPath, JSON.stringify(this.data, null, 2));
+    } catch (error) {
+      console.error('[SocialProfiles] Failed to save profiles:', error);
+    }
+    if (this.mainWindow) {
+      this.mainWindow.webContents.send('profiles-update', this.getAll());
+    }
+  }
+
+  // First run with profiles: the existing shared session becomes the X profile,
+  // and a configured LinkedIn company page becomes a company_page profile on it
+  migrate() {
+    const data = { profiles: [], graceUntil: null, lastSynced: null };
+    data.profiles.push(this.createProfile({
+      platform: 'twitter',
+      accountIdentifier: '',
+      displayName: 'Existing session',
+      partition: DEFAULT_PARTITION,
+      isPrimary: true
+    }));
+
+    try {
+      const companyPath = path.join(app.getPath('userData'), 'company-settings.json');
+      const company = fs.existsSync(companyPath) ? JSON.parse(fs.readFileSync(companyPath, 'utf8')).linkedin : null;
+      if (company && company.enabled && company.companySlug) {
+        data.profiles.push(this.createProfile({
+          platform: 'linkedin',
+          profileType: 'company_page',
+          accountIdentifier: company.companySlug,
+          displayName: company.companySlug,
+          partition: DEFAULT_PARTITION
+        }));
+      }
+    } catch (error) {
+      console.error('[SocialProfiles] Company settings not migrated:', error.message);
+    }
+
+    console.log('[SocialProfiles] Migrated existing session into', data.profiles.length, 'profile(s)');
+    return data;
+  }
+
+  createProfile(fields) {
+    const id = crypto.randomUUID();
+    return {
+      id,
+      platform: fields.platform,
+      profileType: fields.profileType || 'personal',
+      accountIdentifier: fields.accountIdentifier || '',
+      displayName: fields.displayName || fields.accountIdentifier || '',
+      partition: fields.partition || `persist:${fields.platform}-${id.slice(0, 8)}`,
+      isVerified: false,
+      verifiedAt: null,
+      isActive: true,
+      isPrimary: !!fields.isPrimary,
+      readOnly: false, // Over the tier's limit after the grace period
+      createdAt: Date.now()
+    };
+  }
+
+  // Best effort - the local cache is the source of truth for sessions
+  async sync(profile, removed = false) {
+    if (!supabaseClient.isAuthenticated()) return;
+    try {
+      if (removed) {
+        await supabaseClient.deleteSocialProfile(profile.id);
+      } else {
+        await supabaseClient.upsertSocialProfile(profile);
+      }
+      this.data.lastSynced = new Date().toISOString();
+    } catch (error) {
+      console.error('[SocialProfiles] Sync failed:', error.message);
+    }
+  }
+
+  // ============================================
+  // Lookup
+  // ============================================
+
+  getAll() {
+    return this.data.profiles;
+  }
+
+  get(profileId) {
+    return this.data.profiles.find(profile => profile.id === profileId) || null;
+  }
+
+  getForPlatform(platform) {
+    return this.data.profiles.filter(profile => profile.platform === platform && profile.isActive);
+  }
+
+  getPrimary(platform) {
+    const candidates = this.getForPlatform(platform);
+    return candidates.find(profile => profile.isPrimary) || candidates[0] || null;
+  }
+
+  // Partition for a task: the named profile, else the platform's primary, else the shared session
+  resolvePartition(platform, profileId = null) {
+    const profile = (profileId && this.get(profileId)) || this.getPrimary(platform);
+    return profile ? profile.partition : DEFAULT_PARTITION;
+  }
+
+  // Extra publishPost options a profile implies (company pages post through the company slug)
+  publishOptions(profile) {
+    if (profile && profile.profileType === 'company_page') {
+      return { companySlug: profile.accountIdentifier, quotaPlatform: 'linkedin_company' };
+    }
+    return {};
+  }
+
+  // The profile signed in on a partition; companySlug picks the company page over the personal profile
+  forSession(platform, partition, companySlug = null) {
+    const candidates = this.data.profiles.filter(p => p.platform === platform && p.partition === partition);
+    const wanted = companySlug
+      ? candidates.find(p => p.profileType === 'company_page' && p.accountIdentifier === companySlug)
+      : candidates.find(p => p.profileType !== 'company_page');
+    return wanted || candidates[0] || null;
+  }
+
+  // Reject profile ids that don't exist or belong to another platform;
+  // options.write also rejects read-only profiles
+  validateTarget(platform, profileId, options = {}) {
+    if (!profileId) return null;
+    const profile = this.get(profileId);
+    if (!profile) {
+      return 'Social profile not found: ' + profileId;
+    }
+    if (profile.platform !== platform) {
+      return `Profile ${profile.displayName || profile.accountIdentifier} is a ${profile.platform} account, not ${platform}`;
+    }
+    return options.write ? this.writeError(profile) : null;
+  }
+
+  // Read-only profiles can be viewed but not post or reply
+  writeError(profile) {
+    if (!profile || !profile.readOnly) return null;
+    return `${profile.displayName || profile.accountIdentifier || profile.platform} is read-only on your current plan. Upgrade or remove other profiles to post from it`;
+  }
+
+  // ============================================
+  // Tier limits
+  // ============================================
+
+  // Recheck the profile list against the tier (hourly, and whenever the UI reads the quota).
+  // Over the limit starts the grace period (the server's, when signed in, so reinstalling
+  // can't restart it); once it ends, profiles past the limit become read-only.
+  // Primary profiles keep their slots first, then the oldest.
+  async refreshAccess() {
+    const status = await quotaManager.getQuotaStatus();
+    const tier = status.tier;
+    const limit = status.features.maxSocialAccounts || 1;
+    const companyPages = COMPANY_PAGE_TIERS.includes(tier);
+
+    const overLimit = this.data.profiles.length > limit ||
+      (!companyPages && this.data.profiles.some(p => p.profileType === 'company_page'));
+
+    let graceUntil = null;
+    if (overLimit) {
+      const server = supabaseClient.isAuthenticated() ? await supabaseClient.getSocialAccountStatus() : null;
+      graceUntil = (server && server.grace_until && Date.parse(server.grace_until)) ||
+        this.data.graceUntil ||
+        Date.now() + GRACE_PERIOD_MS;
+    }
+    const inGrace = !!graceUntil && Date.now() < graceUntil;
+
+    let changed = graceUntil !== (this.data.graceUntil || null);
+    let slots = limit;
+    const ranked = [...this.data.profiles].sort((a, b) => (b.isPrimary - a.isPrimary) || (a.createdAt - b.createdAt));
+    for (const profile of ranked) {
+      let writable = inGrace;
+      if ((profile.profileType !== 'company_page' || companyPages) && slots > 0) {
+        slots--;
+        writable = true;
+      }
+      if (!!profile.readOnly === writable) {
+        profile.readOnly = !writable;
+        changed = true;
+      }
+    }
+
+    if (graceUntil && !this.data.graceUntil) {
+      console.log('[SocialProfiles] Over the', tier, 'account limit, grace period until', new Date(graceUntil).toISOString());
+    }
+    this.data.graceUntil = graceUntil;
+    this.access = { tier, limit, used: this.data.profiles.length, graceUntil, inGrace, companyPages };
+    if (changed) this.save();
+    return this.access;
+  }
+
+  // Company page posting (profile or the legacy company settings); allowed during a grace period
+  companyPagesAllowed() {
+    return !this.access || this.access.companyPages || this.access.inGrace;
+  }
+
+  async getQuota() {
+    const access = await this.refreshAccess();
+    return {
+      ...access,
+      readOnly: this.data.profiles.filter(p => p.readOnly).length
+    };
+  }
+
+  // Local limit first, then the server's check_feature_access when signed in
+  // (it also counts profiles added on other machines)
+  async canAdd(profileType = 'personal') {
+    const quota = await this.getQuota();
+    if (quota.used >= quota.limit) {
+      return { allowed: false, reason: 'limit', error: `You've used all ${quota.limit} account slots in your ${quota.tier} plan`, quota };
+    }
+    if (profileType === 'company_page' && !COMPANY_PAGE_TIERS.includes(quota.tier)) {
+      return { allowed: false, reason: 'tier', error: 'Company Pages require Pro or Agency', quota };
+    }
+    if (supabaseClient.isAuthenticated()) {
+      if (!await quotaManager.hasFeatureAccess('social_accounts')) {
+        return { allowed: false, reason: 'limit', error: `You've used all ${quota.limit} account slots in your ${quota.tier} plan`, quota };
+      }
+      if (profileType === 'company_page' && !await quotaManager.hasFeatureAccess('company_pages')) {
+        return { allowed: false, reason: 'tier', error: 'Company Pages require Pro or Agency', quota };
+      }
+    }
+    return { allowed: true, quota };
+  }
+
+  // ============================================
+  // Profile management
+  // ============================================
+
+  // Create the profile, then open a login window on its own partition;
+  // it is verified when the window closes
+  async add({ platform, profileType = 'personal', accountIdentifier, displayName }) {
+    const adapter = platforms.get(platform);
+    if (!adapter || !adapter.usesBrowser) {
+      return { success: false, error: 'Profiles are not supported for ' + platform };
+    }
+    if (!PROFILE_TYPES.includes(profileType)) {
+      return { success: false, error: 'Unknown profile type: ' + profileType };
+    }
+    if (profileType === 'company_page' && (platform !== 'linkedin' || !accountIdentifier)) {
+      return { success: false, error: 'Company Pages need a LinkedIn company slug' };
+    }
+
+    const check = await this.canAdd(profileType);
+    if (!check.allowed) {
+      return { success: false, error: check.error, quotaExceeded: check.reason === 'limit', quota: check.quota };
+    }
+
+    const identifier = (accountIdentifier || '').trim();
+    if (identifier && this.data.profiles.some(p => p.platform === platform && p.accountIdentifier === identifier)) {
+      return { success: false, error: `${identifier} is already added` };
+    }
+
+    const profile = this.createProfile({
+      platform,
+      profileType,
+      accountIdentifier: identifier,
+      displayName,
+      isPrimary: this.getForPlatform(platform).length === 0
+    });
+    this.data.profiles.push(profile);
+    this.save();
+    this.sync(profile);
+    console.log('[SocialProfiles] Added', platform, profileType, identifier || profile.id);
+
+    this.openLoginWindow(profile);
+    return { success: true, profile };
+  }
+
+  openLoginWindow(profile) {
+    const adapter = platforms.get(profile.platform);
+    const loginWindow = new BrowserWindow({
+      width: 520,
+      height: 760,
+      parent: this.mainWindow || undefined,
+      title: `Log in to ${adapter.label}`,
+      webPreferences: {
+        partition: profile.partition,
+        contextIsolation: true,
+        nodeIntegration: false
+      }
+    });
+    loginWindow.loadURL(adapter.urls.login);
+    loginWindow.on('closed', () => {
+      this.verify(profile.id).catch(error => console.error('[SocialProfiles] Verify failed:', error.message));
+    });
+    return { success: true };
+  }
+
+  // Load the profile's session on its platform home page and check it is signed in
+  async verify(profileId) {
+    const profile = this.get(profileId);
+    if (!profile) {
+      return { success: false, error: 'Social profile not found: ' + profileId };
+    }
+
+    const loggedIn = await this.verifySession(profile);
+    profile.isVerified = !!loggedIn;
+    profile.verifiedAt = loggedIn ? Date.now() : profile.verifiedAt;
+    this.save();
+    this.sync(profile);
+
+    console.log('[SocialProfiles] Verified', profile.platform, profile.accountIdentifier || profile.id, '->', profile.isVerified);
+    return { success: true, verified: profile.isVerified, profile };
+  }
+
+  async setPrimary(profileId) {
+    const profile = this.get(profileId);
+    if (!profile) {
+      return { success: false, error: 'Social profile not found: ' + profileId };
+    }
+    for (const other of this.getForPlatform(profile.platform)) {
+      other.isPrimary = other.id === profileId;
+      this.sync(other);
+    }
+    this.save();
+    await this.refreshAccess(); // Primary profiles keep their slots first
+    return { success: true, profile };
+  }
+
+  // Drop the profile and, unless another profile shares it, its cookies and storage
+  async remove(profileId) {
+    const profile = this.get(profileId);
+    if (!profile) {
+      return { success: false, error: 'Social profile not found: ' + profileId };
+    }
+
+    this.data.profiles = this.data.profiles.filter(p => p.id !== profileId);
+    if (profile.isPrimary) {
+      const next = this.getForPlatform(profile.platform)[0];
+      if (next) {
+        next.isPrimary = true;
+        this.sync(next);
+      }
+    }
+    this.save();
+    this.sync(profile, true);
+
+    const shared = profile.partition === DEFAULT_PARTITION ||
+      this.data.profiles.some(p => p.partition === profile.partition);
+    if (!shared) {
+      await this.releaseSession(profile.partition);
+      await session.fromPartition(profile.partition).clearStorageData();
+    }
+
+    console.log('[SocialProfiles] Removed', profile.platform, profile.accountIdentifier || profile.id);
+    await this.refreshAccess(); // A freed slot makes a read-only profile writable again
+    return { success: true };
+  }
+
+  // ============================================
+  // IPC Handlers
+  // ============================================
+
+  initIPCHandlers() {
+    ipcMain.handle('profiles:getAll', async () => {
+      return this.getAll();
+    });
+
+    ipcMain.handle('profiles:add', async (event, options) => {
+      return this.add(options);
+    });
+
+    ipcMain.handle('profiles:remove', async (event, profileId) => {
+      return this.remove(profileId);
+    });
+
+    ipcMain.handle('profiles:verify', async (event, profileId) => {
+      return this.verify(profileId);
+    });
+
+    ipcMain.handle('profiles:setPrimary', async (event, profileId) => {
+      return this.setPrimary(profileId);
+    });
+
+    ipcMain.handle('profiles:canAdd', async (event, profileType) => {
+      return this.canAdd(profileType);
+    });
+
+    ipcMain.handle('profiles:getQuota', async () => {
+      return this.getQuota();
+    });
+
+    // Show a profile (or the platform's primary) in the BrowserView
+    ipcMain.handle('profiles:activate', async (event, { platform, profileId = null }) => {
+      const error = this.validateTarget(platform, profileId);
+      if (error) return { success: false, error };
+      await this.activateSession(platform, profileId);
+      return { success: true, partition: this.resolvePartition(platform, profileId) };
+    });
+
+    console.log('[SocialProfiles] IPC handlers initialized');
+  }
+}
+
+module.exports = new SocialProfilesManager();
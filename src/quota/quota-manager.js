@@ -169,7 +169,7 @@ class QuotaManager {
   }
 
   // Confirm token usage (after posting)
-  async confirmPostToken(token, success, platformPostId = null, errorMessage = null) {
+  async confirmPostToken(token, success, platformPostId = null, errorMessage = null, platformUrl = null) {
     // Handle local tokens
     if (token.startsWith('local-')) {
       return this.confirmLocalToken(token, success);
@@ -180,7 +180,8 @@ class QuotaManager {
         token,
         success,
         platformPostId,
-        errorMessage
+        errorMessage,
+        platformUrl
       );
 
       // Invalidate cache since quota might have changed (refund on failure)
@@ -215,6 +216,29 @@ class QuotaManager {
     return { success: true };
   }
 
+  // Replies, likes and reposts count against the daily replies counter, whether sent by an
+  // engagement automation, from the Engage tab or from the Inbox; quote posts are posts and
+  // take a post token instead. Signed-out use isn't metered
+  async canReply() {
+    if (!supabaseClient.isAuthenticated()) return true;
+    const quota = await this.getQuota();
+    return (quota.replies_used || 0) < (quota.replies_limit || 0);
+  }
+
+  // Count an engagement action that went through
+  async useReplyQuota() {
+    if (!supabaseClient.isAuthenticated()) return { success: true };
+
+    try {
+      const result = await supabaseClient.useReplyQuota();
+      this.quotaCache = null;
+      return result;
+    } catch (error) {
+      console.error('[QuotaManager] Reply quota update failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Check feature access
   async hasFeatureAccess(feature) {
     if (!supabaseClient.isAuthenticated()) {
@@ -306,8 +330,8 @@ class QuotaManager {
     });
 
     // Confirm token usage
-    ipcMain.handle('quota:confirmToken', async (event, { token, success, platformPostId, errorMessage }) => {
-      return this.confirmPostToken(token, success, platformPostId, errorMessage);
+    ipcMain.handle('quota:confirmToken', async (event, { token, success, platformPostId, errorMessage, platformUrl }) => {
+      return this.confirmPostToken(token, success, platformPostId, errorMessage, platformUrl);
     });
 
     // Check feature access
@@ -0,0 +1,485 @@
+/**
+ * Pulsar Recurrence
+ * Expands recurrence rules (RFC 5545 RRULE or 5-field cron) into occurrence
+ * timestamps, evaluated in an explicit IANA time zone
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SEARCH_DAYS = 366 * 5; // Give up if nothing matches within 5 years
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const SUPPORTED_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const UNSUPPORTED_RRULE_PARTS = ['BYSETPOS', 'BYWEEKNO', 'BYYEARDAY', 'BYSECOND'];
+
+class Recurrence {
+  constructor() {
+    this.formatters = new Map(); // Cached Intl formatters per time zone
+  }
+
+  // Normalize a recurrence spec into { type, rule, timezone, dtstart }
+  // Accepts { rrule, timezone } / { cron, timezone } or an already normalized spec
+  normalize(spec, dtstart) {
+    if (!spec) return null;
+
+    const timezone = spec.timezone || spec.timeZone;
+    if (!timezone) {
+      throw new Error('Recurrence requires an explicit IANA time zone');
+    }
+    if (!this.isValidTimeZone(timezone)) {
+      throw new Error('Invalid time zone: ' + timezone);
+    }
+
+    let type = spec.type;
+    let rule = spec.rule;
+    if (spec.rrule) {
+      type = 'rrule';
+      rule = spec.rrule;
+    } else if (spec.cron) {
+      type = 'cron';
+      rule = spec.cron;
+    }
+
+    if (type !== 'rrule' && type !== 'cron') {
+      throw new Error('Recurrence must have an rrule or cron expression');
+    }
+
+    rule = String(rule || '').trim();
+    if (type === 'rrule') {
+      rule = rule.replace(/^RRULE:/i, '').toUpperCase();
+      this.parseRRule(rule); // Throws on invalid rule
+    } else {
+      this.parseCron(rule); // Throws on invalid expression
+    }
+
+    return {
+      type,
+      rule,
+      timezone,
+      dtstart: spec.dtstart || dtstart || Date.now()
+    };
+  }
+
+  // Check whether a string is a time zone Intl knows about
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone }).format(0);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Get the next occurrence strictly after `after`, or null when the rule is exhausted
+  // occurrenceCount is how many occurrences have already happened (for COUNT)
+  getNextOccurrence(spec, after = Date.now(), occurrenceCount = 1) {
+    if (!spec) return null;
+
+    if (spec.type === 'cron') {
+      const cron = this.parseCron(spec.rule);
+      return this.search(spec.timezone, after, (day) => this.cronDayMatches(cron, day), cron.hours, cron.minutes);
+    }
+
+    const rrule = this.parseRRule(spec.rule);
+    if (rrule.count && occurrenceCount >= rrule.count) {
+      return null;
+    }
+
+    const start = this.getZonedParts(spec.dtstart, spec.timezone);
+    start.dayNum = this.toDayNum(start.year, start.month, start.day);
+
+    const hours = rrule.byHour || [start.hour];
+    const minutes = rrule.byMinute || [start.minute];
+    const lowerBound = Math.max(after, spec.dtstart);
+
+    const next = this.search(
+      spec.timezone,
+      lowerBound,
+      (day) => day.dayNum >= start.dayNum && this.rruleDayMatches(rrule, start, day),
+      hours,
+      minutes
+    );
+
+    if (next && rrule.until && next > rrule.until) {
+      return null;
+    }
+    return next;
+  }
+
+  // Walk forward day by day (in the target zone) and return the first matching time after `after`
+  search(timeZone, after, dayMatches, hours, minutes) {
+    const from = this.getZonedParts(after, timeZone);
+    const firstDay = this.toDayNum(from.year, from.month, from.day);
+    const times = [];
+    for (const hour of [...hours].sort((a, b) => a - b)) {
+      for (const minute of [...minutes].sort((a, b) => a - b)) {
+        times.push({ hour, minute });
+      }
+    }
+
+    for (let dayNum = firstDay; dayNum < firstDay + MAX_SEARCH_DAYS; dayNum++) {
+      const day = this.fromDayNum(dayNum);
+      if (!dayMatches(day)) continue;
+
+      for (const { hour, minute } of times) {
+        const timestamp = this.zonedTimeToUtc({ ...day, hour, minute }, timeZone);
+        if (timestamp > after) {
+          return timestamp;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // ============================================
+  // RRULE (RFC 5545 subset)
+  // ============================================
+
+  parseRRule(rule) {
+    const parts = {};
+    for (const segment of String(rule).replace(/^RRULE:/i, '').split(';')) {
+      if (!segment) continue;
+      const [key, value] = segment.split('=');
+      if (!key || value === undefined) {
+        throw new Error('Invalid RRULE segment: ' + segment);
+      }
+      parts[key.toUpperCase()] = value.toUpperCase();
+    }
+
+    const freq = parts.FREQ;
+    if (!SUPPORTED_FREQS.includes(freq)) {
+      throw new Error('Unsupported RRULE FREQ: ' + (freq || '(missing)'));
+    }
+
+    for (const key of UNSUPPORTED_RRULE_PARTS) {
+      if (parts[key]) {
+        throw new Error('Unsupported RRULE part: ' + key);
+      }
+    }
+
+    if (parts.COUNT && parts.UNTIL) {
+      throw new Error('RRULE cannot have both COUNT and UNTIL');
+    }
+
+    const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new Error('Invalid RRULE INTERVAL: ' + parts.INTERVAL);
+    }
+
+    const count = parts.COUNT ? parseInt(parts.COUNT, 10) : null;
+    if (parts.COUNT && (!Number.isInteger(count) || count < 1)) {
+      throw new Error('Invalid RRULE COUNT: ' + parts.COUNT);
+    }
+
+    const wkst = parts.WKST ? WEEKDAYS.indexOf(parts.WKST) : 1; // Default Monday
+    if (wkst === -1) {
+      throw new Error('Invalid RRULE WKST: ' + parts.WKST);
+    }
+
+    return {
+      freq,
+      interval,
+      count,
+      until: parts.UNTIL ? this.parseUntil(parts.UNTIL) : null,
+      wkst,
+      byDay: parts.BYDAY ? parts.BYDAY.split(',').map(d => this.parseByDay(d)) : null,
+      byMonthDay: parts.BYMONTHDAY ? this.parseIntList(parts.BYMONTHDAY, -31, 31, 'BYMONTHDAY', true) : null,
+      byMonth: parts.BYMONTH ? this.parseIntList(parts.BYMONTH, 1, 12, 'BYMONTH') : null,
+      byHour: parts.BYHOUR ? this.parseIntList(parts.BYHOUR, 0, 23, 'BYHOUR') : null,
+      byMinute: parts.BYMINUTE ? this.parseIntList(parts.BYMINUTE, 0, 59, 'BYMINUTE') : null
+    };
+  }
+
+  parseByDay(value) {
+    const match = value.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!match) {
+      throw new Error('Invalid RRULE BYDAY: ' + value);
+    }
+    const ordinal = match[1] ? parseInt(match[1], 10) : null;
+    if (ordinal === 0 || Math.abs(ordinal) > 53) {
+      throw new Error('Invalid RRULE BYDAY ordinal: ' + value);
+    }
+    return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+  }
+
+  parseIntList(value, min, max, name, nonZero = false) {
+    return value.split(',').map(item => {
+      const num = parseInt(item, 10);
+      if (!/^[+-]?\d+$/.test(item.trim()) || num < min || num > max || (nonZero && num === 0)) {
+        throw new Error(`Invalid RRULE ${name}: ${value}`);
+      }
+      return num;
+    });
+  }
+
+  // UNTIL is either a UTC date-time (YYYYMMDDTHHMMSSZ) or a date (YYYYMMDD, end of day UTC)
+  parseUntil(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    if (!match) {
+      throw new Error('Invalid RRULE UNTIL: ' + value);
+    }
+    const [, y, m, d, hh, mm, ss] = match;
+    if (hh === undefined) {
+      return Date.UTC(+y, +m - 1, +d, 23, 59, 59);
+    }
+    return Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss);
+  }
+
+  rruleDayMatches(rrule, start, day) {
+    if (rrule.byMonth && !rrule.byMonth.includes(day.month)) return false;
+
+    switch (rrule.freq) {
+      case 'DAILY': {
+        if ((day.dayNum - start.dayNum) % rrule.interval !== 0) return false;
+        if (rrule.byMonthDay && !this.monthDayMatches(rrule.byMonthDay, day)) return false;
+        if (rrule.byDay && !rrule.byDay.some(d => d.weekday === day.weekday)) return false;
+        return true;
+      }
+
+      case 'WEEKLY': {
+        const weekIndex = Math.floor((this.weekStart(day.dayNum, rrule.wkst) - this.weekStart(start.dayNum, rrule.wkst)) / 7);
+        if (weekIndex % rrule.interval !== 0) return false;
+        const byDay = rrule.byDay || [{ weekday: start.weekday, ordinal: null }];
+        return byDay.some(d => d.weekday === day.weekday);
+      }
+
+      case 'MONTHLY': {
+        const monthIndex = (day.year * 12 + day.month) - (start.year * 12 + start.month);
+        if (monthIndex % rrule.interval !== 0) return false;
+        if (!rrule.byDay && !rrule.byMonthDay) return day.day === start.day;
+        if (rrule.byMonthDay && !this.monthDayMatches(rrule.byMonthDay, day)) return false;
+        if (rrule.byDay && !this.byDayMatches(rrule.byDay, day, 'month')) return false;
+        return true;
+      }
+
+      case 'YEARLY': {
+        if ((day.year - start.year) % rrule.interval !== 0) return false;
+        if (!rrule.byDay && !rrule.byMonthDay) {
+          const month = rrule.byMonth ? day.month : start.month;
+          return day.month === month && day.day === start.day;
+        }
+        if (rrule.byMonthDay && !this.monthDayMatches(rrule.byMonthDay, day)) return false;
+        if (rrule.byDay && !this.byDayMatches(rrule.byDay, day, rrule.byMonth ? 'month' : 'year')) return false;
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  monthDayMatches(byMonthDay, day) {
+    const daysInMonth = this.daysInMonth(day.year, day.month);
+    return byMonthDay.some(d => (d > 0 ? d : daysInMonth + d + 1) === day.day);
+  }
+
+  // BYDAY with optional ordinal (e.g. 1MO, -1FR) within the month or the year
+  byDayMatches(byDay, day, scope) {
+    let position;
+    let length;
+    if (scope === 'month') {
+      position = day.day;
+      length = this.daysInMonth(day.year, day.month);
+    } else {
+      position = day.dayNum - this.toDayNum(day.year, 1, 1) + 1;
+      length = this.toDayNum(day.year + 1, 1, 1) - this.toDayNum(day.year, 1, 1);
+    }
+
+    const nth = Math.floor((position - 1) / 7) + 1;
+    const nthFromEnd = Math.floor((length - position) / 7) + 1;
+
+    return byDay.some(d => {
+      if (d.weekday !== day.weekday) return false;
+      if (d.ordinal === null) return true;
+      return d.ordinal > 0 ? d.ordinal === nth : -d.ordinal === nthFromEnd;
+    });
+  }
+
+  weekStart(dayNum, wkst) {
+    const weekday = this.fromDayNum(dayNum).weekday;
+    return dayNum - ((weekday - wkst + 7) % 7);
+  }
+
+  // ============================================
+  // Cron (minute hour day-of-month month day-of-week)
+  // ============================================
+
+  parseCron(expression) {
+    const expr = CRON_MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+    const fields = expr.split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error('Cron expression must have 5 fields: ' + expression);
+    }
+
+    const daysOfWeek = this.parseCronField(fields[4], 0, 7, WEEKDAYS);
+    if (daysOfWeek.has(7)) {
+      daysOfWeek.delete(7);
+      daysOfWeek.add(0); // 7 is also Sunday
+    }
+
+    return {
+      minutes: this.parseCronField(fields[0], 0, 59),
+      hours: this.parseCronField(fields[1], 0, 23),
+      daysOfMonth: this.parseCronField(fields[2], 1, 31),
+      months: this.parseCronField(fields[3], 1, 12, MONTH_NAMES, 1),
+      daysOfWeek,
+      domRestricted: fields[2] !== '*' && fields[2] !== '?',
+      dowRestricted: fields[4] !== '*' && fields[4] !== '?'
+    };
+  }
+
+  parseCronField(field, min, max, names = null, nameOffset = 0) {
+    const values = new Set();
+    const toNumber = (token) => {
+      const upper = token.toUpperCase();
+      if (names && names.includes(upper)) {
+        return names.indexOf(upper) + nameOffset;
+      }
+      if (!/^\d+$/.test(token)) {
+        throw new Error('Invalid cron value: ' + token);
+      }
+      return parseInt(token, 10);
+    };
+
+    for (const part of field.split(',')) {
+      const [range, stepStr] = part.split('/');
+      const step = stepStr === undefined ? 1 : parseInt(stepStr, 10);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error('Invalid cron step: ' + part);
+      }
+
+      let from;
+      let to;
+      if (range === '*' || range === '?') {
+        from = min;
+        to = max;
+      } else if (range.includes('-')) {
+        const [a, b] = range.split('-');
+        from = toNumber(a);
+        to = toNumber(b);
+      } else {
+        from = toNumber(range);
+        to = stepStr === undefined ? from : max;
+      }
+
+      if (from < min || to > max || from > to) {
+        throw new Error(`Cron value out of range (${min}-${max}): ${part}`);
+      }
+
+      for (let value = from; value <= to; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  cronDayMatches(cron, day) {
+    if (!cron.months.has(day.month)) return false;
+
+    const domMatch = cron.daysOfMonth.has(day.day);
+    const dowMatch = cron.daysOfWeek.has(day.weekday);
+
+    // Standard cron: when both fields are restricted, either one may match
+    if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch;
+    if (cron.domRestricted) return domMatch;
+    if (cron.dowRestricted) return dowMatch;
+    return true;
+  }
+
+  // ============================================
+  // Time zone helpers
+  // ============================================
+
+  getFormatter(timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        weekday: 'short'
+      }));
+    }
+    return this.formatters.get(timeZone);
+  }
+
+  // Wall-clock parts of a timestamp in the given zone
+  getZonedParts(timestamp, timeZone) {
+    const parts = {};
+    for (const { type, value } of this.getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+      parts[type] = value;
+    }
+    return {
+      year: parseInt(parts.year, 10),
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10),
+      hour: parseInt(parts.hour, 10) % 24,
+      minute: parseInt(parts.minute, 10),
+      second: parseInt(parts.second, 10),
+      weekday: WEEKDAYS.indexOf(parts.weekday.substring(0, 2).toUpperCase())
+    };
+  }
+
+  // Zone offset (ms) at a given instant
+  getOffset(timestamp, timeZone) {
+    const p = this.getZonedParts(timestamp, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  // Convert a wall-clock time in the given zone to a UTC timestamp
+  // Times skipped by a DST jump resolve to the instant just after the gap
+  zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, 0);
+    const guessOffset = this.getOffset(wallClock, timeZone);
+    const guess = wallClock - guessOffset;
+    const actualOffset = this.getOffset(guess, timeZone);
+    if (actualOffset === guessOffset) {
+      return guess;
+    }
+
+    const corrected = wallClock - actualOffset;
+    return this.getOffset(corrected, timeZone) === actualOffset ? corrected : guess;
+  }
+
+  // ============================================
+  // Calendar helpers (day numbers are days since the Unix epoch)
+  // ============================================
+
+  toDayNum(year, month, day) {
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+  }
+
+  fromDayNum(dayNum) {
+    const date = new Date(dayNum * DAY_MS);
+    return {
+      dayNum,
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      weekday: date.getUTCDay()
+    };
+  }
+
+  daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+}
+
+module.exports = new Recurrence();
@@ -0,0 +1,109 @@
+/**
+ * Pulsar Retry Policy
+ * Decides whether a failed scheduled job is retried and when
+ */
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,           // Total attempts including the first run
+  initialDelayMs: 60 * 1000,
+  multiplier: 2,
+  maxDelayMs: 30 * 60 * 1000,
+  jitter: 0.2,              // +/- 20% randomization of each delay
+  delaysMs: null,           // Explicit backoff schedule, overrides the exponential one
+  // Error message patterns (case-insensitive substrings); fatal wins over retryable
+  retryableErrors: [
+    'not clickable',
+    'not found',
+    'timeout',
+    'timed out',
+    'net::',
+    'ERR_',
+    'navigation'
+  ],
+  fatalErrors: [
+    'quota',
+    'Platform not supported',
+    'not logged in',
+    'too long',
+    'duplicate'
+  ],
+  retryUnknownErrors: true  // Retry errors that match neither list
+};
+
+class RetryPolicy {
+  constructor() {
+    this.defaults = DEFAULT_RETRY_POLICY;
+  }
+
+  // Merge a per-job policy over the defaults; false disables retries
+  normalize(policy) {
+    if (policy === false) {
+      return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+    }
+
+    const merged = { ...DEFAULT_RETRY_POLICY, ...(policy || {}) };
+    merged.maxAttempts = Math.max(1, parseInt(merged.maxAttempts, 10) || 1);
+    merged.initialDelayMs = Math.max(0, Number(merged.initialDelayMs) || 0);
+    merged.multiplier = Math.max(1, Number(merged.multiplier) || 1);
+    merged.maxDelayMs = Math.max(merged.initialDelayMs, Number(merged.maxDelayMs) || 0);
+    merged.jitter = Math.min(1, Math.max(0, Number(merged.jitter) || 0));
+
+    if (merged.delaysMs && !Array.isArray(merged.delaysMs)) {
+      throw new Error('retryPolicy.delaysMs must be an array of milliseconds');
+    }
+    for (const key of ['retryableErrors', 'fatalErrors']) {
+      if (!Array.isArray(merged[key])) {
+        throw new Error(`retryPolicy.${key} must be an array of strings`);
+      }
+    }
+
+    return merged;
+  }
+
+  // Classify a failed result: { retryable, reason }
+  classify(result, policy) {
+    if (result && result.quotaExceeded) {
+      return { retryable: false, reason: 'quotaExceeded' };
+    }
+    if (result && result.retryable === false) {
+      return { retryable: false, reason: 'not retryable' };
+    }
+
+    const message = String((result && result.error) || '').toLowerCase();
+    const matches = (patterns) => patterns.find(p => message.includes(String(p).toLowerCase()));
+
+    const fatal = matches(policy.fatalErrors);
+    if (fatal) {
+      return { retryable: false, reason: `fatal: ${fatal}` };
+    }
+
+    const retryable = matches(policy.retryableErrors);
+    if (retryable) {
+      return { retryable: true, reason: `retryable: ${retryable}` };
+    }
+
+    return policy.retryUnknownErrors
+      ? { retryable: true, reason: 'unknown error' }
+      : { retryable: false, reason: 'unknown error' };
+  }
+
+  // Delay before the next attempt, given how many attempts have already run
+  getDelay(policy, attemptsMade) {
+    let delay;
+    if (policy.delaysMs && policy.delaysMs.length > 0) {
+      const index = Math.min(attemptsMade - 1, policy.delaysMs.length - 1);
+      delay = Number(policy.delaysMs[index]) || 0;
+    } else {
+      delay = policy.initialDelayMs * Math.pow(policy.multiplier, attemptsMade - 1);
+      delay = Math.min(delay, policy.maxDelayMs);
+    }
+
+    if (policy.jitter > 0) {
+      delay += delay * policy.jitter * (Math.random() * 2 - 1);
+    }
+
+    return Math.max(0, Math.round(delay));
+  }
+}
+
+module.exports = new RetryPolicy();
@@ -3,73 +3,228 @@
  * Manages scheduled posts queue and execution
  */
 
-const { app } = require('electron');
-const path = require('path');
-const fs = require('fs');
+const jobStore = require('./storage/job-store');
+const recurrence = require('./recurrence');
+const retryPolicy = require('./retry-policy');
+const twitterThread = require('./twitter-thread');
+const mediaUploader = require('./browser/media-uploader');
 
 class Scheduler {
   constructor() {
     this.jobs = [];
-    this.dataPath = path.join(app.getPath('userData'), 'scheduler-data.json');
+    this.store = jobStore;
     this.checkInterval = null;
+    this.checking = false; // A run can outlast the 30 s tick (browser queue, retries, uploads)
     this.onExecuteJob = null; // Callback for job execution
+    this.onReconcileJob = null; // Callback to check whether an interrupted job was posted
+    this.onApprovalEvent = null; // Callback(event, job) for approval requests/decisions
   }
 
   // Initialize scheduler
-  init(onExecuteJob) {
+  // options.onReconcileJob(job) -> { posted: true | false | null, evidence }
+  // options.onApprovalEvent(event, job) - 'requested' | 'approved' | 'rejected' | 'expired'
+  init(onExecuteJob, options = {}) {
     this.onExecuteJob = onExecuteJob;
+    this.onReconcileJob = options.onReconcileJob || null;
+    this.onApprovalEvent = options.onApprovalEvent || null;
     this.loadJobs();
-    this.startChecking();
     console.log('[Scheduler] Initialized with', this.jobs.length, 'jobs');
+
+    // Resolve jobs interrupted by a crash/quit before running anything new
+    return this.recoverOrphanedJobs()
+      .catch(error => console.error('[Scheduler] Recovery failed:', error))
+      .then(() => this.startChecking());
+  }
+
+  // Reconcile jobs left in "processing" by a previous session
+  async recoverOrphanedJobs() {
+    const orphaned = this.jobs.filter(job => job.status === 'processing');
+    if (orphaned.length === 0) return;
+
+    console.log('[Scheduler] Found', orphaned.length, 'orphaned processing jobs');
+
+    for (const job of orphaned) {
+      this.resolveOrphanedJob(job, await this.reconcileJob(job));
+    }
+  }
+
+  // Ask the platform whether the job's post went out: { posted: true|false|null, evidence }
+  async reconcileJob(job) {
+    let check = { posted: null, evidence: 'No reconcile handler' };
+    if (this.onReconcileJob) {
+      try {
+        check = (await this.onReconcileJob(job)) || check;
+      } catch (error) {
+        check = { posted: null, evidence: 'Reconcile error: ' + error.message };
+      }
+    }
+    return check;
+  }
+
+  // Apply the reconcile outcome to an orphaned job and record it
+  // reason is set when a live run was cut short (e.g. timed out); none means the app quit
+  resolveOrphanedJob(job, check, reason = null) {
+    const attempts = job.attempts || [];
+    const policy = job.retryPolicy || retryPolicy.normalize();
+    const attempt = {
+      attempt: attempts.length + 1,
+      startedAt: job.startedAt || job.updatedAt,
+      finishedAt: reason ? Date.now() : null,
+      success: check.posted === true,
+      error: check.posted === true ? null : 'Interrupted: ' + (reason || 'app quit while processing'),
+      interrupted: true
+    };
+
+    let action;
+    let updates;
+    if (check.posted === true) {
+      // It went out - don't post it twice
+      action = 'completed';
+      updates = {
+        status: 'completed',
+        platformPostId: check.platformPostId || null,
+        platformUrl: check.platformUrl || null,
+        result: { success: true, recovered: true, note: check.evidence, platformUrl: check.platformUrl || null }
+      };
+    } else if (check.posted === false && attempt.attempt < policy.maxAttempts) {
+      // Confirmed not posted - safe to run again
+      action = 'requeued';
+      updates = { status: 'pending', nextAttemptAt: Date.now() };
+    } else {
+      // Unknown (or out of attempts) - fail rather than risk a duplicate post
+      action = 'failed';
+      updates = {
+        status: 'failed',
+        result: {
+          success: false,
+          error: check.posted === false
+            ? 'Interrupted and out of retry attempts'
+            : (reason || 'Interrupted') + '; could not confirm whether the post went out, verify manually'
+        }
+      };
+    }
+
+    this.updateJob(job.id, {
+      ...updates,
+      attempts: [...attempts, attempt],
+      recovery: {
+        detectedAt: Date.now(),
+        posted: check.posted,
+        evidence: check.evidence || null,
+        action
+      }
+    });
+    if (action !== 'requeued') {
+      this.scheduleNextOccurrence(job);
+    }
+    console.log('[Scheduler] Recovered orphaned job:', job.id, '->', action, check.evidence || '');
   }
 
-  // Load jobs from disk
+  // Load jobs from the job store
   loadJobs() {
     try {
-      if (fs.existsSync(this.dataPath)) {
-        const data = fs.readFileSync(this.dataPath, 'utf8');
-        this.jobs = JSON.parse(data);
-        // Filter out completed/failed jobs older than 24 hours
-        const cutoff = Date.now() - 24 * 60 * 60 * 1000;
-        this.jobs = this.jobs.filter(job =>
-          job.status === 'pending' || job.updatedAt > cutoff
-        );
-      }
+      this.jobs = this.store.load();
     } catch (error) {
+      // Only a schema newer than this build gets here - keep files untouched
       console.error('[Scheduler] Failed to load jobs:', error);
       this.jobs = [];
+      return;
     }
-  }
 
-  // Save jobs to disk
-  saveJobs() {
-    try {
-      fs.writeFileSync(this.dataPath, JSON.stringify(this.jobs, null, 2));
-    } catch (error) {
-      console.error('[Scheduler] Failed to save jobs:', error);
+    // Archive completed/failed jobs older than 24 hours out of the active queue
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    for (const job of this.jobs.filter(j => this.isFinished(j) && j.updatedAt <= cutoff)) {
+      if (job.historyRecordedAt || this.store.appendHistory(job)) {
+        this.store.remove(job.id);
+      }
     }
+    this.jobs = this.jobs.filter(job => this.store.jobs.has(job.id));
+  }
+
+  isFinished(job) {
+    return ['completed', 'failed', 'rejected', 'skipped'].includes(job.status);
+  }
+
+  // Get permanent post history (see JobStore.queryHistory for filters)
+  queryHistory(filters = {}) {
+    return this.store.queryHistory(filters);
   }
 
   // Add a new scheduled job
-  addJob(job) {
+  // job.recurrence: { rrule | cron, timezone } - repeats after each run
+  // job.retryPolicy: overrides for retry-policy defaults, false disables retries
+  // job.approval: { deadlineAt, fallback: 'skip' | 'publish' } - hold until reviewed
+  // job.contentType: 'thread' with job.segments (tweet texts) and optional threadStrategy
+  // job.media: [{ path, altText }] local files attached to the post
+  // job.postOptions: platform extras passed to the adapter, e.g. Mastodon { spoilerText, visibility }
+  // job.profileId: social profile to post as (null = the platform's primary)
+  // options.mediaChecked: job.media was already normalized (a series' next occurrence) -
+  // its files are checked again when the post runs, not when it is queued
+  addJob(job, options = {}) {
+    const scheduledAt = job.scheduledAt || Date.now(); // Immediate if not specified
+    const thread = job.contentType === 'thread' ? this.normalizeThread(job) : null;
+    if (thread && job.media && job.media.length > 0) {
+      throw new Error('Media attachments are not supported on threads yet');
+    }
     const newJob = {
       id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       platform: job.platform || 'twitter',
-      content: job.content,
-      scheduledAt: job.scheduledAt || Date.now(), // Immediate if not specified
-      status: 'pending',
+      content: thread ? thread.content : job.content,
+      contentType: thread ? 'thread' : 'post',
+      media: options.mediaChecked
+        ? job.media || []
+        : mediaUploader.normalize(job.media, job.platform || 'twitter'), // Throws on invalid media
+      postOptions: job.postOptions || null,
+      profileId: job.profileId || null,
+      scheduledAt,
+      status: job.approval ? 'awaiting_approval' : 'pending',
+      automationId: job.automationId || null,
+      approval: this.normalizeApproval(job.approval),
+      recurrence: recurrence.normalize(job.recurrence, scheduledAt), // Throws on invalid rule
+      seriesId: null,
+      occurrence: null,
+      retryPolicy: retryPolicy.normalize(job.retryPolicy),
+      attempts: [],
+      nextAttemptAt: null,
       createdAt: Date.now(),
       updatedAt: Date.now(),
+      platformPostId: null,
+      platformUrl: null,
       result: null
     };
 
+    if (newJob.recurrence) {
+      newJob.seriesId = job.seriesId || newJob.id;
+      newJob.occurrence = job.occurrence || 1;
+    }
+
+    if (thread) {
+      newJob.segments = thread.segments;
+      newJob.threadStrategy = thread.threadStrategy;
+      newJob.threadProgress = null; // { postedCount, segmentUrls } once tweets go out
+    }
+
     this.jobs.push(newJob);
-    this.saveJobs();
+    this.store.put(newJob);
     console.log('[Scheduler] Added job:', newJob.id, 'scheduled for:', new Date(newJob.scheduledAt).toLocaleString());
 
+    if (newJob.approval) {
+      this.emitApprovalEvent('requested', newJob);
+    }
+
     return newJob;
   }
 
+  // Validate thread segments (throws) and build the display content
+  normalizeThread(job) {
+    const segments = twitterThread.assertValid(job.segments || twitterThread.parse(job.content));
+    const threadStrategy = job.threadStrategy || 'composer';
+    if (threadStrategy !== 'composer' && threadStrategy !== 'reply_chain') {
+      throw new Error('Thread strategy must be "composer" or "reply_chain"');
+    }
+    return { segments, threadStrategy, content: segments.join('\n---\n') };
+  }
+
   // Get all jobs
   getJobs() {
     return this.jobs.sort((a, b) => b.createdAt - a.createdAt);
@@ -80,26 +235,202 @@ class Scheduler {
     return this.jobs.filter(job => job.status === 'pending');
   }
 
+  // ============================================
+  // Approval (preview-and-approve)
+  // ============================================
+
+  normalizeApproval(approval) {
+    if (!approval) return null;
+
+    const fallback = approval.fallback || 'skip';
+    if (fallback !== 'skip' && fallback !== 'publish') {
+      throw new Error('Approval fallback must be "skip" or "publish"');
+    }
+
+    return {
+      requestedAt: Date.now(),
+      deadlineAt: approval.deadlineAt || Date.now() + 60 * 60 * 1000, // Default: 1 hour to review
+      fallback,
+      originalContent: null,
+      decision: null,   // approved | edited | rejected | auto_published | auto_skipped
+      decidedAt: null,
+      note: null
+    };
+  }
+
+  // Get jobs waiting for review, soonest deadline first
+  getAwaitingApproval() {
+    return this.jobs
+      .filter(job => job.status === 'awaiting_approval')
+      .sort((a, b) => a.approval.deadlineAt - b.approval.deadlineAt);
+  }
+
+  // Approve a job, optionally with edited content
+  approveJob(jobId, content = null) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job || job.status !== 'awaiting_approval') {
+      throw new Error('Job is not awaiting approval: ' + jobId);
+    }
+
+    const edited = typeof content === 'string' && content.trim() && content !== job.content;
+    this.updateJob(jobId, {
+      status: 'pending',
+      content: edited ? content : job.content,
+      approval: {
+        ...job.approval,
+        originalContent: edited ? job.content : null,
+        decision: edited ? 'edited' : 'approved',
+        decidedAt: Date.now()
+      }
+    });
+    this.emitApprovalEvent('approved', job);
+    return job;
+  }
+
+  // Reject a job so it never posts
+  rejectJob(jobId, note = null) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job || job.status !== 'awaiting_approval') {
+      throw new Error('Job is not awaiting approval: ' + jobId);
+    }
+
+    this.updateJob(jobId, {
+      status: 'rejected',
+      approval: { ...job.approval, decision: 'rejected', decidedAt: Date.now(), note }
+    });
+    this.emitApprovalEvent('rejected', job);
+    this.scheduleNextOccurrence(job);
+    return job;
+  }
+
+  // Apply the fallback action to reviews past their deadline
+  expireApprovals(now = Date.now()) {
+    for (const job of this.getAwaitingApproval()) {
+      if (job.approval.deadlineAt > now) continue;
+
+      const publish = job.approval.fallback === 'publish';
+      this.updateJob(job.id, {
+        status: publish ? 'pending' : 'skipped',
+        approval: {
+          ...job.approval,
+          decision: publish ? 'auto_published' : 'auto_skipped',
+          decidedAt: now
+        }
+      });
+      console.log('[Scheduler] Approval deadline passed:', job.id, '->', job.approval.decision);
+      this.emitApprovalEvent('expired', job);
+      if (!publish) {
+        this.scheduleNextOccurrence(job);
+      }
+    }
+  }
+
+  emitApprovalEvent(event, job) {
+    if (this.onApprovalEvent) {
+      this.onApprovalEvent(event, job);
+    }
+  }
+
   // Update job status
   updateJob(jobId, updates) {
     const job = this.jobs.find(j => j.id === jobId);
     if (job) {
+      if (updates.recurrence) {
+        updates = {
+          ...updates,
+          recurrence: recurrence.normalize(updates.recurrence, updates.scheduledAt || job.scheduledAt),
+          seriesId: job.seriesId || job.id,
+          occurrence: job.occurrence || 1
+        };
+      }
+      if (updates.scheduledAt && updates.nextAttemptAt === undefined) {
+        updates = { ...updates, nextAttemptAt: null }; // Manual reschedule replaces a pending retry
+      }
+      if (job.contentType === 'thread' && (updates.segments || updates.content)) {
+        const thread = this.normalizeThread({
+          threadStrategy: job.threadStrategy,
+          segments: updates.segments || twitterThread.parse(updates.content)
+        });
+        updates = { ...updates, segments: thread.segments, content: thread.content };
+      }
+      if (updates.media !== undefined) {
+        updates = { ...updates, media: mediaUploader.normalize(updates.media, updates.platform || job.platform) };
+      }
+      if (updates.retryPolicy !== undefined) {
+        updates = { ...updates, retryPolicy: retryPolicy.normalize(updates.retryPolicy) };
+      }
+      const wasFinished = this.isFinished(job);
       Object.assign(job, updates, { updatedAt: Date.now() });
-      this.saveJobs();
+
+      // Finished jobs go to the permanent history once
+      if (!wasFinished && this.isFinished(job) && this.store.appendHistory(job)) {
+        job.historyRecordedAt = Date.now();
+      }
+      this.store.put(job);
     }
     return job;
   }
 
-  // Delete a job
+  // Queue the next occurrence of a recurring job after it has run. Never throws: a series
+  // that can't continue is logged and marked on the job (seriesError), and the scheduler goes on
+  scheduleNextOccurrence(job) {
+    if (!job.recurrence) return null;
+
+    try {
+      const occurrence = job.occurrence || 1;
+      const nextAt = recurrence.getNextOccurrence(job.recurrence, Math.max(Date.now(), job.scheduledAt), occurrence);
+      if (!nextAt) {
+        console.log('[Scheduler] Recurrence finished for series:', job.seriesId);
+        return null;
+      }
+
+      return this.addJob({
+        platform: job.platform,
+        content: job.content,
+        contentType: job.contentType,
+        segments: job.segments,
+        media: job.media,
+        postOptions: job.postOptions,
+        profileId: job.profileId,
+        threadStrategy: job.threadStrategy,
+        scheduledAt: nextAt,
+        recurrence: job.recurrence,
+        retryPolicy: job.retryPolicy,
+        approval: this.nextApproval(job, nextAt),
+        seriesId: job.seriesId || job.id,
+        occurrence: occurrence + 1
+      }, { mediaChecked: true });
+    } catch (error) {
+      console.error('[Scheduler] Failed to queue the next occurrence of job:', job.id, error.message);
+      this.updateJob(job.id, { seriesError: 'Series stopped: ' + error.message });
+      return null;
+    }
+  }
+
+  // Every occurrence of a reviewed series is held for review too. Its deadline keeps the
+  // same distance from the post time, but never leaves less than the original review window
+  nextApproval(job, nextAt) {
+    if (!job.approval) return null;
+    const { requestedAt, deadlineAt, fallback } = job.approval;
+    const window = Math.max(0, deadlineAt - requestedAt);
+    return {
+      fallback,
+      deadlineAt: Math.max(nextAt + (deadlineAt - job.scheduledAt), Date.now() + window)
+    };
+  }
+
+  // Delete a job (deleting a pending occurrence ends its series)
   deleteJob(jobId) {
     this.jobs = this.jobs.filter(j => j.id !== jobId);
-    this.saveJobs();
+    this.store.remove(jobId);
   }
 
-  // Clear completed jobs
+  // Clear completed jobs (they remain in post history)
   clearCompleted() {
-    this.jobs = this.jobs.filter(j => j.status === 'pending');
-    this.saveJobs();
+    for (const job of this.jobs.filter(j => this.isFinished(j))) {
+      this.store.remove(job.id);
+    }
+    this.jobs = this.jobs.filter(j => !this.isFinished(j));
   }
 
   // Start checking for due jobs
@@ -127,53 +458,112 @@ class Scheduler {
 
   // Check for due jobs and execute
   async checkAndExecute() {
-    const now = Date.now();
-    const dueJobs = this.jobs.filter(job =>
-      job.status === 'pending' && job.scheduledAt <= now
-    );
+    if (this.checking || !this.onExecuteJob) return;
+    this.checking = true;
+    try {
+      const now = Date.now();
+      this.expireApprovals(now);
 
-    for (const job of dueJobs) {
-      console.log('[Scheduler] Executing due job:', job.id);
+      const dueJobs = this.jobs.filter(job =>
+        job.status === 'pending' && (job.nextAttemptAt || job.scheduledAt) <= now
+      );
 
-      // Mark as processing
-      this.updateJob(job.id, { status: 'processing' });
+      for (const due of dueJobs) {
+        // Earlier jobs in this run can take minutes; skip any cancelled or rescheduled meanwhile
+        const job = this.jobs.find(j => j.id === due.id);
+        if (!job || job.status !== 'pending' || (job.nextAttemptAt || job.scheduledAt) > Date.now()) continue;
+        console.log('[Scheduler] Executing due job:', job.id);
 
-      try {
-        if (this.onExecuteJob) {
-          const result = await this.onExecuteJob(job);
-
-          if (result.success) {
-            this.updateJob(job.id, {
-              status: 'completed',
-              result: result
-            });
-            console.log('[Scheduler] Job completed:', job.id);
-          } else {
-            this.updateJob(job.id, {
-              status: 'failed',
-              result: result
-            });
-            console.log('[Scheduler] Job failed:', job.id, result.error);
-          }
+        // Mark as processing (startedAt lets recovery look for the post after a crash)
+        const startedAt = Date.now();
+        this.updateJob(job.id, { status: 'processing', startedAt });
+
+        let result;
+        try {
+          result = await this.onExecuteJob(job);
+        } catch (error) {
+          console.error('[Scheduler] Job execution error:', job.id, error);
+          result = { success: false, error: error.message };
         }
-      } catch (error) {
-        this.updateJob(job.id, {
-          status: 'failed',
-          result: { success: false, error: error.message }
-        });
-        console.error('[Scheduler] Job execution error:', job.id, error);
+
+        // Cut short after it started (timeout, cancel) - it may have posted, so look before retrying
+        if (!result.success && result.unverified) {
+          console.log('[Scheduler] Job result unverified, reconciling:', job.id, '-', result.error);
+          this.resolveOrphanedJob(job, await this.reconcileJob(job), result.error || 'Unverified result');
+          continue;
+        }
+
+        this.recordAttempt(job, result, startedAt);
       }
+    } finally {
+      this.checking = false;
     }
   }
 
+  // Record one execution attempt and decide between completed, retry and failed
+  recordAttempt(job, result, startedAt) {
+    const attempts = job.attempts || [];
+    const attempt = {
+      attempt: attempts.length + 1,
+      startedAt,
+      finishedAt: Date.now(),
+      success: !!result.success,
+      error: result.success ? null : (result.error || 'Unknown error')
+    };
+
+    if (result.success) {
+      this.updateJob(job.id, {
+        status: 'completed',
+        platformPostId: result.platformPostId || null, // Links back to the published post
+        platformUrl: result.platformUrl || null,
+        result: result,
+        attempts: [...attempts, attempt],
+        nextAttemptAt: null
+      });
+      console.log('[Scheduler] Job completed:', job.id);
+      this.scheduleNextOccurrence(job);
+      return;
+    }
+
+    const policy = job.retryPolicy || retryPolicy.normalize();
+    const { retryable, reason } = retryPolicy.classify(result, policy);
+    attempt.retryable = retryable;
+    attempt.reason = reason;
+
+    if (retryable && attempt.attempt < policy.maxAttempts) {
+      attempt.nextAttemptAt = Date.now() + retryPolicy.getDelay(policy, attempt.attempt);
+      this.updateJob(job.id, {
+        status: 'pending',
+        result: result,
+        attempts: [...attempts, attempt],
+        nextAttemptAt: attempt.nextAttemptAt
+      });
+      console.log('[Scheduler] Job will retry:', job.id, `attempt ${attempt.attempt}/${policy.maxAttempts}`,
+        'at', new Date(attempt.nextAttemptAt).toLocaleString(), '-', attempt.error);
+      return;
+    }
+
+    this.updateJob(job.id, {
+      status: 'failed',
+      result: result,
+      attempts: [...attempts, attempt],
+      nextAttemptAt: null
+    });
+    console.log('[Scheduler] Job failed:', job.id, result.error, `(${reason}, ${attempt.attempt} attempts)`);
+    this.scheduleNextOccurrence(job);
+  }
+
   // Get statistics
   getStats() {
     const stats = {
       total: this.jobs.length,
+      awaiting_approval: 0,
       pending: 0,
       processing: 0,
       completed: 0,
-      failed: 0
+      failed: 0,
+      rejected: 0,
+      skipped: 0
     };
 
     for (const job of this.jobs) {
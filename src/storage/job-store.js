@@ -0,0 +1,283 @@
+/**
+ * Pulsar Job Store
+ * Durable storage for scheduler jobs: an atomic JSON snapshot plus an
+ * append-only journal, and a permanent post history
+ *
+ * Files (userData):
+ * - scheduler-store.json       Snapshot { schemaVersion, seq, savedAt, jobs }
+ * - scheduler-store.json.bak   Last good snapshot before the current one
+ * - scheduler-journal.jsonl    Changes since the snapshot, one JSON line each
+ * - scheduler-journal.jsonl.prev  Changes between the backup and the snapshot
+ * - post-history.jsonl         Every finished job, never pruned
+ */
+
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+const SCHEMA_VERSION = 2;
+const COMPACT_EVERY = 200; // Journal entries before rewriting the snapshot
+
+// Upgrades from the version in the key to the next one
+const MIGRATIONS = {
+  // v1: legacy scheduler-data.json, a bare array of jobs
+  1: (jobs) => jobs.map(job => ({
+    attempts: [],
+    nextAttemptAt: null,
+    recurrence: null,
+    seriesId: null,
+    occurrence: null,
+    ...job
+  }))
+};
+
+class JobStore {
+  constructor() {
+    const dir = app.getPath('userData');
+    this.snapshotPath = path.join(dir, 'scheduler-store.json');
+    this.backupPath = this.snapshotPath + '.bak';
+    this.journalPath = path.join(dir, 'scheduler-journal.jsonl');
+    this.prevJournalPath = this.journalPath + '.prev';
+    this.historyPath = path.join(dir, 'post-history.jsonl');
+    this.legacyPath = path.join(dir, 'scheduler-data.json');
+
+    this.seq = 0;
+    this.journalEntries = 0;
+    this.jobs = new Map();
+  }
+
+  // Load jobs: snapshot (or backup / legacy file) + journal replay
+  load() {
+    const snapshot = this.readSnapshot();
+    this.seq = snapshot.seq;
+    this.jobs = new Map(snapshot.jobs.map(job => [job.id, job]));
+
+    const replayed = this.replayJournal();
+    if (replayed > 0) {
+      console.log('[JobStore] Replayed', replayed, 'journal entries');
+    }
+
+    // Fold the journal into a fresh snapshot so the next start is clean
+    this.compact();
+    return Array.from(this.jobs.values());
+  }
+
+  // Read the newest usable snapshot, falling back to backup and legacy formats
+  readSnapshot() {
+    for (const file of [this.snapshotPath, this.backupPath]) {
+      if (!fs.existsSync(file)) continue;
+      try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!data || !Array.isArray(data.jobs)) {
+          throw new Error('Snapshot has no jobs array');
+        }
+        if (file === this.backupPath) {
+          console.warn('[JobStore] Recovered from last good snapshot:', file);
+        }
+        return { seq: data.seq || 0, jobs: this.migrate(data.jobs, data.schemaVersion || 1) };
+      } catch (error) {
+        console.error('[JobStore] Corrupt snapshot:', file, error.message);
+        this.quarantine(file);
+      }
+    }
+
+    if (fs.existsSync(this.legacyPath)) {
+      try {
+        const jobs = JSON.parse(fs.readFileSync(this.legacyPath, 'utf8'));
+        if (Array.isArray(jobs)) {
+          console.log('[JobStore] Migrating', jobs.length, 'jobs from scheduler-data.json');
+          fs.renameSync(this.legacyPath, this.legacyPath + '.bak');
+          return { seq: 0, jobs: this.migrate(jobs, 1) };
+        }
+      } catch (error) {
+        console.error('[JobStore] Corrupt legacy scheduler-data.json:', error.message);
+        this.quarantine(this.legacyPath);
+      }
+    }
+
+    return { seq: 0, jobs: [] };
+  }
+
+  // Run schema migrations up to SCHEMA_VERSION
+  migrate(jobs, fromVersion) {
+    if (fromVersion > SCHEMA_VERSION) {
+      throw new Error(`Job store schema v${fromVersion} is newer than this app (v${SCHEMA_VERSION})`);
+    }
+    let migrated = jobs;
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+      migrated = MIGRATIONS[version](migrated);
+      console.log(`[JobStore] Migrated jobs schema v${version} -> v${version + 1}`);
+    }
+    return migrated;
+  }
+
+  // Apply journal entries newer than the snapshot; a torn last line is ignored
+  // The previous journal is needed when we had to fall back to the backup snapshot
+  replayJournal() {
+    const lines = [];
+    for (const file of [this.prevJournalPath, this.journalPath]) {
+      if (fs.existsSync(file)) {
+        lines.push(...fs.readFileSync(file, 'utf8').split('\n'));
+      }
+    }
+
+    let replayed = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        console.warn('[JobStore] Skipping unreadable journal line');
+        continue;
+      }
+      if (entry.seq <= this.seq) continue;
+
+      if (entry.op === 'put') {
+        this.jobs.set(entry.job.id, entry.job);
+      } else if (entry.op === 'delete') {
+        this.jobs.delete(entry.id);
+      }
+      this.seq = entry.seq;
+      replayed++;
+    }
+    return replayed;
+  }
+
+  // Insert or replace a job
+  put(job) {
+    this.jobs.set(job.id, job);
+    this.append({ op: 'put', job });
+  }
+
+  // Remove a job from the active queue (its history entry, if any, stays)
+  remove(jobId) {
+    if (!this.jobs.has(jobId)) return;
+    this.jobs.delete(jobId);
+    this.append({ op: 'delete', id: jobId });
+  }
+
+  // Durably append a journal entry
+  append(entry) {
+    this.seq++;
+    try {
+      this.appendLine(this.journalPath, { seq: this.seq, at: Date.now(), ...entry });
+      this.journalEntries++;
+    } catch (error) {
+      console.error('[JobStore] Failed to write journal:', error);
+    }
+
+    if (this.journalEntries >= COMPACT_EVERY) {
+      this.compact();
+    }
+  }
+
+  // Write a new snapshot atomically and start a new journal
+  compact() {
+    const snapshot = {
+      schemaVersion: SCHEMA_VERSION,
+      seq: this.seq,
+      savedAt: Date.now(),
+      jobs: Array.from(this.jobs.values())
+    };
+
+    try {
+      this.writeAtomic(this.snapshotPath, JSON.stringify(snapshot, null, 2));
+      if (fs.existsSync(this.journalPath)) {
+        fs.renameSync(this.journalPath, this.prevJournalPath);
+      }
+      this.journalEntries = 0;
+    } catch (error) {
+      // Journal still holds every change, so nothing is lost
+      console.error('[JobStore] Failed to write snapshot:', error);
+    }
+  }
+
+  // tmp file + fsync + rename, keeping the previous snapshot as .bak
+  writeAtomic(file, contents) {
+    const tmpPath = file + '.tmp';
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const hadSnapshot = fs.existsSync(file);
+    if (hadSnapshot) {
+      fs.copyFileSync(file, this.backupPath);
+    }
+    fs.renameSync(tmpPath, file);
+    if (!hadSnapshot) {
+      fs.copyFileSync(file, this.backupPath); // First snapshot is also the last good one
+    }
+  }
+
+  appendLine(file, record) {
+    const fd = fs.openSync(file, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(record) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Move an unreadable file aside instead of overwriting it
+  quarantine(file) {
+    try {
+      fs.renameSync(file, `${file}.corrupt-${Date.now()}`);
+    } catch (error) {
+      console.error('[JobStore] Failed to quarantine:', file, error.message);
+    }
+  }
+
+  // ============================================
+  // Post History
+  // ============================================
+
+  // Record a finished job permanently
+  appendHistory(job) {
+    try {
+      this.appendLine(this.historyPath, { ...job, archivedAt: Date.now() });
+      return true;
+    } catch (error) {
+      console.error('[JobStore] Failed to write post history:', error);
+      return false;
+    }
+  }
+
+  // Query history: { platform, status, since, until, search, seriesId, limit }
+  // Newest first; a job is reported once with its latest recorded state
+  queryHistory(filters = {}) {
+    if (!fs.existsSync(this.historyPath)) return [];
+
+    const latest = new Map();
+    for (const line of fs.readFileSync(this.historyPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const job = JSON.parse(line);
+        latest.set(job.id, job);
+      } catch (error) {
+        // Torn line from a crash mid-append
+      }
+    }
+
+    const search = filters.search ? filters.search.toLowerCase() : null;
+    const results = Array.from(latest.values()).filter(job => {
+      if (filters.platform && job.platform !== filters.platform) return false;
+      if (filters.status && job.status !== filters.status) return false;
+      if (filters.seriesId && job.seriesId !== filters.seriesId) return false;
+      if (filters.since && job.scheduledAt < filters.since) return false;
+      if (filters.until && job.scheduledAt > filters.until) return false;
+      if (search && !(job.content || '').toLowerCase().includes(search)) return false;
+      return true;
+    });
+
+    results.sort((a, b) => b.scheduledAt - a.scheduledAt);
+    return filters.limit ? results.slice(0, filters.limit) : results;
+  }
+}
+
+module.exports = new JobStore();
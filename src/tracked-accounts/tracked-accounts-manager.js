@@ -80,9 +80,11 @@ class TrackedAccountsManager {
       return `# LinkedIn Tracked Accounts
 
 Add LinkedIn usernames or company pages below, one per line.
+Company pages go as company/slug (profile and page links work too).
 AI will automatically classify tier and category.
 
 在下方新增 LinkedIn 用戶名或公司頁面，一行一個。
+公司頁面請寫成 company/slug（也可貼上個人或公司頁面網址）。
 AI 會自動分類層級與類別。
 
 ---
@@ -187,8 +189,13 @@ dan_abramov
         // Skip empty lines, headers, comments, and separator
         if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('---') ||
             trimmed.includes('Add Twitter') || trimmed.includes('Add LinkedIn') ||
-            trimmed.includes('AI will') ||
-            trimmed.includes('在下方') || trimmed.includes('會自動')) {
+            trimmed.includes('AI will') || trimmed.includes('Company pages go') ||
+            trimmed.includes('在下方') || trimmed.includes('會自動') || trimmed.includes('公司頁面請')) {
+          continue;
+        }
+        if (platform === 'linkedin') {
+          const username = this.parseLinkedInEntry(trimmed);
+          if (username) usernames.push(username);
           continue;
         }
         // Clean username (remove @ if present)
@@ -205,6 +212,16 @@ dan_abramov
     }
   }
 
+  // LinkedIn entry -> "username" (member vanity name) or "company/slug" (Company Page)
+  // Accepts either form, with or without @, or a linkedin.com/in/ or /company/ link
+  parseLinkedInEntry(entry) {
+    const link = entry.match(/linkedin\.com\/(in|company)\/([^/?#\s]+)/i);
+    const value = link
+      ? (link[1].toLowerCase() === 'company' ? 'company/' : '') + decodeURIComponent(link[2])
+      : entry.replace(/^@/, '');
+    return /^(company\/)?[a-zA-Z0-9_-]+$/.test(value) ? value : null;
+  }
+
   // Load cached account data for platform
   loadCache(platform = 'twitter') {
     try {
@@ -257,7 +274,7 @@ Category options: ${categoryOptions}
 Accounts to classify:
 ${usernames.join('\n')}
 
-Return ONLY a JSON array, no explanation:
+Return ONLY a JSON array, no explanation, with each username exactly as listed:
 [{"username":"xxx","display_name":"Full Name","tier":4,"category":"founder"}]`;
 
     // Try main provider first
@@ -0,0 +1,76 @@
+/**
+ * Pulsar Twitter Thread
+ * Splits thread text into tweets and checks each against X's 280 limit
+ */
+
+const MAX_TWEET_LENGTH = 280;
+const URL_LENGTH = 23; // X shortens every link to t.co
+const URL_PATTERN = /https?:\/\/\S+/g;
+// CJK, Hangul, Hiragana/Katakana and emoji count as 2 in X's weighted length
+const WIDE_CHAR_PATTERN = /[\u1100-\u11FF\u2E80-\u9FFF\uA960-\uA97F\uAC00-\uD7FF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFFEF]|\p{Extended_Pictographic}/u;
+
+class TwitterThread {
+  // Split text into segments: "---" separator lines, else "1/" style numbering
+  parse(text) {
+    const source = String(text || '').trim();
+    if (!source) return [];
+
+    if (/^\s*---\s*$/m.test(source)) {
+      return source.split(/^\s*---\s*$/m).map(s => s.trim()).filter(Boolean);
+    }
+
+    // generateThread output: "1/ ...", "2/ ..." (or "1. ", "1) ")
+    const numbered = source.split(/^\s*(?=\d{1,2}\s*[/.)]\s)/m).map(s => s.trim()).filter(Boolean);
+    if (numbered.length > 1) {
+      return numbered;
+    }
+
+    return [source];
+  }
+
+  // X's weighted length: links count 23, wide characters count 2
+  weightedLength(text) {
+    let length = 0;
+    const withoutUrls = String(text).replace(URL_PATTERN, () => {
+      length += URL_LENGTH;
+      return '';
+    });
+    for (const char of withoutUrls) {
+      length += WIDE_CHAR_PATTERN.test(char) ? 2 : 1;
+    }
+    return length;
+  }
+
+  // Returns { valid, errors: [{ index, length, error }] }
+  validate(segments) {
+    const errors = [];
+    if (!Array.isArray(segments) || segments.length === 0) {
+      return { valid: false, errors: [{ index: -1, error: 'Thread has no segments' }] };
+    }
+
+    segments.forEach((segment, index) => {
+      const text = String(segment || '').trim();
+      if (!text) {
+        errors.push({ index, length: 0, error: `Tweet ${index + 1} is empty` });
+        return;
+      }
+      const length = this.weightedLength(text);
+      if (length > MAX_TWEET_LENGTH) {
+        errors.push({ index, length, error: `Tweet ${index + 1} is too long (${length}/${MAX_TWEET_LENGTH})` });
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Validate or throw with every problem in the message
+  assertValid(segments) {
+    const { valid, errors } = this.validate(segments);
+    if (!valid) {
+      throw new Error(errors.map(e => e.error).join('; '));
+    }
+    return segments.map(s => String(s).trim());
+  }
+}
+
+module.exports = new TwitterThread();
@@ -0,0 +1,83 @@
+-- Migration: Record platform post ID and URL
+-- Run this in Supabase SQL Editor
+-- confirm_post_token gains p_platform_url and writes a row to the posts audit log
+
+-- ============================================
+-- 1. Store the URL on the token as well
+-- ============================================
+ALTER TABLE post_tokens ADD COLUMN IF NOT EXISTS platform_url TEXT;
+
+-- Look up a post by its platform ID
+CREATE INDEX IF NOT EXISTS idx_posts_platform_post ON posts(platform, platform_post_id);
+
+-- ============================================
+-- 2. Replace confirm_post_token
+-- The old 4-argument version is dropped so PostgREST doesn't see two overloads
+-- ============================================
+DROP FUNCTION IF EXISTS confirm_post_token(TEXT, BOOLEAN, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION confirm_post_token(
+  p_token TEXT,
+  p_success BOOLEAN,
+  p_platform_post_id TEXT DEFAULT NULL,
+  p_error_message TEXT DEFAULT NULL,
+  p_platform_url TEXT DEFAULT NULL
+)
+RETURNS TABLE(success BOOLEAN, error TEXT) AS $$
+DECLARE
+  v_token post_tokens;
+BEGIN
+  -- Get token
+  SELECT * INTO v_token FROM post_tokens WHERE token = p_token;
+
+  -- Check if token exists
+  IF v_token IS NULL THEN
+    RETURN QUERY SELECT FALSE, 'Token not found'::TEXT;
+    RETURN;
+  END IF;
+
+  -- Check if already used
+  IF v_token.status != 'pending' THEN
+    RETURN QUERY SELECT FALSE, 'Token already processed'::TEXT;
+    RETURN;
+  END IF;
+
+  -- Check if expired
+  IF v_token.expires_at < NOW() THEN
+    -- Refund the quota
+    UPDATE quotas SET posts_used = posts_used - 1
+    WHERE user_id = v_token.user_id AND quota_date = CURRENT_DATE;
+
+    UPDATE post_tokens SET status = 'expired' WHERE id = v_token.id;
+    RETURN QUERY SELECT FALSE, 'Token expired'::TEXT;
+    RETURN;
+  END IF;
+
+  -- Update token status
+  IF p_success THEN
+    UPDATE post_tokens SET
+      status = 'used',
+      used_at = NOW(),
+      post_id = p_platform_post_id,
+      platform_url = p_platform_url
+    WHERE id = v_token.id;
+
+    -- Audit log entry; the content itself stays on the device, only its hash is stored
+    INSERT INTO posts (user_id, token_id, platform, content, content_hash, status, posted_at, platform_post_id, platform_url)
+    VALUES (v_token.user_id, v_token.id, v_token.platform, '', COALESCE(v_token.content_hash, ''), 'posted', NOW(), p_platform_post_id, p_platform_url);
+  ELSE
+    -- Refund quota on failure
+    UPDATE quotas SET posts_used = posts_used - 1
+    WHERE user_id = v_token.user_id AND quota_date = CURRENT_DATE;
+
+    UPDATE post_tokens SET
+      status = 'refunded',
+      error_message = p_error_message
+    WHERE id = v_token.id;
+  END IF;
+
+  RETURN QUERY SELECT TRUE, NULL::TEXT;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION confirm_post_token(TEXT, BOOLEAN, TEXT, TEXT, TEXT) TO anon, authenticated;
@@ -0,0 +1,29 @@
+-- Migration: Remote selector packs
+-- Run this in Supabase SQL Editor
+-- Signed selector overrides the desktop app downloads instead of waiting for a new build
+
+-- ============================================
+-- 1. selector_packs table
+-- pack holds the whole signed document (version, platforms, signature);
+-- the app verifies the signature itself, so only the service role may write
+-- ============================================
+CREATE TABLE IF NOT EXISTS selector_packs (
+  version INTEGER PRIMARY KEY,
+  pack JSONB NOT NULL,
+  min_app_version TEXT,
+  notes TEXT,
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK ((pack->>'version')::INTEGER = version)
+);
+
+-- ============================================
+-- 2. RLS Policy (anyone can read enabled packs)
+-- Disable a bad pack with: UPDATE selector_packs SET enabled = FALSE WHERE version = <n>;
+-- Clients that already installed it keep it until it fails or a newer pack is published
+-- ============================================
+ALTER TABLE selector_packs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view enabled selector packs" ON selector_packs;
+CREATE POLICY "Anyone can view enabled selector packs" ON selector_packs
+  FOR SELECT USING (enabled = TRUE);
@@ -0,0 +1,51 @@
+-- Migration: Social profiles (multiple accounts per platform)
+-- Run this in Supabase SQL Editor
+-- The desktop app keeps the browser sessions; this table only mirrors the profile list
+
+-- ============================================
+-- 1. social_profiles table
+-- id is generated by the app so the local cache and the row share it
+-- ============================================
+CREATE TABLE IF NOT EXISTS social_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+  -- Account
+  platform TEXT NOT NULL,           -- 'twitter' | 'linkedin' | 'threads' | 'instagram'
+  profile_type TEXT NOT NULL DEFAULT 'personal'
+    CHECK (profile_type IN ('personal', 'company_page', 'delegate')),
+  account_identifier TEXT NOT NULL, -- @username or company slug
+  display_name TEXT,
+  avatar_url TEXT,
+
+  -- Session (a persist: partition on the user's machine)
+  session_path TEXT,
+  is_verified BOOLEAN DEFAULT FALSE,
+  verified_at TIMESTAMPTZ,
+
+  -- State
+  is_active BOOLEAN DEFAULT TRUE,
+  is_primary BOOLEAN DEFAULT FALSE, -- Default account for its platform
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(user_id, platform, account_identifier)
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_profiles_user ON social_profiles(user_id);
+
+-- ============================================
+-- 2. RLS Policy (users manage their own profiles, Clerk JWT or Supabase auth)
+-- ============================================
+ALTER TABLE social_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own profiles" ON social_profiles;
+CREATE POLICY "Users can manage own profiles" ON social_profiles
+  FOR ALL USING (
+    user_id IN (
+      SELECT id FROM users
+      WHERE clerk_id = (current_setting('request.jwt.claims', true)::json->>'sub')
+        OR id = auth.uid()
+    )
+  );
@@ -0,0 +1,134 @@
+-- Migration: Enforce tier_limits.max_social_accounts
+-- Run this in Supabase SQL Editor (after 005_social_profiles.sql)
+-- Company Pages need Pro or Agency. A downgrade starts a 7 day grace period; after it the
+-- desktop app makes the extra profiles read-only - nothing is deleted
+
+-- ============================================
+-- 1. Grace period on downgrade
+-- ============================================
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS social_accounts_grace_until TIMESTAMPTZ;
+
+-- More profiles than the tier allows, or Company Pages below Pro
+CREATE OR REPLACE FUNCTION social_accounts_over_limit(p_user_id UUID, p_tier TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_limit INTEGER;
+  v_used INTEGER;
+  v_company_pages INTEGER;
+BEGIN
+  SELECT max_social_accounts INTO v_limit FROM tier_limits WHERE tier = p_tier;
+  SELECT COUNT(*), COUNT(*) FILTER (WHERE profile_type = 'company_page')
+  INTO v_used, v_company_pages
+  FROM social_profiles WHERE user_id = p_user_id;
+
+  RETURN v_used > COALESCE(v_limit, 1)
+    OR (v_company_pages > 0 AND p_tier NOT IN ('pro', 'agency'));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION start_social_accounts_grace()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.subscription_tier IS DISTINCT FROM OLD.subscription_tier THEN
+    IF social_accounts_over_limit(NEW.id, NEW.subscription_tier) THEN
+      -- Keep an earlier deadline when the user downgrades twice
+      NEW.social_accounts_grace_until := LEAST(OLD.social_accounts_grace_until, NOW() + INTERVAL '7 days');
+    ELSE
+      NEW.social_accounts_grace_until := NULL;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS users_social_accounts_grace ON users;
+CREATE TRIGGER users_social_accounts_grace
+  BEFORE UPDATE OF subscription_tier ON users
+  FOR EACH ROW EXECUTE FUNCTION start_social_accounts_grace();
+
+-- ============================================
+-- 2. Reject new profiles over the limit
+-- Upserts of an existing profile (verify, set primary) are always allowed
+-- ============================================
+CREATE OR REPLACE FUNCTION check_social_account_limit()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_tier TEXT;
+  v_limit INTEGER;
+  v_used INTEGER;
+BEGIN
+  IF EXISTS (SELECT 1 FROM social_profiles WHERE id = NEW.id) THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT subscription_tier INTO v_tier FROM users WHERE id = NEW.user_id;
+  SELECT max_social_accounts INTO v_limit FROM tier_limits WHERE tier = COALESCE(v_tier, 'free');
+  SELECT COUNT(*) INTO v_used FROM social_profiles WHERE user_id = NEW.user_id;
+
+  IF v_used >= COALESCE(v_limit, 1) THEN
+    RAISE EXCEPTION 'Social account limit reached (% of %)', v_used, COALESCE(v_limit, 1);
+  END IF;
+  IF NEW.profile_type = 'company_page' AND COALESCE(v_tier, 'free') NOT IN ('pro', 'agency') THEN
+    RAISE EXCEPTION 'Company Pages require Pro or Agency';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS social_profiles_limit ON social_profiles;
+CREATE TRIGGER social_profiles_limit
+  BEFORE INSERT ON social_profiles
+  FOR EACH ROW EXECUTE FUNCTION check_social_account_limit();
+
+-- ============================================
+-- 3. check_feature_access: 'social_accounts' (room for one more) and 'company_pages'
+-- ============================================
+CREATE OR REPLACE FUNCTION check_feature_access(p_user_id UUID, p_feature TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_tier TEXT;
+  v_limits tier_limits;
+BEGIN
+  SELECT subscription_tier INTO v_tier FROM users WHERE id = p_user_id;
+  SELECT * INTO v_limits FROM tier_limits WHERE tier = v_tier;
+
+  CASE p_feature
+    WHEN 'scheduling' THEN RETURN v_limits.has_scheduling;
+    WHEN 'ai_generation' THEN RETURN v_limits.has_ai_generation;
+    WHEN 'knowledge_base' THEN RETURN v_limits.has_knowledge_base;
+    WHEN 'tracked_accounts' THEN RETURN v_limits.max_tracked_accounts > 0;
+    WHEN 'interest_topics' THEN RETURN v_limits.max_interest_topics > 0;
+    WHEN 'replies' THEN RETURN v_limits.daily_replies > 0;
+    WHEN 'social_accounts' THEN
+      RETURN (SELECT COUNT(*) FROM social_profiles WHERE user_id = p_user_id) < v_limits.max_social_accounts;
+    WHEN 'company_pages' THEN RETURN v_tier IN ('pro', 'agency');
+    ELSE RETURN FALSE;
+  END CASE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================
+-- 4. Account limit status for the app
+-- ============================================
+CREATE OR REPLACE FUNCTION get_social_account_status(p_user_id UUID)
+RETURNS TABLE(tier TEXT, max_social_accounts INTEGER, used INTEGER, grace_until TIMESTAMPTZ) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    u.subscription_tier,
+    t.max_social_accounts,
+    (SELECT COUNT(*)::INTEGER FROM social_profiles s WHERE s.user_id = u.id),
+    u.social_accounts_grace_until
+  FROM users u
+  LEFT JOIN tier_limits t ON t.tier = u.subscription_tier
+  WHERE u.id = p_user_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================
+-- Verification query (run after migration)
+-- ============================================
+-- SELECT * FROM get_social_account_status('<user uuid>');
+-- SELECT check_feature_access('<user uuid>', 'social_accounts');
@@ -0,0 +1,96 @@
+require('./helpers/electron');
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const bluesky = require('../src/platforms/bluesky-adapter');
+
+const DID = 'did:plc:testuser';
+
+// Minimal local PDS: sessions plus an in-memory repo with createRecord / getRecord.
+// dropNextCreate stores the record but drops the connection, like a response lost in transit
+function startPds() {
+  const pds = { records: new Map(), creates: 0, dropNextCreate: false };
+  pds.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : {};
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      switch (url.pathname) {
+        case '/xrpc/com.atproto.server.createSession':
+          return send(200, { did: DID, handle: 'test.bsky.social', accessJwt: 'access', refreshJwt: 'refresh' });
+        case '/xrpc/com.atproto.repo.createRecord': {
+          pds.creates++;
+          const rkey = body.rkey || `auto${pds.creates}`;
+          const uri = `at://${DID}/${body.collection}/${rkey}`;
+          if (pds.records.has(uri)) {
+            return send(400, { error: 'InvalidRequest', message: 'Record already exists' });
+          }
+          pds.records.set(uri, { uri, cid: `cid-${rkey}`, value: body.record });
+          if (pds.dropNextCreate) {
+            pds.dropNextCreate = false;
+            return req.socket.destroy();
+          }
+          return send(200, { uri, cid: `cid-${rkey}` });
+        }
+        case '/xrpc/com.atproto.repo.getRecord': {
+          const uri = `at://${url.searchParams.get('repo')}/${url.searchParams.get('collection')}/${url.searchParams.get('rkey')}`;
+          const record = pds.records.get(uri);
+          return record ? send(200, record) : send(400, { error: 'RecordNotFound', message: 'Could not locate record' });
+        }
+        default:
+          return send(501, { error: 'MethodNotImplemented' });
+      }
+    });
+  });
+  return new Promise(resolve => pds.server.listen(0, '127.0.0.1', () => {
+    pds.service = `http://127.0.0.1:${pds.server.address().port}`;
+    resolve(pds);
+  }));
+}
+
+test('bluesky against a local PDS', async (t) => {
+  const pds = await startPds();
+  t.after(() => pds.server.close());
+
+  const login = await bluesky.login({ identifier: 'test.bsky.social', appPassword: 'app-pass', service: pds.service });
+  assert.strictEqual(login.success, true);
+
+  await t.test('a retried job whose first response was lost posts once', async () => {
+    pds.dropNextCreate = true;
+    const first = await bluesky.publish('Scheduled hello', { idempotencyKey: 'job-1' });
+    const retry = await bluesky.publish('Scheduled hello', { idempotencyKey: 'job-1' });
+
+    // The first attempt already finds the record it wrote; the retry lands on the same one
+    assert.strictEqual(first.success, true);
+    assert.strictEqual(retry.success, true);
+    assert.strictEqual(pds.records.size, 1);
+    const [uri] = pds.records.keys();
+    assert.strictEqual(first.platformPostId, uri);
+    assert.strictEqual(retry.platformPostId, uri);
+  });
+
+  await t.test('the record key is a valid TID and stable per job', async () => {
+    const a = await bluesky.publish('Another post', { idempotencyKey: 'job-2' });
+    const b = await bluesky.publish('Another post', { idempotencyKey: 'job-2' });
+    const rkey = a.platformPostId.split('/').pop();
+    assert.match(rkey, /^[234567abcdefghij][234567abcdefghijklmnopqrstuvwxyz]{12}$/);
+    assert.strictEqual(b.platformPostId, a.platformPostId);
+  });
+
+  await t.test('a lost response without an idempotency key is unverified, not retried', async () => {
+    pds.dropNextCreate = true;
+    const result = await bluesky.publish('Manual post');
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.unverified, true);
+    assert.strictEqual(result.retryable, false);
+  });
+
+  bluesky.logout();
+});
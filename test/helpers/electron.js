@@ -0,0 +1,23 @@
+/**
+ * Stand-in for the electron module so main-process modules load under `node --test`.
+ * Requiring this file points require('electron') here; userData is a fresh temp dir
+ * per test process
+ */
+
+const Module = require('module');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'pulsar-test-'));
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+  return request === 'electron' ? __filename : resolveFilename.call(this, request, ...args);
+};
+
+module.exports = {
+  app: { getPath: () => userData },
+  ipcMain: { handle() {} },
+  userData
+};
@@ -0,0 +1,43 @@
+const { userData } = require('./helpers/electron');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const scheduler = require('../src/scheduler');
+
+const DAILY = { rrule: 'FREQ=DAILY', timezone: 'UTC' };
+
+test('next occurrence is queued when a media file disappeared after scheduling', () => {
+  const imagePath = path.join(userData, 'photo.png');
+  fs.writeFileSync(imagePath, 'png');
+  const job = scheduler.addJob({
+    platform: 'twitter',
+    content: 'Daily photo',
+    media: [{ path: imagePath, altText: 'A photo' }],
+    scheduledAt: Date.now() + 60 * 1000,
+    recurrence: DAILY
+  });
+  fs.unlinkSync(imagePath);
+
+  assert.doesNotThrow(() => scheduler.recordAttempt(job, { success: true }, Date.now()));
+
+  const next = scheduler.jobs.find(j => j.seriesId === job.seriesId && j.occurrence === 2);
+  assert.ok(next, 'next occurrence queued');
+  assert.deepStrictEqual(next.media, job.media);
+  assert.strictEqual(next.status, 'pending');
+});
+
+test('a series that cannot continue is marked on the job instead of throwing', () => {
+  const job = scheduler.addJob({
+    platform: 'twitter',
+    content: 'Weekly note',
+    scheduledAt: Date.now() + 60 * 1000,
+    recurrence: DAILY
+  });
+  job.recurrence = { ...job.recurrence, rule: 'not a rule' };
+
+  assert.doesNotThrow(() => scheduler.recordAttempt(job, { success: true }, Date.now()));
+  assert.strictEqual(job.status, 'completed');
+  assert.match(job.seriesError, /^Series stopped: /);
+});
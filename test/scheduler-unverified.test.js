@@ -0,0 +1,46 @@
+require('./helpers/electron');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const scheduler = require('../src/scheduler');
+
+// Run one due job through checkAndExecute with the given execute/reconcile outcomes
+async function runOnce(result, check) {
+  const job = scheduler.addJob({ platform: 'twitter', content: 'Timed out post', scheduledAt: Date.now() - 1000 });
+  let reconciled = 0;
+  scheduler.onExecuteJob = async () => result;
+  scheduler.onReconcileJob = async () => {
+    reconciled++;
+    return check;
+  };
+  await scheduler.checkAndExecute();
+  return { job: scheduler.jobs.find(j => j.id === job.id), reconciled };
+}
+
+const TIMED_OUT = {
+  success: false,
+  cancelled: true,
+  error: 'Browser task timed out after 180s',
+  unverified: true,
+  retryable: false
+};
+
+test('a run that timed out after starting is completed when the post is found', async () => {
+  const { job, reconciled } = await runOnce(TIMED_OUT, { posted: true, evidence: 'Found on timeline', platformUrl: 'https://x.com/a/status/1' });
+  assert.strictEqual(reconciled, 1);
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.platformUrl, 'https://x.com/a/status/1');
+});
+
+test('a run that timed out is failed, not retried, when the post cannot be confirmed', async () => {
+  const { job, reconciled } = await runOnce(TIMED_OUT, { posted: null, evidence: 'Timeline returned no posts' });
+  assert.strictEqual(reconciled, 1);
+  assert.strictEqual(job.status, 'failed');
+  assert.match(job.result.error, /could not confirm/);
+});
+
+test('a run that timed out is requeued when the timeline shows it did not post', async () => {
+  const { job } = await runOnce(TIMED_OUT, { posted: false, evidence: 'Not among 20 most recent posts' });
+  assert.strictEqual(job.status, 'pending');
+  assert.strictEqual(job.attempts.length, 1);
+});
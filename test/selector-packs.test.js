@@ -0,0 +1,44 @@
+require('./helpers/electron');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.SELECTOR_PACK_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+
+const { canonicalize } = require('../src/platforms/selector-pack-signing');
+const selectorPacks = require('../src/platforms/selector-packs');
+
+selectorPacks.adapters = { twitter: { bundledSelectors: { submitButton: ['[data-testid="tweetButton"]'] } } };
+
+// Sign the way scripts/selector-pack.js does; key order must not matter
+function signPack(pack) {
+  const signature = crypto.sign(null, Buffer.from(canonicalize(pack)), privateKey).toString('base64');
+  return { ...pack, signature };
+}
+
+const PACK = { version: 2, platforms: { twitter: { submitButton: ['button[data-testid="tweetButtonInline"]'] } } };
+
+test('a pack signed with the configured key is accepted regardless of key order', () => {
+  const signed = signPack(PACK);
+  const reordered = { signature: signed.signature, platforms: signed.platforms, version: signed.version };
+  assert.deepStrictEqual(selectorPacks.check(reordered), { success: true });
+});
+
+test('a tampered pack is rejected', () => {
+  const signed = signPack(PACK);
+  signed.platforms.twitter.submitButton = ['button.evil'];
+  assert.strictEqual(selectorPacks.check(signed).success, false);
+});
+
+test('packs are disabled when no public key is configured', async () => {
+  const configured = selectorPacks.publicKey;
+  selectorPacks.publicKey = null;
+  try {
+    assert.match(selectorPacks.check(signPack(PACK)).error, /no public key configured/);
+    assert.strictEqual((await selectorPacks.refresh()).success, false);
+    assert.strictEqual(selectorPacks.getStatus().enabled, false);
+  } finally {
+    selectorPacks.publicKey = configured;
+  }
+});